@@ -1,21 +1,167 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useMemo } from "react";
 import "./styles.css";
 import Auth from "./components/Auth";
+import MisPlaylists from "./components/MisPlaylists";
+import Chats from "./components/Chats";
+import CurvaEcualizador from "./components/CurvaEcualizador";
+import Visualizador from "./components/Visualizador";
+import Letra from "./components/Letra";
+import { API_URL, apiFetch, cargarBiblioteca, descargarRespuesta, refreshSession, subirCancion } from "./api";
+import * as Cola from "./cola";
+import * as Eq from "./ecualizador";
+import * as Local from "./bibliotecaLocal";
+import * as Importacion from "./importacion";
+import { letraDeTexto } from "./letras.mjs";
+
+// Cuántas canciones de la cola se muestran en el panel del reproductor
+const MAX_COLA_VISIBLE = 50;
+
+// Las playlists se guardan en el servidor y cualquiera con acceso las
+// reproduce desde otro dispositivo: una canción que solo está en este
+// navegador no puede ser parte de ellas
+const SIN_PLAYLIST_LOCAL =
+  "Las canciones guardadas en este navegador no se pueden agregar a una playlist. Subila a tu cuenta para poder agregarla.";
+
+// Estado del reproductor en este navegador: { state, syncedAt }, donde
+// syncedAt es la fecha (del servidor) de la última vez que se sincronizó
+const CLAVE_REPRODUCTOR = "reproductor";
+
+const leerEstadoLocal = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CLAVE_REPRODUCTOR));
+  } catch {
+    return null;
+  }
+};
+
+const formatearBytes = (bytes) =>
+  bytes >= 1e9 ? `${(bytes / 1e9).toFixed(1)} GB` : `${(bytes / 1e6).toFixed(1)} MB`;
+
+const escribirEstadoLocal = (cambios) =>
+  localStorage.setItem(CLAVE_REPRODUCTOR, JSON.stringify({ ...leerEstadoLocal(), ...cambios }));
+
+// Últimas búsquedas de la sección Buscar, solo en este navegador
+const CLAVE_BUSQUEDAS = "busquedas";
+const MAX_BUSQUEDAS_RECIENTES = 8;
+// Espera entre teclas antes de pedir resultados
+const ESPERA_BUSQUEDA_MS = 250;
+
+const leerBusquedasRecientes = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CLAVE_BUSQUEDAS)) || [];
+  } catch {
+    return [];
+  }
+};
+
+// Minúsculas y sin acentos, para buscar en las canciones del navegador como
+// compara el servidor
+const sinAcentos = (texto) => (texto || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+// Para "continuar donde lo dejaste ... en Firefox en Windows"
+const nombreDispositivo = () => {
+  const ua = navigator.userAgent;
+  const navegador = /Edg\//.test(ua) ? "Edge"
+    : /Firefox\//.test(ua) ? "Firefox"
+    : /Chrome\//.test(ua) ? "Chrome"
+    : /Safari\//.test(ua) ? "Safari"
+    : "el navegador";
+  const sistema = /Android/.test(ua) ? "Android"
+    : /iPhone|iPad/.test(ua) ? "iOS"
+    : /Windows/.test(ua) ? "Windows"
+    : /Mac OS/.test(ua) ? "Mac"
+    : /Linux/.test(ua) ? "Linux"
+    : "otro dispositivo";
+  return `${navegador} en ${sistema}`;
+};
+
+// Atajos de teclado del reproductor, para la ayuda que se abre con "?"
+const ATAJOS = [
+  ["Espacio", "Reproducir / pausar"],
+  ["← / →", "Retroceder / adelantar 5 segundos"],
+  ["↑ / ↓", "Subir / bajar el volumen"],
+  ["N", "Siguiente canción"],
+  ["P", "Canción anterior"],
+  ["M", "Silenciar / restaurar el volumen"],
+  ["V", "Abrir / cerrar la vista de reproducción"],
+  ["L", "Mostrar / ocultar la letra"],
+  ["?", "Mostrar u ocultar esta ayuda"],
+];
+
+const MODOS_VISUALIZADOR = [
+  { id: "barras", nombre: "Barras" },
+  { id: "onda", nombre: "Onda" },
+  { id: "circular", nombre: "Circular" },
+];
+
+const SALTO_SEGUNDOS = 5;
+const PASO_VOLUMEN = 0.05;
+
+// Transición entre canciones en segundos: 0 es sin crossfade
+const MAX_CROSSFADE = 12;
+// La próxima canción se empieza a precargar este tiempo antes de la transición
+const SEGUNDOS_PRECARGA = 15;
+// Sin crossfade, el cambio se programa con un timer cuando falta menos que
+// esto. No es gapless exacto: play() de un <audio> no se puede programar con
+// el reloj de Web Audio, así que puede quedar un silencio de algunos ms (para
+// eso habría que decodificar las canciones a AudioBuffer).
+const MARGEN_CAMBIO = 0.5;
+
+// Normalización de volumen: las ganancias que calcula el servidor llevan cada
+// canción a -18 LUFS y acá se les suma la diferencia con el nivel elegido
+const REFERENCIA_LUFS = -18;
+const NIVELES_NORMALIZACION = [
+  [-23, "Bajo (-23 LUFS, como la TV)"],
+  [-18, "Medio (-18 LUFS, como ReplayGain)"],
+  [-14, "Alto (-14 LUFS, como Spotify o YouTube)"],
+];
+const NORMALIZACION_INICIAL = { enabled: true, mode: "track", target: -14 };
+
+// Factor para gainNode. Sin análisis (locales o todavía pendientes) la
+// canción suena tal cual; nunca se sube más de lo que permite su pico.
+const gananciaNormalizada = (cancion, normalizacion) => {
+  const rg = cancion?.replayGain;
+  if (!normalizacion.enabled || !rg) return 1;
+  const porAlbum = normalizacion.mode === "album" && rg.albumGain !== null;
+  const db = (porAlbum ? rg.albumGain : rg.trackGain) + normalizacion.target - REFERENCIA_LUFS;
+  const pico = porAlbum ? rg.albumPeak : rg.trackPeak;
+  const ganancia = 10 ** (db / 20);
+  return pico > 0 ? Math.min(ganancia, 1 / pico) : ganancia;
+};
+
+// Curvas de igual potencia: el volumen total no baja a la mitad del crossfade
+const CURVA_ENTRADA = Float32Array.from({ length: 32 }, (_, i) => Math.sin((i / 31) * Math.PI / 2));
+const CURVA_SALIDA = Float32Array.from(CURVA_ENTRADA).reverse();
+
+// Los dos elementos de audio se turnan: el handler se suscribe a los dos pero
+// solo se llama con los eventos del que está sonando como principal
+const escucharPrincipal = (principalRef, secundarioRef, eventos, handler) => {
+  const elementos = [principalRef.current, secundarioRef.current].filter(Boolean);
+  const soloPrincipal = (e) => {
+    if (e.target === principalRef.current) handler(e);
+  };
+  elementos.forEach((el) => eventos.forEach((ev) => el.addEventListener(ev, soloPrincipal)));
+  return () => elementos.forEach((el) => eventos.forEach((ev) => el.removeEventListener(ev, soloPrincipal)));
+};
+
+const formatearTiempo = (segundos) =>
+  `${Math.floor(segundos / 60)}:${String(Math.floor(segundos % 60)).padStart(2, "0")}`;
 
 export default function App() {
   const [darkMode, setDarkMode] = useState(localStorage.getItem("tema") === "oscuro");
-  const [volume, setVolume] = useState(1);
+  // Volumen, aleatorio, repetir y ecualizador arrancan como se dejaron
+  const [guardado] = useState(() => leerEstadoLocal()?.state || null);
+  const [volume, setVolume] = useState(guardado ? guardado.volume : 1);
   const [isPlaying, setIsPlaying] = useState(false);
-  const [activeSection, setActiveSection] = useState("inicio");
-  const [activeUser, setActiveUser] = useState(null);
-  const [messages, setMessages] = useState([]);
+  // Los enlaces de los emails llegan como ?reset=<token> o ?verificar=<token>
+  const [resetToken, setResetToken] = useState(() => new URLSearchParams(window.location.search).get("reset"));
+  const [activeSection, setActiveSection] = useState(resetToken ? "perfil" : "inicio");
   const [isReproductorMinimized, setIsReproductorMinimized] = useState(false);
   const [user, setUser] = useState(null);
+  const [avisoCuenta, setAvisoCuenta] = useState(null);
 
   useEffect(() => {
-    fetch('http://localhost:4000/api/verify', {
-      credentials: 'include'
-    })
+    apiFetch('/api/verify')
     .then(res => {
       if (res.ok) return res.json();
       throw new Error('No autenticado');
@@ -23,113 +169,540 @@ export default function App() {
     .then(data => setUser(data.user))
     .catch(() => setUser(null));
   }, []);
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const verificar = params.get("verificar");
+    if (!params.has("reset") && !verificar) return;
+
+    // Se limpia la URL para que el token no quede en el historial ni se reenvíe al recargar
+    window.history.replaceState(null, "", window.location.pathname);
+    if (!verificar) return;
+
+    setActiveSection("perfil");
+    fetch(`${API_URL}/api/email/verify`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token: verificar })
+    })
+      .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        setAvisoCuenta({ tipo: res.ok ? "exito" : "error", texto: res.ok ? "¡Tu email quedó verificado!" : data.message });
+        if (res.ok) setUser((actual) => actual && { ...actual, emailVerified: true });
+      })
+      .catch(() => setAvisoCuenta({ tipo: "error", texto: "No se pudo conectar con el servidor" }));
+  }, []);
+
+  // Playlist abierta desde un enlace compartido (?compartida=<token>)
+  const [compartida, setCompartida] = useState(null);
+
+  useEffect(() => {
+    const token = new URLSearchParams(window.location.search).get("compartida");
+    if (!token) return;
+    fetch(`${API_URL}/api/shared/${encodeURIComponent(token)}`)
+      .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        setCompartida(res.ok ? data : { error: data.message || "No se pudo abrir la playlist" });
+      })
+      .catch(() => setCompartida({ error: "No se pudo conectar con el servidor" }));
+  }, []);
+
+  const cerrarCompartida = () => {
+    setCompartida(null);
+    window.history.replaceState(null, "", window.location.pathname);
+  };
+
+  const [playlistsPublicas, setPlaylistsPublicas] = useState([]);
+  const [curadas, setCuradas] = useState([]);
+
+  useEffect(() => {
+    fetch(`${API_URL}/api/playlists/curated`)
+      .then(res => (res.ok ? res.json() : { playlists: [] }))
+      .then(data => setCuradas(data.playlists))
+      .catch(() => setCuradas([]));
+  }, []);
+
+  useEffect(() => {
+    fetch(`${API_URL}/api/playlists/public?limit=12`)
+      .then(res => (res.ok ? res.json() : { playlists: [] }))
+      .then(data => setPlaylistsPublicas(data.playlists))
+      .catch(() => setPlaylistsPublicas([]));
+  }, []);
+
+  const reenviarVerificacion = async () => {
+    const res = await apiFetch('/api/email/verify/resend', { method: 'POST' });
+    const data = await res.json().catch(() => ({}));
+    setAvisoCuenta({ tipo: res.ok ? "exito" : "error", texto: data.message || "No se pudo enviar el email" });
+  };
+
+  const [misPlaylists, setMisPlaylists] = useState([]);
+  const [mostrarAgregar, setMostrarAgregar] = useState(false);
+
+  const cargarMisPlaylists = () => {
+    apiFetch('/api/playlists')
+      .then(res => (res.ok ? res.json() : { playlists: [] }))
+      .then(data => setMisPlaylists(data.playlists))
+      .catch(() => setMisPlaylists([]));
+  };
+
+  useEffect(() => {
+    if (user) cargarMisPlaylists();
+    else setMisPlaylists([]);
+  }, [user]);
+
+  const crearPlaylist = async () => {
+    if (!user) {
+      alert('Iniciá sesión para crear playlists');
+      setActiveSection('perfil');
+      return;
+    }
+    const nombre = prompt('Nombre de la nueva playlist:');
+    if (!nombre || !nombre.trim()) return;
+    const res = await apiFetch('/api/playlists', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ nombre })
+    });
+    if (res.ok) cargarMisPlaylists();
+    else alert('No se pudo crear la playlist');
+  };
   
 
-  const musicFiles = [
-    "/musica/08  - YSY A x BHAVI ft. MILO J - FLECHAZO EN EL CENTRO (PROD. ONIRIA).mp3",
-    "/musica/22. Hasta el Amanecer - Nicky Jam  Video Oficial - NickyJamTV.mp3",
-    "/musica/2Pac - All Eyez On Me - Seven Hip-Hop.mp3",
-    "/musica/2Pac - Hit 'Em Up (Dirty) (Music Video) HD - Seven Hip-Hop.mp3",
-    "/musica/A las Nueve.mp3",
-    "/musica/a-ha - Take On Me (Official Video) [4K] - a-ha.mp3",
-    "/musica/ACDC - Back In Black (Official Video).mp3",
-    "/musica/ACDC - Highway to Hell (Official Video).mp3",
-    "/musica/ACDC - Thunderstruck (Official Video).mp3",
-    "/musica/Andrés Calamaro - Flaca (Videoclip Oficial).mp3",
-    "/musica/Antonio Rios - Nunca me Faltes.mp3",
-    "/musica/AYAX - ZINEDINE (PROD. HUECO PRODS) VIDEOCLIP.mp3",
-    "/musica/Baila Morena - Hector y Tito ft. Don Omar _ Glory ( Tiktok song, Lyrics Video) - LyricsForYou.mp3",
-    "/musica/Balada Del Diablo y La Muerte.mp3",
-    "/musica/Beyoncé - Crazy In Love ft. JAY Z - BeyoncéVEVO.mp3",
-    "/musica/Bhavi ft. Ecko - Piso (Prod. by Omar Varela).mp3",
-    "/musica/Big Poppa (2007 Remaster) - The Notorious B.I.G..mp3",
-    "/musica/Billie Eilish - BIRDS OF A FEATHER (Official Music Video) - BillieEilishVEVO.mp3",
-    "/musica/Billie Jean - Michael Jackson.mp3",
-    "/musica/Blackened (Remastered).mp3",
-    "/musica/Chaqueño Palavecino -  El Dedo En La Llaga.mp3",
-    "/musica/Chic 'N' Stu.mp3",
-    "/musica/Ciro y Los Persas  ASTROS  (Registro Oficial de la Grabación).mp3",
-    "/musica/Daddy Yankee   Lo Que Paso Paso HQ - Neranjan manabharana.mp3",
-    "/musica/Daddy Yankee - Gasolina - Music.mp3",
-    "/musica/Dejenlá Que Llore.mp3",
-    "/musica/Don Omar - Dile - Sonido Mix.mp3",
-    "/musica/Dr. Dre - Still D.R.E. ft. Snoop Dogg - DrDreVEVO.mp3",
-    "/musica/Dr. Dre - The Next Episode (Official Music Video) ft. Snoop Dogg, Kurupt, Nate Dogg - DrDreVEVO.mp3",
-    "/musica/DUKI - GIVENCHY (Video Oficial).mp3",
-    "/musica/DUKI - Goteo (Video Oficial).mp3",
-    "/musica/DUKI - Rockstar (Video Oficial).mp3",
-    "/musica/Duki - She Don't Give a FO (ft. Khea) Prod. by Omar Varela.mp3",
-    "/musica/DUKI, Ysy A, C.R.O - Hijo de la Noche (Video Oficial).mp3",
-    "/musica/Eazy E - Boyz-n-the-Hood (Music Video) - TheHipHopSyko.mp3",
-    "/musica/Eazy E - No More Question's - TehRapChannel.mp3",
-    "/musica/Eazy-Duz-It - Ruthless Records.mp3",
-    "/musica/Eazy-E - Real Muthaphuckkin G's (Music Video) - Creative Hip-Hop.mp3",
-    "/musica/ECKO - DORADO (Prod. by Omar Varela).mp3",
-  ];
+  const [biblioteca, setBiblioteca] = useState([]);
 
-  const [playlists] = useState([
-    {
-      nombre: "Rock Clásico",
-      portada: "https://s0.smartresize.com/wallpaper/963/312/HD-wallpaper-music-heavy-metal-1980s-cover-art-rock-music-rock-and-roll-thumbnail.jpg",
-      gradient: "linear-gradient(to top, rgba(255, 0, 0, 0.6), transparent)",
-      canciones: musicFiles.filter((f) => /ACDC|Queen|Guns N' Roses|Kiss|Red Hot Chili|Survivor|Beatles|Rolling Stones|Evanescence/i.test(f)),
-    },
-    {
-      nombre: "Pop Hits",
-      portada: "https://previews.123rf.com/images/studioaccendo/studioaccendo2304/studioaccendo230406225/202236994-pop-art-comic-book-explosion-background-pop-art-comics-book-magazine-cover.jpg.jpg",
-      gradient: "linear-gradient(to top, rgba(0, 123, 255, 0.6), transparent)",
-      canciones: musicFiles.filter((f) => /a-ha|Beyoncé|Billie Eilish|Harry Styles|Katy Perry|Lady Gaga|Bruno Mars|Mark Ronson|The Weeknd|Rihanna|Michael Jackson/i.test(f)),
-    },
-    {
-      nombre: "Rock Nacional",
-      portada: "https://cdn-images.dzcdn.net/images/talk/8000396a999b5073426a77512589d31d/500x500.jpg",
-      gradient: "linear-gradient(to top, rgba(40, 167, 69, 0.6), transparent)",
-      canciones: musicFiles.filter((f) => /Andrés Calamaro|Ciro y Los Persas|Soda Stereo|Gustavo Cerati|Rata Blanca/i.test(f)),
-    },
-    {
-      nombre: "Trap Argentino",
-      portada: "https://i.pinimg.com/736x/82/86/b2/8286b254915c576c20b49b6bbc265ad9.jpg",
-      gradient: "linear-gradient(to top, rgba(111, 66, 193, 0.6), transparent)",
-      canciones: musicFiles.filter((f) => /DUKI|Duki|YSY A|Bhavi|ECKO/i.test(f)),
-    },
-    {
-      nombre: "Reggaetón Viejo",
-      portada: "https://i1.sndcdn.com/avatars-Ja0cz1ZARCNmLw3B-20rHyw-t500x500.jpg",
-      gradient: "linear-gradient(to top, rgba(255, 193, 7, 0.6), transparent)",
-      canciones: musicFiles.filter((f) => /Nicky Jam|Daddy Yankee|Don Omar|Tego Calderón/i.test(f)),
-    },
-    {
-      nombre: "Rap 90s",
-      portada: "https://i.pinimg.com/474x/7b/0b/79/7b0b79d10a0d054f9e4240dc4467b864.jpg",
-      gradient: "linear-gradient(to top, rgba(108, 117, 125, 0.6), transparent)",
-      canciones: musicFiles.filter((f) => /2Pac|Notorious|Dr. Dre|Eazy E|Ice Cube|Eminem/i.test(f)),
-    },
-    {
-      nombre: "Cumbia",
-      portada: "https://img.freepik.com/vector-premium/ilustracion-texto-cumbia-dibujada-mano_23-2150777894.jpg",
-      gradient: "linear-gradient(to top, rgba(220, 53, 69, 0.6), transparent)",
-      canciones: musicFiles.filter((f) => /Antonio Rios|Los Ángeles Azules|Dejenlá|Pibe Cantina|Chaqueño Palavecino/i.test(f)),
-    },
-    {
-      nombre: "Heavy Metal Clasicos",
-      portada: "https://images.cdn2.buscalibre.com/fit-in/360x360/f8/01/f801e5411aa5550906b439459ef42782.jpg",
-      gradient: "linear-gradient(to top, rgba(0, 0, 0, 0.6), transparent)",
-      canciones: musicFiles.filter((f) => /Blackened|Judas Priest|Metallica|Raining Blood|Rammstein|Painkiller|Master of Puppets/i.test(f)),
-    },
-  ]);
-
-  const [canciones, setCanciones] = useState([]);
-  const [playlistActiva, setPlaylistActiva] = useState(null);
+  // Canciones guardadas en este navegador (IndexedDB). Se leen una sola vez y
+  // la promesa se guarda para que retomar() también las espere.
   const [cancionesLocales, setCancionesLocales] = useState([]);
+  const [espacioLocal, setEspacioLocal] = useState(null);
+  const localesRef = useRef(null);
+
+  const cargarLocales = () => {
+    if (!localesRef.current) {
+      localesRef.current = Local.listar()
+        .then((registros) => registros.map(Local.aCancion))
+        .catch(() => [])
+        .then((lista) => {
+          setCancionesLocales(lista);
+          return lista;
+        });
+    }
+    return localesRef.current;
+  };
+
+  // Se recarga al cambiar de usuario porque incluye sus canciones subidas
+  useEffect(() => {
+    Promise.all([cargarBiblioteca().catch(() => []), cargarLocales()])
+      .then(([lista, locales]) => {
+        setBiblioteca(lista);
+        retomar([...lista, ...locales]);
+      });
+  }, [user]);
+
+  const bibliotecaPorId = useMemo(
+    () => new Map([...biblioteca, ...cancionesLocales].map((s) => [s.id, s])),
+    [biblioteca, cancionesLocales]
+  );
+
+  // Índice por ruta para mostrar los datos de las canciones de playlists del servidor
+  const bibliotecaPorRuta = useMemo(
+    () => new Map(biblioteca.map((s) => [s.path, s])),
+    [biblioteca]
+  );
+
+  const cancionDesdeRuta = (ruta) =>
+    bibliotecaPorRuta.get(ruta) || { id: ruta, path: ruta, url: ruta, title: ruta.split("/").pop(), artist: null };
+
+  // Las playlists destacadas vienen del servidor y se completan con las
+  // canciones del catálogo y de este navegador que coinciden con su patrón
+  const playlists = useMemo(() => {
+    const canciones = [...biblioteca, ...cancionesLocales];
+    return curadas.map((pl) => {
+      const patron = new RegExp(pl.pattern, "i");
+      return {
+        ...pl,
+        canciones: canciones.filter((s) => patron.test(`${s.artist || ""} ${s.title} ${s.path || s.archivo}`)),
+      };
+    });
+  }, [curadas, biblioteca, cancionesLocales]);
+
+  const [mixDiario, setMixDiario] = useState(null);
+
+  useEffect(() => {
+    if (!user) {
+      setMixDiario(null);
+      return;
+    }
+    apiFetch('/api/recommendations/daily')
+      .then(res => (res.ok ? res.json() : null))
+      .then(setMixDiario)
+      .catch(() => setMixDiario(null));
+  }, [user]);
+
+  // El mix diario no tiene id: no se le puede asignar preset de ecualizador
+  const contextoDestacada = (pl) => (pl.id ? `curated:${pl.id}` : null);
+
+  // La tarjeta personalizada va primera, con la portada de alguna de sus canciones
+  const destacadas = useMemo(() => {
+    if (!mixDiario || mixDiario.songs.length === 0) return playlists;
+    const conPortada = mixDiario.songs.find((s) => s.cover);
+    return [
+      {
+        nombre: mixDiario.nombre,
+        portada: conPortada ? conPortada.cover : null,
+        gradient: "linear-gradient(to top, rgba(29, 185, 84, 0.7), rgba(0, 123, 255, 0.3))",
+        canciones: mixDiario.songs,
+        personalizada: mixDiario.personalized,
+      },
+      ...playlists,
+    ];
+  }, [mixDiario, playlists]);
+
   const [busqueda, setBusqueda] = useState("");
+  const [subidas, setSubidas] = useState([]);
+
+  const misSubidas = biblioteca.filter((s) => s.uploaded);
+
+  const actualizarEspacioLocal = () => {
+    Local.espacio().then(setEspacioLocal).catch(() => setEspacioLocal(null));
+  };
+
+  useEffect(() => {
+    if (activeSection === "descargas") actualizarEspacioLocal();
+  }, [activeSection]);
+
+  const importarLocales = async (analizados) => {
+    try {
+      const registros = await Local.importar(analizados);
+      setCancionesLocales((prev) => [...prev, ...registros.map(Local.aCancion)]);
+    } catch (err) {
+      alert(err?.name === "QuotaExceededError"
+        ? "No hay espacio en el navegador para guardar esas canciones"
+        : "No se pudieron guardar las canciones");
+    }
+    actualizarEspacioLocal();
+  };
+
+  const eliminarLocal = async (cancion) => {
+    try {
+      await Local.eliminar(cancion.id);
+    } catch {
+      alert("No se pudo eliminar la canción");
+      return;
+    }
+    setCancionesLocales((prev) => prev.filter((c) => c.id !== cancion.id));
+    // Si está sonando, la URL se deja viva hasta que se recargue la página
+    if (cancion.id !== cancionActual?.id) Local.liberar(cancion);
+    actualizarEspacioLocal();
+  };
+
+  const actualizarSubida = (id, cambios) =>
+    setSubidas((prev) => prev.map((s) => (s.id === id ? { ...s, ...cambios } : s)));
+
+  // Con sesión iniciada los archivos se suben al servidor de a uno
+  const subirArchivos = async (archivos) => {
+    const nuevas = archivos.map((file) => ({
+      id: `${file.name}-${file.lastModified}-${Math.random()}`,
+      file,
+      nombre: file.name,
+      progreso: 0,
+      estado: "pendiente",
+    }));
+    setSubidas((prev) => [...prev, ...nuevas]);
+
+    for (const subida of nuevas) {
+      actualizarSubida(subida.id, { estado: "subiendo" });
+      try {
+        const song = await subirCancion(subida.file, (progreso) => actualizarSubida(subida.id, { progreso }));
+        setBiblioteca((prev) => [...prev, song]);
+        setSubidas((prev) => prev.filter((s) => s.id !== subida.id));
+      } catch (err) {
+        actualizarSubida(subida.id, { estado: "error", error: err.message });
+      }
+    }
+  };
+
+  // Antes de cargar se leen los archivos y se muestran para revisar, con los
+  // duplicados desmarcados. Después se suben o se guardan en el navegador.
+  const [revisionCarga, setRevisionCarga] = useState(null);
+  const [arrastrandoArchivos, setArrastrandoArchivos] = useState(false);
+  // Para cortar el análisis si se cancela o se sueltan otros archivos
+  const cargaActualRef = useRef(null);
+
+  const prepararCarga = async (archivos) => {
+    const audio = archivos.filter(Importacion.esAudio);
+    if (audio.length === 0) {
+      alert("No se encontraron archivos de audio (MP3, M4A, AAC, OGG, FLAC o WAV)");
+      return;
+    }
+    const reproducibles = audio.filter(Importacion.sePuedeReproducir);
+    const carga = {
+      leidos: 0,
+      total: reproducibles.length,
+      items: null,
+      noSoportados: audio.filter((a) => !reproducibles.includes(a)).map((a) => a.name),
+      ignorados: archivos.length - audio.length,
+      // Los que fallan al leerse (archivos dañados, sin permiso) no frenan al resto
+      ilegibles: [],
+    };
+    cargaActualRef.current = carga;
+    setRevisionCarga(carga);
+
+    const analizados = [];
+    const ilegibles = [];
+    for (const archivo of reproducibles) {
+      try {
+        analizados.push(await Local.analizar(archivo));
+      } catch {
+        ilegibles.push(archivo.name);
+      }
+      if (cargaActualRef.current !== carga) return;
+      setRevisionCarga((prev) => ({ ...prev, leidos: analizados.length + ilegibles.length, ilegibles: [...ilegibles] }));
+    }
+    const items = Importacion.buscarDuplicados(analizados, [...biblioteca, ...cancionesLocales])
+      .map((item) => ({ ...item, elegido: !item.duplicado }));
+    setRevisionCarga((prev) => ({ ...prev, items }));
+  };
+
+  const cancelarCarga = () => {
+    cargaActualRef.current = null;
+    setRevisionCarga(null);
+  };
+
+  const alternarElegido = (index) =>
+    setRevisionCarga((prev) => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, elegido: !item.elegido } : item)),
+    }));
+
+  const confirmarCarga = () => {
+    const elegidos = revisionCarga.items.filter((item) => item.elegido);
+    cancelarCarga();
+    if (user) {
+      subirArchivos(elegidos.map((item) => item.blob));
+      return;
+    }
+    importarLocales(elegidos);
+  };
+
+  const describirDuplicado = ({ motivo, cancion, origen }) => {
+    const con = origen === "tanda" ? "otro de los archivos elegidos" : `«${cancion.title}»${cancion.local ? " (en este navegador)" : ""}`;
+    return motivo === "archivo" ? `Mismo archivo que ${con}` : `Mismo artista, título y duración que ${con}`;
+  };
+
+  // Solo reacciona a archivos arrastrados desde la computadora, no a las
+  // canciones que se arrastran dentro de la cola
+  const arrastrarSobreDescargas = (e) => {
+    if (!e.dataTransfer.types.includes("Files")) return;
+    e.preventDefault();
+    setArrastrandoArchivos(true);
+  };
+
+  const soltarEnDescargas = async (e) => {
+    if (!e.dataTransfer.types.includes("Files")) return;
+    e.preventDefault();
+    setArrastrandoArchivos(false);
+    let archivos;
+    try {
+      archivos = await Importacion.archivosSoltados(e.dataTransfer);
+    } catch {
+      alert("No se pudieron leer los archivos soltados");
+      return;
+    }
+    prepararCarga(archivos);
+  };
+
+  const eliminarSubida = async (song) => {
+    if (!confirm(`¿Eliminar "${song.title}" del servidor?`)) return;
+    const res = await apiFetch(`/api/songs/${song.id}`, { method: "DELETE" });
+    if (res.ok) {
+      setBiblioteca((prev) => prev.filter((s) => s.id !== song.id));
+      cargarMisPlaylists();
+    }
+  };
+
+  // Importar y exportar playlists como archivos M3U/M3U8, PLS o XSPF
+  const [exportOrigen, setExportOrigen] = useState("");
+  const [exportFormato, setExportFormato] = useState("m3u8");
+  const [importacion, setImportacion] = useState(null);
+
+  const exportables = [
+    ...destacadas
+      .map((pl, index) => ({ clave: `destacada:${index}`, nombre: pl.nombre, canciones: pl.canciones }))
+      .filter((pl) => pl.canciones.length > 0),
+    ...misPlaylists.map((pl) => ({ clave: `mia:${pl.id}`, nombre: pl.nombre, id: pl.id })),
+  ];
+
+  const exportarPlaylist = async () => {
+    const origen = exportables.find((pl) => pl.clave === exportOrigen);
+    if (!origen) return;
+    const res = origen.id
+      ? await apiFetch(`/api/playlists/${origen.id}/export?format=${exportFormato}`)
+      : await apiFetch(`/api/playlists/export?format=${exportFormato}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ nombre: origen.nombre, songIds: origen.canciones.map((s) => s.id) }),
+        });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      alert(data.message || "No se pudo exportar la playlist");
+      return;
+    }
+    await descargarRespuesta(res, `${origen.nombre}.${exportFormato}`);
+  };
+
+  // Primero se pide una vista previa (dryRun) para mostrar qué canciones se
+  // encontraron; la playlist se crea recién al confirmar
+  const enviarImportacion = async (archivo, { nombre, dryRun }) => {
+    const form = new FormData();
+    if (nombre) form.append("nombre", nombre);
+    if (dryRun) form.append("dryRun", "true");
+    form.append("file", archivo);
+    const res = await apiFetch("/api/playlists/import", { method: "POST", body: form });
+    const data = await res.json().catch(() => ({}));
+    return { ok: res.ok, data };
+  };
+
+  const previsualizarImportacion = async (archivo) => {
+    setImportacion({ archivo, cargando: true });
+    const { ok, data } = await enviarImportacion(archivo, { dryRun: true });
+    setImportacion(
+      ok
+        ? { archivo, nombre: data.nombre, resultado: data }
+        : { archivo, error: data.message || "No se pudo leer el archivo" }
+    );
+  };
+
+  const confirmarImportacion = async () => {
+    setImportacion({ ...importacion, cargando: true });
+    const { ok, data } = await enviarImportacion(importacion.archivo, { nombre: importacion.nombre });
+    if (!ok) {
+      setImportacion({ ...importacion, cargando: false, error: data.message || "No se pudo importar la playlist" });
+      return;
+    }
+    setImportacion(null);
+    cargarMisPlaylists();
+    alert(`Playlist "${data.playlist.nombre}" creada con ${data.matched} canciones`);
+  };
 
+  // Hay dos elementos de audio para el crossfade: audioRef es el que suena y
+  // audioSiguienteRef precarga la próxima canción (o termina de apagar la anterior).
+  // Al pasar de canción intercambian lugares.
   const audioRef = useRef(null);
+  const audioSiguienteRef = useRef(null);
+  // Ganancia propia de cada elemento dentro del grafo de Web Audio
+  const gananciasRef = useRef(new Map());
+  const fundidoRef = useRef(null);
+
+  const fijarGanancia = (elemento, valor) => {
+    const ganancia = gananciasRef.current.get(elemento);
+    if (!ganancia) return;
+    ganancia.gain.cancelScheduledValues(0);
+    ganancia.gain.value = valor;
+  };
+
+  // Corta un crossfade en curso: la saliente se calla y la entrante queda al máximo
+  const terminarFundido = () => {
+    const fundido = fundidoRef.current;
+    if (!fundido) return;
+    fundidoRef.current = null;
+    clearTimeout(fundido.timer);
+    fundido.saliente.pause();
+    fijarGanancia(fundido.saliente, 0);
+    fijarGanancia(fundido.entrante, 1);
+  };
+
+  const fundir = (saliente, entrante, segundos) => {
+    const ctx = audioCtxRef.current;
+    const gSaliente = gananciasRef.current.get(saliente);
+    const gEntrante = gananciasRef.current.get(entrante);
+    if (!ctx || !gSaliente || !gEntrante || segundos <= 0) {
+      saliente.pause();
+      fijarGanancia(entrante, 1);
+      return;
+    }
+    const ahora = ctx.currentTime;
+    gSaliente.gain.cancelScheduledValues(ahora);
+    gEntrante.gain.cancelScheduledValues(ahora);
+    gSaliente.gain.setValueCurveAtTime(CURVA_SALIDA, ahora, segundos);
+    gEntrante.gain.setValueCurveAtTime(CURVA_ENTRADA, ahora, segundos);
+    fundidoRef.current = { saliente, entrante, timer: setTimeout(terminarFundido, segundos * 1000) };
+  };
+
   const progressRef = useRef(null);
   const progressContainerRef = useRef(null);
 
-  const [currentIndex, setCurrentIndex] = useState(0);
-  const [isShuffle, setIsShuffle] = useState(false);
-  const [isRepeat, setIsRepeat] = useState(false);
+  const [recientes, setRecientes] = useState([]);
+
+  const cargarRecientes = () => {
+    apiFetch('/api/history?unique=true&limit=12')
+      .then(res => (res.ok ? res.json() : { history: [] }))
+      .then(data => setRecientes(data.history))
+      .catch(() => setRecientes([]));
+  };
+
+  useEffect(() => {
+    if (user) cargarRecientes();
+    else setRecientes([]);
+  }, [user]);
+
+  // Reproducción en curso para el historial: cuándo empezó y cuántos segundos
+  // se escucharon de verdad (adelantar o retroceder no suma)
+  const escuchaRef = useRef(null);
+  // Segundo al que se va a saltar cuando cargue la canción (al retomar)
+  const posicionPendienteRef = useRef(null);
+
+  // Informa la reproducción actual al servidor. Cuenta como salteada si se dejó
+  // antes de terminar y sin llegar al 90% de la canción.
+  const registrarEscucha = (terminada, alSalir = false) => {
+    const escucha = escuchaRef.current;
+    escuchaRef.current = null;
+    if (!escucha || !escucha.registrar) return;
+
+    const audio = audioRef.current;
+    const avance = audio && audio.duration ? audio.currentTime / audio.duration : 0;
+    apiFetch('/api/history', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        songId: escucha.cancion.id,
+        startedAt: escucha.inicio,
+        listenedSeconds: Math.round(escucha.escuchado),
+        skipped: !terminada && avance < 0.9,
+        context: escucha.contexto
+      }),
+      // Para que el pedido sobreviva si se está cerrando la pestaña
+      keepalive: alSalir
+    })
+      .then(res => {
+        if (res.ok && !alSalir) cargarRecientes();
+      })
+      .catch(() => {});
+  };
+
+  useEffect(() => {
+    const contar = (e) => {
+      const audio = e.target;
+      const escucha = escuchaRef.current;
+      if (!escucha) return;
+      const delta = audio.currentTime - escucha.ultimaPosicion;
+      if (delta > 0 && delta < 2) escucha.escuchado += delta;
+      escucha.ultimaPosicion = audio.currentTime;
+    };
+    const alSalir = () => registrarEscucha(false, true);
+    const dejarDeContar = escucharPrincipal(audioRef, audioSiguienteRef, ["timeupdate"], contar);
+    window.addEventListener("pagehide", alSalir);
+    return () => {
+      dejarDeContar();
+      window.removeEventListener("pagehide", alSalir);
+    };
+  }, []);
+
+  const [cola, setCola] = useState(Cola.colaVacia);
+  const [mostrarCola, setMostrarCola] = useState(false);
+  const [arrastrandoCola, setArrastrandoCola] = useState(null);
+  const [isShuffle, setIsShuffle] = useState(guardado ? guardado.shuffle : false);
+  const [isRepeat, setIsRepeat] = useState(guardado ? guardado.repeat : false);
+  const [crossfade, setCrossfade] = useState(guardado?.crossfade ?? 0);
 
   useEffect(() => {
     document.body.classList.toggle("modo-oscuro", darkMode);
@@ -138,57 +711,343 @@ export default function App() {
   }, [darkMode]);
 
   useEffect(() => {
-    if (audioRef.current) audioRef.current.volume = volume;
+    for (const audio of [audioRef.current, audioSiguienteRef.current]) {
+      if (audio) audio.volume = volume;
+    }
   }, [volume]);
 
   useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-    const updateProgress = () => {
+    const updateProgress = (e) => {
+      const audio = e.target;
       if (progressRef.current) {
         const porcentaje = (audio.currentTime / audio.duration) * 100;
         progressRef.current.style.width = `${porcentaje}%`;
       }
     };
-    audio.addEventListener("timeupdate", updateProgress);
-    return () => audio.removeEventListener("timeupdate", updateProgress);
+    return escucharPrincipal(audioRef, audioSiguienteRef, ["timeupdate"], updateProgress);
+  }, []);
+
+  // Si el servidor exige sesión para el stream y el access token venció a mitad
+  // de la canción, se renueva y se retoma en el mismo punto (un intento por canción).
+  useEffect(() => {
+    let reintentada = null;
+    const handleError = async (e) => {
+      const audio = e.target;
+      if (!audio.src.includes("/api/stream/") || reintentada === audio.src) return;
+      reintentada = audio.src;
+      const posicion = audio.currentTime;
+      if (!(await refreshSession())) return;
+      audio.addEventListener("loadedmetadata", () => {
+        audio.currentTime = posicion;
+      }, { once: true });
+      audio.load();
+      audio.play();
+    };
+    return escucharPrincipal(audioRef, audioSiguienteRef, ["error"], handleError);
   }, []);
   const togglePlay = () => {
     if (!audioRef.current) return;
+    terminarFundido();
     if (isPlaying) audioRef.current.pause();
     else audioRef.current.play();
     setIsPlaying(!isPlaying);
   };
 
-  const playSong = (index) => {
-    if (!canciones.length) return;
-    const newIndex = (index + canciones.length) % canciones.length;
-    setCurrentIndex(newIndex);
-    audioRef.current.src = canciones[newIndex];
-    audioRef.current.play();
+  const cancionActual = cola.actual ? cola.actual.cancion : null;
+
+  // Guarda la cola nueva y reproduce su entrada actual. Recibe la cola ya
+  // calculada para no depender de que el estado se haya actualizado.
+  // `desde` arranca en ese segundo; `pausado` la deja lista sin reproducir.
+  // Con `fundido` (segundos) la canción sale del elemento secundario, donde
+  // se precargó, y se cruza con la anterior; `terminada` es para el historial.
+  const sonar = (nuevaCola, { desde = 0, pausado = false, fundido = null, terminada = false } = {}) => {
+    setCola(nuevaCola);
+    registrarEscucha(terminada);
+    terminarFundido();
+    const entrada = nuevaCola.actual;
+    if (!entrada) {
+      audioRef.current.pause();
+      setIsPlaying(false);
+      return;
+    }
+    // Solo las canciones del catálogo del servidor van al historial
+    escuchaRef.current = {
+      cancion: entrada.cancion,
+      inicio: new Date().toISOString(),
+      escuchado: 0,
+      ultimaPosicion: desde,
+      contexto: entrada.manual || !nuevaCola.origen ? null : nuevaCola.origen.nombre,
+      registrar: Boolean(user) && entrada.cancion.url.startsWith("/api/stream/")
+    };
+    let audio = audioRef.current;
+    if (fundido !== null) {
+      const saliente = audio;
+      audio = audioSiguienteRef.current;
+      audioRef.current = audio;
+      audioSiguienteRef.current = saliente;
+      fundir(saliente, audio, fundido);
+    } else {
+      fijarGanancia(audio, 1);
+    }
+    // Si ya estaba cargada (precarga o repetir) no se vuelve a pedir
+    if (audio.src !== new URL(entrada.cancion.url, window.location.href).href || audio.error) {
+      audio.src = entrada.cancion.url;
+    } else {
+      audio.currentTime = desde;
+    }
+    posicionPendienteRef.current = desde > 0 ? desde : null;
+    if (desde > 0) {
+      audio.addEventListener("loadedmetadata", () => {
+        audio.currentTime = desde;
+        posicionPendienteRef.current = null;
+      }, { once: true });
+    }
+    if (pausado) {
+      setIsPlaying(false);
+      return;
+    }
+    audio.play();
     setIsPlaying(true);
   };
 
-  const prevSong = () => playSong(currentIndex - 1);
-  const nextSong = () => {
-    if (isShuffle) {
-      const randomIndex = Math.floor(Math.random() * canciones.length);
-      playSong(randomIndex);
-    } else {
-      playSong(currentIndex + 1);
+  // Acepta canciones del catálogo o rutas sueltas (las playlists del servidor guardan rutas)
+  const normalizarCanciones = (lista) => lista.map((c) => (typeof c === "string" ? cancionDesdeRuta(c) : c));
+
+  // `contexto` identifica la playlist para el ecualizador (ver cola.js)
+  const reproducirLista = (nombre, lista, index = 0, contexto = null) => {
+    if (!lista.length) return;
+    sonar(Cola.reproducirLista(cola, nombre, normalizarCanciones(lista), index, isShuffle, contexto));
+  };
+
+  // Si no está sonando nada, la primera canción agregada empieza a sonar
+  const encolar = (lista, aContinuacion) => {
+    const nuevaCola = Cola.agregar(cola, normalizarCanciones(lista), aContinuacion);
+    if (cola.actual) setCola(nuevaCola);
+    else sonar(Cola.avanzar(nuevaCola, isShuffle));
+  };
+
+  // Canciones parecidas a la que suena, a continuación de ella (necesita
+  // sesión). Las locales no están en el catálogo del servidor, así que no
+  // tienen similares.
+  const encolarSimilares = async () => {
+    if (!user || !cancionActual || cancionActual.local) return;
+    const res = await apiFetch(`/api/recommendations/similar/${encodeURIComponent(cancionActual.id)}`);
+    const { songs } = res.ok ? await res.json() : { songs: [] };
+    if (songs.length === 0) {
+      alert("No se encontraron canciones parecidas a esta");
+      return;
     }
+    encolar(songs, true);
   };
 
+  const botonesCola = (cancion) => (
+    <span className="acciones-cola">
+      <button onClick={() => encolar([cancion], true)} title="Reproducir a continuación">↪</button>
+      <button onClick={() => encolar([cancion], false)} title="Agregar a la cola">☰</button>
+    </span>
+  );
+
+  const reproducirEntradas = (nombre, entradas, index = 0) =>
+    reproducirLista(nombre, entradas.map((e) => e.song || e.songPath), index);
+
+  // Canciones (o rutas) de una playlist del servidor; null si no se pudo leer
+  const cancionesDePlaylist = async (playlist) => {
+    const res = await apiFetch(`/api/playlists/${playlist.id}/songs`);
+    if (!res.ok) return null;
+    const { entries } = await res.json();
+    return entries.map((e) => e.song || e.songPath);
+  };
+
+  const reproducirPublica = async (playlist) => {
+    const canciones = await cancionesDePlaylist(playlist);
+    if (!canciones) return;
+    if (canciones.length === 0) {
+      alert("La playlist está vacía");
+      return;
+    }
+    reproducirLista(playlist.nombre, canciones, 0, `playlist:${playlist.id}`);
+  };
+
+  // Como botonesCola, para resultados con varias canciones (artistas, álbumes,
+  // playlists). `obtenerCanciones` puede ser async.
+  const botonesColaVarias = (obtenerCanciones) => {
+    const encolarVarias = async (aContinuacion) => {
+      const canciones = await obtenerCanciones();
+      if (canciones && canciones.length > 0) encolar(canciones, aContinuacion);
+    };
+    return (
+      <span className="acciones-cola">
+        <button onClick={() => encolarVarias(true)} title="Reproducir a continuación">↪</button>
+        <button onClick={() => encolarVarias(false)} title="Agregar a la cola">☰</button>
+      </span>
+    );
+  };
+
+  // Sección Buscar: GET /api/search mientras se escribe, más las canciones
+  // guardadas en este navegador, que el servidor no conoce
+  const [consulta, setConsulta] = useState("");
+  const [resultados, setResultados] = useState(null);
+  const [busquedasRecientes, setBusquedasRecientes] = useState(leerBusquedasRecientes);
+
   useEffect(() => {
+    const q = consulta.trim();
+    if (!q) {
+      setResultados(null);
+      return;
+    }
+    const controlador = new AbortController();
+    const espera = setTimeout(() => {
+      apiFetch(`/api/search?q=${encodeURIComponent(q)}`, { signal: controlador.signal })
+        .then((res) => (res.ok ? res.json() : Promise.reject(new Error(res.statusText))))
+        .then(setResultados)
+        .catch((err) => {
+          if (err.name !== "AbortError") setResultados({ q, error: "No se pudo buscar" });
+        });
+    }, ESPERA_BUSQUEDA_MS);
+    return () => {
+      clearTimeout(espera);
+      controlador.abort();
+    };
+  }, [consulta, user]);
+
+  useEffect(() => {
+    localStorage.setItem(CLAVE_BUSQUEDAS, JSON.stringify(busquedasRecientes));
+  }, [busquedasRecientes]);
+
+  // Una búsqueda queda en recientes al confirmarla con Enter o al usar un resultado
+  const recordarBusqueda = () => {
+    const q = consulta.trim();
+    if (!q) return;
+    setBusquedasRecientes((prev) =>
+      [q, ...prev.filter((b) => sinAcentos(b) !== sinAcentos(q))].slice(0, MAX_BUSQUEDAS_RECIENTES)
+    );
+  };
+
+  const olvidarBusqueda = (busqueda) => setBusquedasRecientes((prev) => prev.filter((b) => b !== busqueda));
+
+  const localesEncontradas = useMemo(() => {
+    const terminos = sinAcentos(consulta).split(/\s+/).filter(Boolean);
+    if (terminos.length === 0) return [];
+    return cancionesLocales.filter((c) => {
+      const texto = sinAcentos(`${c.artist || ""} ${c.title} ${c.album || ""} ${c.archivo}`);
+      return terminos.every((t) => texto.includes(t));
+    });
+  }, [consulta, cancionesLocales]);
+
+  const resultadosListos = resultados && !resultados.error ? resultados : null;
+  const cancionesEncontradas = resultadosListos ? [...resultadosListos.songs, ...localesEncontradas] : localesEncontradas;
+  const destacadaPorId = (id) => playlists.find((pl) => pl.id === id);
+  const sinResultados = resultadosListos && cancionesEncontradas.length === 0
+    && ["artists", "albums", "playlists", "curated"].every((grupo) => resultadosListos[grupo].length === 0);
+
+  // Si se escuchó desde una playlist destacada que todavía la incluye, se
+  // retoma esa playlist; si no, se reproduce la fila de recientes.
+  const volverAEscuchar = (entrada, index) => {
+    const origen = destacadas.find((pl) => pl.nombre === entrada.context);
+    const posicion = origen ? origen.canciones.findIndex((c) => c.id === entrada.song.id) : -1;
+    if (posicion >= 0) reproducirLista(origen.nombre, origen.canciones, posicion, contextoDestacada(origen));
+    else reproducirLista("Escuchado recientemente", recientes.map((r) => r.song), index);
+  };
+
+  const agregarActualAPlaylist = async (playlistId) => {
+    setMostrarAgregar(false);
+    const cancion = cancionActual;
+    if (!cancion || !playlistId) return;
+    if (!cancion.path) {
+      alert(SIN_PLAYLIST_LOCAL);
+      return;
+    }
+    const res = await apiFetch(`/api/playlists/${playlistId}/songs`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ songPath: cancion.path })
+    });
+    if (res.ok) cargarMisPlaylists();
+    else alert("No se pudo agregar la canción");
+  };
+
+  // ⏮️ vuelve a lo que sonó antes; pasados unos segundos, reinicia la canción
+  const prevSong = () => {
     const audio = audioRef.current;
-    if (!audio) return;
+    if (cola.historial.length === 0 || audio.currentTime > 3) {
+      audio.currentTime = 0;
+      return;
+    }
+    sonar(Cola.retroceder(cola));
+  };
+  // Próxima cola ya calculada y con su canción cargada en el elemento secundario
+  const precargaRef = useRef(null);
+
+  const usarPrecarga = () => {
+    const precarga = precargaRef.current;
+    precargaRef.current = null;
+    return precarga && precarga.base === cola ? precarga.cola : null;
+  };
+
+  const nextSong = () => {
+    const precargada = usarPrecarga();
+    if (precargada) sonar(precargada, { fundido: 0 });
+    else sonar(Cola.avanzar(cola, isShuffle));
+  };
+
+  const cambiarAleatorio = () => {
+    setIsShuffle(!isShuffle);
+    setCola(Cola.cambiarAleatorio(cola, !isShuffle));
+  };
+
+  const soltarEnCola = (destino) => {
+    if (arrastrandoCola !== null && arrastrandoCola !== destino) {
+      setCola(Cola.mover(cola, arrastrandoCola, destino));
+    }
+    setArrastrandoCola(null);
+  };
+
+  useEffect(() => {
     const handleEnded = () => {
-      if (isRepeat) playSong(currentIndex);
+      registrarEscucha(true);
+      if (isRepeat) sonar(cola);
       else nextSong();
     };
-    audio.addEventListener("ended", handleEnded);
-    return () => audio.removeEventListener("ended", handleEnded);
-  }, [currentIndex, isRepeat, canciones]);
+    return escucharPrincipal(audioRef, audioSiguienteRef, ["ended"], handleEnded);
+  }, [cola, isRepeat, isShuffle]);
+
+  // Cerca del final se precarga la próxima canción en el secundario y, llegado
+  // el momento, se pasa a ella con crossfade o, si es 0, cuando termina (ver MARGEN_CAMBIO)
+  useEffect(() => {
+    const alAvanzar = (e) => {
+      const audio = e.target;
+      if (isRepeat || !audio.duration || fundidoRef.current) return;
+      const restante = audio.duration - audio.currentTime;
+      if (restante > crossfade + SEGUNDOS_PRECARGA) return;
+
+      let precarga = precargaRef.current;
+      if (!precarga || precarga.base !== cola) {
+        const siguiente = Cola.avanzar(cola, isShuffle);
+        if (!siguiente.actual) return;
+        precarga = { base: cola, cola: siguiente, programada: false };
+        precargaRef.current = precarga;
+        const secundario = audioSiguienteRef.current;
+        secundario.preload = "auto";
+        secundario.src = siguiente.actual.cancion.url;
+      }
+      if (precarga.programada) return;
+
+      if (crossfade > 0 && restante <= crossfade) {
+        precarga.programada = true;
+        precargaRef.current = null;
+        sonar(precarga.cola, { fundido: restante, terminada: true });
+      } else if (crossfade === 0 && restante <= MARGEN_CAMBIO) {
+        precarga.programada = true;
+        setTimeout(() => {
+          // Si "ended" llegó antes, ya la usó nextSong
+          if (precargaRef.current !== precarga) return;
+          precargaRef.current = null;
+          sonar(precarga.cola, { fundido: 0, terminada: true });
+        }, restante * 1000);
+      }
+    };
+    return escucharPrincipal(audioRef, audioSiguienteRef, ["timeupdate"], alAvanzar);
+  }, [cola, isShuffle, isRepeat, crossfade]);
 
   const handleProgressClick = (e) => {
     if (!audioRef.current || !progressContainerRef.current) return;
@@ -197,20 +1056,292 @@ export default function App() {
     audioRef.current.currentTime = (clickX / ancho) * audioRef.current.duration;
   };
 
-  const sendMessage = (text) => {
-    if (text.trim() !== "" && activeUser) {
-      setMessages([...messages, { user: activeUser, text, propio: true }]);
+  const irA = (segundos) => {
+    const audio = audioRef.current;
+    if (!audio || !audio.duration) return;
+    audio.currentTime = Math.min(Math.max(segundos, 0), audio.duration);
+  };
+
+  // Silenciar recuerda el volumen anterior para volver a él
+  const volumenPrevioRef = useRef(1);
+  const alternarSilencio = () => {
+    if (volume > 0) {
+      volumenPrevioRef.current = volume;
+      setVolume(0);
+    } else {
+      setVolume(volumenPrevioRef.current || 1);
     }
   };
 
-  const [bass, setBass] = useState(0);
-  const [mid, setMid] = useState(0);
-  const [treble, setTreble] = useState(0);
+  // isPlaying sigue al elemento de audio, que también se puede pausar desde
+  // afuera (teclas multimedia, desconectar los auriculares)
+  useEffect(
+    () => escucharPrincipal(audioRef, audioSiguienteRef, ["play", "pause"], (e) => setIsPlaying(e.type === "play")),
+    []
+  );
+
+  // Media Session: datos de la canción y controles para las teclas multimedia
+  // y los controles del sistema operativo
+  useEffect(() => {
+    if (!("mediaSession" in navigator)) return;
+    navigator.mediaSession.metadata = cancionActual
+      ? new MediaMetadata({
+          title: cancionActual.title,
+          artist: cancionActual.artist || "",
+          album: cancionActual.album || "",
+          artwork: cancionActual.cover ? [{ src: new URL(cancionActual.cover, window.location.href).href }] : [],
+        })
+      : null;
+  }, [cancionActual]);
+
+  useEffect(() => {
+    if (!("mediaSession" in navigator)) return;
+    navigator.mediaSession.playbackState = !cancionActual ? "none" : isPlaying ? "playing" : "paused";
+  }, [cancionActual, isPlaying]);
+
+  useEffect(() => {
+    if (!("mediaSession" in navigator)) return;
+    const acciones = {
+      play: () => audioRef.current.play(),
+      pause: () => {
+        terminarFundido();
+        audioRef.current.pause();
+      },
+      nexttrack: nextSong,
+      previoustrack: prevSong,
+      seekbackward: (d) => irA(audioRef.current.currentTime - (d.seekOffset || SALTO_SEGUNDOS)),
+      seekforward: (d) => irA(audioRef.current.currentTime + (d.seekOffset || SALTO_SEGUNDOS)),
+      seekto: (d) => irA(d.seekTime),
+    };
+    for (const [accion, handler] of Object.entries(acciones)) {
+      try {
+        navigator.mediaSession.setActionHandler(accion, handler);
+      } catch {
+        // el navegador no soporta esta acción
+      }
+    }
+    // La barra del sistema calcula el avance sola a partir de esta posición
+    const informarPosicion = (e) => {
+      const audio = e.target;
+      if (!audio.duration || !navigator.mediaSession.setPositionState) return;
+      navigator.mediaSession.setPositionState({
+        duration: audio.duration,
+        position: Math.min(audio.currentTime, audio.duration),
+        playbackRate: audio.playbackRate,
+      });
+    };
+    return escucharPrincipal(audioRef, audioSiguienteRef, ["loadedmetadata", "seeked", "play", "pause"], informarPosicion);
+  }, [cola, isShuffle]);
+
+  // Vista de "reproduciendo ahora" a pantalla completa, con el visualizador
+  const [vistaExpandida, setVistaExpandida] = useState(false);
+  const [modoVisualizador, setModoVisualizador] = useState(localStorage.getItem("visualizador") || "barras");
+
+  useEffect(() => {
+    localStorage.setItem("visualizador", modoVisualizador);
+  }, [modoVisualizador]);
+
+  // Letra de la canción que suena: { id, synced, lines }, { id, cargando } o { id, error }
+  const [panelVista, setPanelVista] = useState("visualizador");
+  const [letra, setLetra] = useState(null);
+  const [tiempoLetra, setTiempoLetra] = useState(0);
+  const mostrandoLetra = vistaExpandida && panelVista === "letra";
+
+  useEffect(() => {
+    if (!mostrandoLetra || !cancionActual) return;
+    const id = cancionActual.id;
+    if (letra?.id === id && !letra.cargando) return;
+    // Las de este navegador traen la letra de sus tags, si la tienen
+    if (cancionActual.local) {
+      const propia = letraDeTexto(cancionActual.letra);
+      setLetra(propia ? { id, ...propia } : { id, error: "Esta canción no tiene letra" });
+      return;
+    }
+    if (!cancionActual.url.startsWith("/api/stream/")) {
+      setLetra({ id, error: "Esta canción no tiene letra" });
+      return;
+    }
+    let vigente = true;
+    setLetra({ id, cargando: true });
+    apiFetch(`/api/songs/${id}/lyrics`)
+      .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        if (vigente) setLetra(res.ok ? { id, ...data } : { id, error: data.message || "No se pudo cargar la letra" });
+      })
+      .catch(() => {
+        if (vigente) setLetra({ id, error: "No se pudo cargar la letra" });
+      });
+    return () => {
+      vigente = false;
+    };
+  }, [mostrandoLetra, cancionActual]);
+
+  // El segundo actual solo se sigue mientras la letra está a la vista
+  useEffect(() => {
+    if (!mostrandoLetra) return;
+    setTiempoLetra(audioRef.current.currentTime);
+    return escucharPrincipal(audioRef, audioSiguienteRef, ["timeupdate", "seeked"], (e) => setTiempoLetra(e.target.currentTime));
+  }, [mostrandoLetra]);
+
+  const alternarLetra = () => {
+    setPanelVista(mostrandoLetra ? "visualizador" : "letra");
+    setVistaExpandida(true);
+  };
+
+  // Para el modo circular: la portada de la playlist que suena o, si no tiene, la de la canción
+  const portadaActual =
+    destacadas.find((pl) => pl.nombre === cola.origen?.nombre)?.portada || cancionActual?.cover || null;
+
+  // Atajos de teclado globales (no mientras se escribe en un campo)
+  const [mostrarAtajos, setMostrarAtajos] = useState(false);
+
+  useEffect(() => {
+    const alPresionar = (e) => {
+      const destino = e.target;
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (destino.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(destino.tagName)) return;
+
+      if (e.key === "?") {
+        setMostrarAtajos(!mostrarAtajos);
+        return;
+      }
+      if (e.key === "Escape" && (mostrarAtajos || vistaExpandida)) {
+        setMostrarAtajos(false);
+        setVistaExpandida(false);
+        return;
+      }
+      if (!cancionActual) return;
+
+      const audio = audioRef.current;
+      const acciones = {
+        " ": togglePlay,
+        ArrowLeft: () => irA(audio.currentTime - SALTO_SEGUNDOS),
+        ArrowRight: () => irA(audio.currentTime + SALTO_SEGUNDOS),
+        ArrowUp: () => setVolume(Math.min(1, Math.round((volume + PASO_VOLUMEN) * 100) / 100)),
+        ArrowDown: () => setVolume(Math.max(0, Math.round((volume - PASO_VOLUMEN) * 100) / 100)),
+        n: nextSong,
+        p: prevSong,
+        m: alternarSilencio,
+        v: () => setVistaExpandida(!vistaExpandida),
+        l: alternarLetra,
+      };
+      const accion = acciones[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+      if (!accion) return;
+      // Que la barra espaciadora no haga scroll ni "clickee" el botón con foco
+      e.preventDefault();
+      accion();
+    };
+    window.addEventListener("keydown", alPresionar);
+    return () => window.removeEventListener("keydown", alPresionar);
+  }, [cola, isShuffle, isPlaying, volume, mostrarAtajos, vistaExpandida, panelVista]);
+
+  // eq: { preamp, gains: [dB por banda] }
+  const [eq, setEq] = useState(() => Eq.desdeObjeto(guardado?.eq));
+  // Último preset elegido, para poder guardarle los cambios
+  const [presetElegido, setPresetElegido] = useState(null);
+  const [presetsPropios, setPresetsPropios] = useState([]);
+  // Contexto de la playlist ('playlist:3', 'curated:cumbia') -> id del preset
+  // que se usa al reproducirla
+  const [asignacionesEq, setAsignacionesEq] = useState({});
+  // Ajuste del usuario mientras suena una playlist con preset asignado, para
+  // volver a él cuando se cambia a otra lista
+  const eqManualRef = useRef(null);
 
   const audioCtxRef = useRef(null);
-  const bassRef = useRef(null);
-  const midRef = useRef(null);
-  const trebleRef = useRef(null);
+  const [analizador, setAnalizador] = useState(null);
+  const preampRef = useRef(null);
+  const filtrosRef = useRef(null);
+  const gainNodeRef = useRef(null);
+
+  const cargarPresetsEq = () => {
+    apiFetch("/api/eq/presets")
+      .then((res) => (res.ok ? res.json() : { presets: [], assignments: [] }))
+      .then((data) => {
+        setPresetsPropios(data.presets);
+        setAsignacionesEq(Object.fromEntries(data.assignments.map((a) => [a.context, a.preset])));
+      })
+      .catch(() => {});
+  };
+
+  useEffect(() => {
+    if (user) cargarPresetsEq();
+    else {
+      setPresetsPropios([]);
+      setAsignacionesEq({});
+    }
+  }, [user]);
+
+  const buscarPreset = (id) => Eq.PRESETS.find((p) => p.id === id) || presetsPropios.find((p) => p.id === id);
+  const presetActual = [...Eq.PRESETS, ...presetsPropios].find((p) => Eq.mismoAjuste(p, eq));
+  const presetElegidoModificado = presetElegido?.startsWith("custom:") && presetActual?.id !== presetElegido;
+  const contextoEq = cola.origen?.contexto ?? null;
+  const presetAsignado = contextoEq ? asignacionesEq[contextoEq] ?? null : null;
+
+  const elegirPreset = (preset) => {
+    setEq({ preamp: preset.preamp, gains: preset.gains });
+    setPresetElegido(preset.id);
+  };
+
+  // Cambios hechos a mano: el usuario toma el control aunque la playlist tenga preset
+  const cambiarEq = (cambios) => {
+    eqManualRef.current = null;
+    setEq({ ...eq, ...cambios });
+  };
+
+  const cambiarBanda = (i, valor) => cambiarEq({ gains: eq.gains.map((g, j) => (j === i ? valor : g)) });
+
+  // Al empezar una playlist con preset asignado se aplica; al salir de ella
+  // vuelve el ajuste que había antes
+  useEffect(() => {
+    const preset = buscarPreset(presetAsignado);
+    if (preset) {
+      if (!eqManualRef.current) eqManualRef.current = eq;
+      elegirPreset(preset);
+    } else if (eqManualRef.current) {
+      setEq(eqManualRef.current);
+      eqManualRef.current = null;
+    }
+  }, [contextoEq, presetAsignado]);
+
+  const guardarPresetEq = async (actualizar) => {
+    const existente = actualizar && presetsPropios.find((p) => p.id === presetElegido);
+    const nombre = existente ? existente.nombre : prompt("Nombre del preset:");
+    if (!nombre || !nombre.trim()) return;
+    const res = await apiFetch(existente ? `/api/eq/presets/${existente.id.replace("custom:", "")}` : "/api/eq/presets", {
+      method: existente ? "PUT" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ nombre, preamp: eq.preamp, gains: eq.gains }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      alert(data.errors?.[0]?.message || data.message || "No se pudo guardar el preset");
+      return;
+    }
+    setPresetElegido(data.preset.id);
+    cargarPresetsEq();
+  };
+
+  const eliminarPresetEq = async (preset) => {
+    if (!confirm(`¿Eliminar el preset "${preset.nombre}"?`)) return;
+    const res = await apiFetch(`/api/eq/presets/${preset.id.replace("custom:", "")}`, { method: "DELETE" });
+    if (!res.ok) {
+      alert("No se pudo eliminar el preset");
+      return;
+    }
+    setPresetElegido(null);
+    cargarPresetsEq();
+  };
+
+  // preset null quita la asignación de la playlist
+  const asignarPresetEq = async (contexto, preset) => {
+    const res = await apiFetch("/api/eq/assignments", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ context: contexto, preset }),
+    });
+    if (res.ok) cargarPresetsEq();
+    else alert("No se pudo asignar el preset");
+  };
 
   useEffect(() => {
     const audioEl = audioRef.current;
@@ -220,44 +1351,184 @@ export default function App() {
       const audioCtx = new AudioContext();
       audioCtxRef.current = audioCtx;
 
-      const source = audioCtx.createMediaElementSource(audioEl);
+      const preamp = audioCtx.createGain();
+      const filtros = Eq.crearFiltros(audioCtx);
+      const gainNode = audioCtx.createGain();
+
+      // Los dos elementos de audio entran a la cadena, cada uno con la
+      // ganancia que sube y baja el crossfade
+      for (const el of [audioEl, audioSiguienteRef.current]) {
+        const source = audioCtx.createMediaElementSource(el);
+        const fundido = audioCtx.createGain();
+        source.connect(fundido);
+        fundido.connect(preamp);
+        gananciasRef.current.set(el, fundido);
 
-      const b = audioCtx.createBiquadFilter();
-      b.type = "lowshelf";
-      b.frequency.value = 60;
+        el.addEventListener('play', () => {
+          if (audioCtx.state === 'suspended') audioCtx.resume();
+        });
+      }
+      preamp.connect(filtros[0]);
+      filtros[filtros.length - 1].connect(gainNode);
 
-      const m = audioCtx.createBiquadFilter();
-      m.type = "peaking";
-      m.Q.value = Math.SQRT1_2;
-      m.frequency.value = 1000;
+      // El analizador queda al final de la cadena: muestra lo que se escucha
+      const analyser = audioCtx.createAnalyser();
+      analyser.fftSize = 2048;
+      analyser.smoothingTimeConstant = 0.8;
+      gainNode.connect(analyser);
+      analyser.connect(audioCtx.destination);
+      setAnalizador(analyser);
 
-      const t = audioCtx.createBiquadFilter();
-      t.type = "highshelf";
-      t.frequency.value = 12000;
+      preampRef.current = preamp;
+      filtrosRef.current = filtros;
+      gainNodeRef.current = gainNode;
+    }
 
-      const gainNode = audioCtx.createGain();
+    Eq.aplicar(eq, preampRef.current, filtrosRef.current);
 
-      source.connect(b);
-      b.connect(m);
-      m.connect(t);
-      t.connect(gainNode);
-      gainNode.connect(audioCtx.destination);
+    return () => {};
+  }, [eq]);
 
-      bassRef.current = b;
-      midRef.current = m;
-      trebleRef.current = t;
+  const [normalizacion, setNormalizacion] = useState(guardado?.loudness ?? NORMALIZACION_INICIAL);
 
-      audioEl.addEventListener('play', () => {
-        if (audioCtx.state === 'suspended') audioCtx.resume();
-      });
+  // La ganancia es una sola para los dos elementos de audio: en un crossfade
+  // pasa de la de una canción a la de la otra durante el fundido
+  useEffect(() => {
+    const gainNode = gainNodeRef.current;
+    if (!gainNode) return;
+    const ahora = audioCtxRef.current.currentTime;
+    gainNode.gain.cancelScheduledValues(ahora);
+    gainNode.gain.setTargetAtTime(
+      gananciaNormalizada(cancionActual, normalizacion),
+      ahora,
+      fundidoRef.current ? crossfade / 3 : 0.02
+    );
+  }, [cancionActual, normalizacion]);
+
+  // Persistencia del reproductor: en localStorage siempre y, con sesión, en el
+  // servidor para poder continuar en otro dispositivo
+  const [continuar, setContinuar] = useState(null);
+  // No se guarda nada hasta haber restaurado lo de este navegador, ni se
+  // sincroniza hasta saber si en el servidor hay algo más nuevo
+  const restauradoRef = useRef(false);
+  const puedeSincronizarRef = useRef(false);
+  const ultimaSincronizacionRef = useRef(0);
+
+  const restaurarEstado = (state, porId, reproducir) => {
+    setVolume(state.volume);
+    setIsShuffle(state.shuffle);
+    setIsRepeat(state.repeat);
+    setCrossfade(state.crossfade ?? 0);
+    eqManualRef.current = null;
+    setEq(Eq.desdeObjeto(state.eq));
+    setNormalizacion(state.loudness ?? NORMALIZACION_INICIAL);
+    const nuevaCola = Cola.restaurar(state.queue, (id) => porId.get(id));
+    if (nuevaCola.actual) sonar(nuevaCola, { desde: state.position, pausado: !reproducir });
+  };
+
+  // Se llama cada vez que se carga la biblioteca (al entrar y al cambiar de usuario)
+  const retomar = async (lista) => {
+    const porId = new Map(lista.map((s) => [s.id, s]));
+    const local = leerEstadoLocal();
+    if (!restauradoRef.current) {
+      restauradoRef.current = true;
+      if (local?.state?.queue.current) restaurarEstado(local.state, porId, false);
     }
 
-    if (bassRef.current) bassRef.current.gain.value = bass;
-    if (midRef.current) midRef.current.gain.value = mid;
-    if (trebleRef.current) trebleRef.current.gain.value = treble;
+    puedeSincronizarRef.current = false;
+    setContinuar(null);
+    if (!user) return;
+    try {
+      const res = await apiFetch("/api/player/state");
+      const remoto = res.ok ? await res.json() : null;
+      // Si lo último que se guardó en el servidor vino de este navegador no hay nada que ofrecer
+      if (remoto?.state?.queue.current && remoto.updatedAt !== local?.syncedAt) {
+        const cancion = porId.get(remoto.state.queue.current.songId);
+        if (cancion) {
+          setContinuar({ ...remoto, cancion });
+          return;
+        }
+      }
+    } catch {
+      // sin conexión: se sigue con lo local
+    }
+    puedeSincronizarRef.current = true;
+  };
 
-    return () => {};
-  }, [bass, mid, treble]);
+  const continuarReproduccion = () => {
+    escribirEstadoLocal({ syncedAt: continuar.updatedAt });
+    restaurarEstado(continuar.state, bibliotecaPorId, true);
+    setContinuar(null);
+    puedeSincronizarRef.current = true;
+  };
+
+  const descartarContinuar = () => {
+    escribirEstadoLocal({ syncedAt: continuar.updatedAt });
+    setContinuar(null);
+    puedeSincronizarRef.current = true;
+  };
+
+  // Foto del reproductor: la cola (canciones del catálogo y las guardadas en
+  // este navegador), el segundo exacto y los ajustes
+  const estadoActual = () => ({
+    queue: Cola.serializar(cola, (c) => c.local || c.url.startsWith("/api/stream/")),
+    position: posicionPendienteRef.current ?? (audioRef.current ? Math.floor(audioRef.current.currentTime) : 0),
+    volume,
+    shuffle: isShuffle,
+    repeat: isRepeat,
+    crossfade,
+    // Lo que eligió el usuario, no el preset de la playlist que está sonando
+    eq: Eq.aObjeto(eqManualRef.current ?? eq),
+    loudness: normalizacion,
+  });
+
+  const guardarEstado = (enServidor, alSalir = false) => {
+    const state = estadoActual();
+    escribirEstadoLocal({ state });
+    if (!enServidor || !user || !puedeSincronizarRef.current || !state.queue.current) return;
+
+    ultimaSincronizacionRef.current = Date.now();
+    apiFetch("/api/player/state", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ state, device: nombreDispositivo() }),
+      keepalive: alSalir,
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (data) escribirEstadoLocal({ syncedAt: data.updatedAt });
+      })
+      .catch(() => {});
+  };
+
+  useEffect(() => {
+    if (!audioRef.current || !restauradoRef.current) return;
+    guardarEstado(false);
+    const sincronizar = setTimeout(() => guardarEstado(true), 3000);
+    // Mientras suena se guarda el segundo cada 5 s (en el servidor, cada 30 s)
+    const periodico = setInterval(() => {
+      if (!audioRef.current.paused) guardarEstado(Date.now() - ultimaSincronizacionRef.current > 30000);
+    }, 5000);
+    const alSalir = () => guardarEstado(true, true);
+    const dejarDeEscuchar = escucharPrincipal(audioRef, audioSiguienteRef, ["pause"], () => guardarEstado(true));
+    window.addEventListener("pagehide", alSalir);
+    return () => {
+      clearTimeout(sincronizar);
+      clearInterval(periodico);
+      dejarDeEscuchar();
+      window.removeEventListener("pagehide", alSalir);
+    };
+  }, [cola, volume, isShuffle, isRepeat, crossfade, eq, normalizacion, user, continuar]);
+
+  const selectorVisualizador = (
+    <div className="modos-visualizador">
+      {MODOS_VISUALIZADOR.map((m) => (
+        <button key={m.id} className={modoVisualizador === m.id ? "activo" : ""} onClick={() => setModoVisualizador(m.id)}>
+          {m.nombre}
+        </button>
+      ))}
+    </div>
+  );
 
   return (
     <div className={darkMode ? "modo-oscuro" : "modo-claro"}>
@@ -267,6 +1538,9 @@ export default function App() {
           <button className="theme-icon" onClick={() => setDarkMode(!darkMode)} title="Cambiar tema">
             {"⚙️"}
           </button>
+          <button className="theme-icon" onClick={() => setMostrarAtajos(!mostrarAtajos)} title="Atajos de teclado (?)">
+            {"⌨️"}
+          </button>
           {user && (
             <span className="user-name">
               {user.nombre}
@@ -278,27 +1552,105 @@ export default function App() {
       <main className="contenido">
         {activeSection === "inicio" && (
           <section id="inicio" className="seccion-activa">
+            {continuar && (
+              <div className="continuar-escuchando">
+                <div>
+                  <strong>Continuar donde lo dejaste</strong>
+                  <span>
+                    {[continuar.cancion.title, continuar.cancion.artist].filter(Boolean).join(" — ")}
+                    {" · "}{formatearTiempo(continuar.state.position)}
+                    {continuar.device && ` · en ${continuar.device}`}
+                  </span>
+                </div>
+                <button className="boton-principal" onClick={continuarReproduccion}>▶ Continuar</button>
+                <button className="extra-btn" onClick={descartarContinuar}>Descartar</button>
+              </div>
+            )}
+
+            {compartida && (
+              <div className="playlist-compartida">
+                {compartida.error ? (
+                  <p className="auth-mensaje error">{compartida.error}</p>
+                ) : (
+                  <>
+                    <h2 className="playlist-title">
+                      🔗 {compartida.playlist.nombre} <small>de {compartida.playlist.owner_nombre}</small>
+                    </h2>
+                    <button
+                      className="btn-buscar"
+                      disabled={compartida.entries.length === 0}
+                      onClick={() => reproducirEntradas(compartida.playlist.nombre, compartida.entries)}
+                    >
+                      ▶ Reproducir
+                    </button>
+                    <ol className="mis-playlists-canciones">
+                      {compartida.entries.map((entrada, index) => {
+                        const cancion = entrada.song || cancionDesdeRuta(entrada.songPath);
+                        return (
+                          <li key={entrada.songPath}>
+                            <span onClick={() => reproducirEntradas(compartida.playlist.nombre, compartida.entries, index)}>
+                              🎵 {cancion.title}
+                              {cancion.artist && <small> — {cancion.artist}</small>}
+                              {entrada.addedBy && <small className="agregada-por"> · agregó {entrada.addedBy.nombre}</small>}
+                            </span>
+                            {botonesCola(cancion)}
+                          </li>
+                        );
+                      })}
+                      {compartida.entries.length === 0 && <li>Sin canciones</li>}
+                    </ol>
+                  </>
+                )}
+                <button className="extra-btn" onClick={cerrarCompartida}>Cerrar</button>
+              </div>
+            )}
+
+            {recientes.length > 0 && (
+              <>
+                <h2 className="playlist-title">Escuchado recientemente</h2>
+                <div className="recientes-fila">
+                  {recientes.map((entrada, index) => (
+                    <div
+                      key={entrada.id}
+                      className="reciente-item"
+                      role="button"
+                      tabIndex={0}
+                      aria-label={`Reproducir ${entrada.song.title}`}
+                      onClick={() => volverAEscuchar(entrada, index)}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") volverAEscuchar(entrada, index);
+                      }}
+                    >
+                      <div
+                        className="reciente-portada"
+                        style={entrada.song.cover ? { backgroundImage: `url(${entrada.song.cover})` } : undefined}
+                      >
+                        {!entrada.song.cover && "🎵"}
+                      </div>
+                      <span className="reciente-titulo">{entrada.song.title}</span>
+                      {entrada.song.artist && <small>{entrada.song.artist}</small>}
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+
             <h2 className="playlist-title">Playlists Populares</h2>
             <div className="playlists-grid">
-              {playlists.map((pl, index) => (
+              {destacadas.map((pl, index) => (
                 <div
                   key={index}
-                  className="playlist-item"
-                  style={{ backgroundImage: pl.gradient ? `${pl.gradient}, url(${pl.portada})` : `url(${pl.portada})` }}
+                  className={`playlist-item ${pl.personalizada !== undefined ? "para-vos" : ""}`}
+                  title={pl.personalizada === false ? "Escuchá algunas canciones para que el mix se parezca más a vos" : undefined}
+                  style={{
+                    backgroundImage: [pl.gradient, pl.portada && `url(${pl.portada})`].filter(Boolean).join(", ")
+                  }}
                   role="button"
                   aria-label={`Reproducir ${pl.nombre}`}
                   tabIndex={0}
-                  onClick={() => {
-                    setPlaylistActiva(pl.nombre);
-                    setCanciones(pl.canciones);
-                    playSong(0);
-                  }}
+                  onClick={() => reproducirLista(pl.nombre, pl.canciones, 0, contextoDestacada(pl))}
                   onKeyDown={(e) => {
-                    if (e.key === "Enter") {
-                      setPlaylistActiva(pl.nombre);
-                      setCanciones(pl.canciones);
-                      playSong(0);
-                    }
+                    if (e.key === "Enter") reproducirLista(pl.nombre, pl.canciones, 0, contextoDestacada(pl));
                   }}
                 >
                   {/* Usamos la imagen como background (soporta links externos).
@@ -310,52 +1662,158 @@ export default function App() {
                 </div>
               ))}
             </div>
+
+            {playlistsPublicas.length > 0 && (
+              <>
+                <h2 className="playlist-title">De la comunidad</h2>
+                <ul className="playlists-publicas">
+                  {playlistsPublicas.map((pl) => (
+                    <li key={pl.id} onClick={() => reproducirPublica(pl)}>
+                      🌐 {pl.nombre} <small>de {pl.owner_nombre} · {pl.song_count} canciones</small>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
           </section>
         )}
 
         {activeSection === "buscar" && (
-          <section id="buscar" className="seccion-activa buscadores">
-            <h2>🔍 Buscador de Google</h2>
+          <section id="buscar" className="seccion-activa">
+            <h2>🔍 Buscar</h2>
             <form
-              id="googleForm"
               className="form-busqueda"
-              action="https://www.google.com/search"
-              method="GET"
-              target="_blank"
+              role="search"
+              onSubmit={(e) => {
+                e.preventDefault();
+                recordarBusqueda();
+              }}
             >
               <input
-                id="googleInput"
-                type="text"
-                name="q"
-                placeholder="Buscar en Google..."
-                required
+                type="search"
                 className="input-busqueda"
+                placeholder="Canciones, artistas, álbumes o playlists..."
+                aria-label="Buscar"
+                value={consulta}
+                onChange={(e) => setConsulta(e.target.value)}
+                autoFocus
               />
-              <button type="submit" className="btn-buscar google-btn">Buscar</button>
             </form>
 
-            <form
-              id="youtubeForm"
-              className="form-busqueda"
-              action="https://www.youtube.com/results"
-              method="get"
-              target="_blank"
-            >
-              <input
-                id="youtubeInput"
-                type="text"
-                name="search_query"
-                placeholder="Buscar en YouTube..."
-                required
-                className="input-busqueda"
-              />
-              <button type="submit" className="btn-buscar youtube-btn">Buscar</button>
-            </form>
+            {!consulta.trim() && busquedasRecientes.length > 0 && (
+              <div className="busquedas-recientes">
+                <h3>Búsquedas recientes</h3>
+                <ul>
+                  {busquedasRecientes.map((busqueda) => (
+                    <li key={busqueda}>
+                      <button className="extra-btn" onClick={() => setConsulta(busqueda)}>{busqueda}</button>
+                      <button className="btn-eliminar" onClick={() => olvidarBusqueda(busqueda)} title="Quitar">✕</button>
+                    </li>
+                  ))}
+                </ul>
+                <button className="extra-btn" onClick={() => setBusquedasRecientes([])}>Borrar historial</button>
+              </div>
+            )}
+
+            {consulta.trim() && (
+              // Cualquier click en un resultado (reproducir o encolar) guarda la búsqueda
+              <div className="resultados-busqueda" onClick={recordarBusqueda}>
+                {resultados?.error && <p className="auth-error">{resultados.error}</p>}
+                {!resultados && cancionesEncontradas.length === 0 && <p>Buscando...</p>}
+                {sinResultados && <p>No se encontró nada para “{consulta.trim()}”</p>}
+
+                {cancionesEncontradas.length > 0 && (
+                  <>
+                    <h3 className="playlist-title">Canciones</h3>
+                    <ul className="lista-resultados">
+                      {cancionesEncontradas.map((cancion, index) => (
+                        <li key={cancion.id}>
+                          <span onClick={() => reproducirLista(`Búsqueda: ${consulta.trim()}`, cancionesEncontradas, index)}>
+                            {cancion.local ? "💾" : cancion.uploaded ? "☁️" : "🎵"} {cancion.title}
+                            {cancion.artist && <small> — {cancion.artist}</small>}
+                          </span>
+                          {botonesCola(cancion)}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+
+                {resultadosListos?.artists.length > 0 && (
+                  <>
+                    <h3 className="playlist-title">Artistas</h3>
+                    <ul className="lista-resultados">
+                      {resultadosListos.artists.map((artista) => (
+                        <li key={artista.name}>
+                          <span onClick={() => reproducirLista(artista.name, artista.songs)}>
+                            🎤 {artista.name} <small>{artista.songCount} {artista.songCount === 1 ? "canción" : "canciones"}</small>
+                          </span>
+                          {botonesColaVarias(() => artista.songs)}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+
+                {resultadosListos?.albums.length > 0 && (
+                  <>
+                    <h3 className="playlist-title">Álbumes</h3>
+                    <ul className="lista-resultados">
+                      {resultadosListos.albums.map((album) => (
+                        <li key={`${album.artist}|${album.name}|${album.songs[0].id}`}>
+                          <span onClick={() => reproducirLista(album.name, album.songs)}>
+                            💿 {album.name}
+                            <small> — {album.artist}{album.year && ` · ${album.year}`} · {album.songs.length} {album.songs.length === 1 ? "canción" : "canciones"}</small>
+                          </span>
+                          {botonesColaVarias(() => album.songs)}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+
+                {resultadosListos && (resultadosListos.curated.length > 0 || resultadosListos.playlists.length > 0) && (
+                  <>
+                    <h3 className="playlist-title">Playlists</h3>
+                    <ul className="lista-resultados">
+                      {resultadosListos.curated.map((resultado) => {
+                        const destacada = destacadaPorId(resultado.id);
+                        if (!destacada) return null;
+                        return (
+                          <li key={resultado.id}>
+                            <span onClick={() => reproducirLista(destacada.nombre, destacada.canciones, 0, contextoDestacada(destacada))}>
+                              ⭐ {destacada.nombre} <small>destacada · {destacada.canciones.length} canciones</small>
+                            </span>
+                            {botonesColaVarias(() => destacada.canciones)}
+                          </li>
+                        );
+                      })}
+                      {resultadosListos.playlists.map((pl) => (
+                        <li key={pl.id}>
+                          <span onClick={() => reproducirPublica(pl)}>
+                            {pl.role ? "📃" : "🌐"} {pl.nombre} <small>de {pl.owner_nombre} · {pl.song_count} canciones</small>
+                          </span>
+                          {botonesColaVarias(() => cancionesDePlaylist(pl))}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </div>
+            )}
           </section>
         )}
 
         {activeSection === "descargas" && (
-          <section id="descargas" className="seccion-activa">
+          <section
+            id="descargas"
+            className={`seccion-activa ${arrastrandoArchivos ? "arrastrando-archivos" : ""}`}
+            onDragOver={arrastrarSobreDescargas}
+            onDragLeave={(e) => {
+              if (!e.currentTarget.contains(e.relatedTarget)) setArrastrandoArchivos(false);
+            }}
+            onDrop={soltarEnDescargas}
+          >
             <h2>Descargas</h2>
             <div id="cargaCanciones">
               <div className="descargas-acciones">
@@ -363,33 +1821,243 @@ export default function App() {
                   const inp = document.querySelector('#cargaInput');
                   if (inp) inp.click();
                 }}>
-                  🎵 Cargar Canciones MP3
+                  🎵 Cargar canciones
+                </button>
+
+                <button className="boton-cargar boton-principal" onClick={() => {
+                  const inp = document.querySelector('#cargaCarpetaInput');
+                  if (inp) inp.click();
+                }}>
+                  📁 Cargar carpeta
                 </button>
 
                 <a href="https://ytmp3.nu/" target="_blank" rel="noopener noreferrer" className="boton-principal">🎧 Convertir YouTube a MP3</a>
 
                 <a href="https://www.snaptubeapp.com/" target="_blank" rel="noopener noreferrer" className="extra-btn">📂 Descargar SnapTube Android</a>
 
-                <button className="boton-principal" onClick={() => alert('Funcionalidad de crear playlist en proceso')}>➕ Crear Playlist</button>
+                <button className="boton-principal" onClick={crearPlaylist}>➕ Crear Playlist</button>
               </div>
+              <small className="zona-carga">
+                {arrastrandoArchivos
+                  ? "Soltá los archivos para revisarlos antes de cargarlos"
+                  : "También podés arrastrar archivos o carpetas acá · MP3, M4A, AAC, OGG, FLAC y WAV"}
+              </small>
+
+              {revisionCarga && (
+                <div className="importacion-previa revision-carga">
+                  {!revisionCarga.items ? (
+                    <p>
+                      Leyendo archivos... {revisionCarga.leidos} de {revisionCarga.total}
+                      <progress max={revisionCarga.total} value={revisionCarga.leidos} />
+                    </p>
+                  ) : (
+                    <>
+                      <p>
+                        {revisionCarga.items.length} {revisionCarga.items.length === 1 ? "canción" : "canciones"} para{" "}
+                        {user ? "subir a tu cuenta" : "guardar en este navegador"}
+                        {revisionCarga.items.some((item) => item.duplicado) && " · las que ya están en la biblioteca quedan desmarcadas"}
+                      </p>
+                      <ol>
+                        {revisionCarga.items.map((item, index) => (
+                          <li key={index} className={item.duplicado ? "duplicada" : undefined}>
+                            <label>
+                              <input type="checkbox" checked={item.elegido} onChange={() => alternarElegido(index)} />
+                              {item.title}{item.artist && <small> — {item.artist}</small>}
+                              <small className="revision-archivo">{item.archivo} · {formatearBytes(item.tamano)}</small>
+                            </label>
+                            {item.duplicado && <small className="revision-duplicado">{describirDuplicado(item.duplicado)}</small>}
+                          </li>
+                        ))}
+                      </ol>
+                    </>
+                  )}
+                  {revisionCarga.noSoportados.length > 0 && (
+                    <p className="auth-error">
+                      Este navegador no puede reproducir {revisionCarga.noSoportados.join(", ")}: no se cargan
+                    </p>
+                  )}
+                  {revisionCarga.ilegibles.length > 0 && (
+                    <p className="auth-error">
+                      No se pudo leer {revisionCarga.ilegibles.join(", ")}: no se cargan
+                    </p>
+                  )}
+                  {revisionCarga.ignorados > 0 && (
+                    <small>
+                      {revisionCarga.ignorados === 1
+                        ? "Se ignoró 1 archivo que no es de audio"
+                        : `Se ignoraron ${revisionCarga.ignorados} archivos que no son de audio`}
+                    </small>
+                  )}
+                  <div className="importacion-acciones">
+                    {revisionCarga.items && (
+                      <button
+                        className="boton-principal"
+                        onClick={confirmarCarga}
+                        disabled={!revisionCarga.items.some((item) => item.elegido)}
+                      >
+                        {user ? "Subir" : "Guardar"} {revisionCarga.items.filter((item) => item.elegido).length}
+                      </button>
+                    )}
+                    <button className="extra-btn" onClick={cancelarCarga}>Cancelar</button>
+                  </div>
+                </div>
+              )}
+
+              <div className="playlist-archivos">
+                <div>
+                  <h3>Importar playlist</h3>
+                  <small>Archivos M3U, M3U8, PLS o XSPF de otro reproductor</small>
+                  <button
+                    className="extra-btn"
+                    onClick={() => {
+                      if (!user) {
+                        alert("Iniciá sesión para importar playlists");
+                        setActiveSection("perfil");
+                        return;
+                      }
+                      const inp = document.querySelector("#importarPlaylistInput");
+                      if (inp) inp.click();
+                    }}
+                  >
+                    📥 Elegir archivo
+                  </button>
+                  <input
+                    id="importarPlaylistInput"
+                    type="file"
+                    accept=".m3u,.m3u8,.pls,.xspf"
+                    hidden
+                    onChange={(e) => {
+                      const archivo = e.target.files[0];
+                      e.target.value = "";
+                      if (archivo) previsualizarImportacion(archivo);
+                    }}
+                  />
+                </div>
+
+                <div>
+                  <h3>Exportar playlist</h3>
+                  <select value={exportOrigen} onChange={(e) => setExportOrigen(e.target.value)}>
+                    <option value="">Elegí una playlist</option>
+                    {exportables.map((pl) => (
+                      <option key={pl.clave} value={pl.clave}>{pl.nombre}</option>
+                    ))}
+                  </select>
+                  <select value={exportFormato} onChange={(e) => setExportFormato(e.target.value)}>
+                    <option value="m3u8">M3U8</option>
+                    <option value="m3u">M3U</option>
+                    <option value="pls">PLS</option>
+                    <option value="xspf">XSPF</option>
+                  </select>
+                  <button className="extra-btn" onClick={exportarPlaylist} disabled={!exportOrigen}>📤 Descargar</button>
+                </div>
+              </div>
+
+              {importacion && (
+                <div className="importacion-previa">
+                  {importacion.cargando && <p>Leyendo {importacion.archivo.name}...</p>}
+                  {importacion.error && <p className="auth-error">{importacion.error}</p>}
+                  {importacion.resultado && !importacion.cargando && (
+                    <>
+                      <label>
+                        Nombre:{" "}
+                        <input
+                          type="text"
+                          value={importacion.nombre}
+                          onChange={(e) => setImportacion({ ...importacion, nombre: e.target.value })}
+                        />
+                      </label>
+                      <p>
+                        Se encontraron {importacion.resultado.matched} de {importacion.resultado.tracks.length} canciones
+                        {importacion.resultado.unmatched > 0 && " (las que faltan no se agregan)"}
+                      </p>
+                      <ol>
+                        {importacion.resultado.tracks.map((track, index) => (
+                          <li key={index} className={track.song ? "encontrada" : "no-encontrada"}>
+                            {track.song
+                              ? <>✔ {track.song.title}{track.song.artist && <small> — {track.song.artist}</small>}</>
+                              : <>✘ {[track.artist, track.title].filter(Boolean).join(" - ") || track.location}</>}
+                          </li>
+                        ))}
+                      </ol>
+                    </>
+                  )}
+                  <div className="importacion-acciones">
+                    {importacion.resultado && !importacion.cargando && (
+                      <button
+                        className="boton-principal"
+                        onClick={confirmarImportacion}
+                        disabled={importacion.resultado.matched === 0 || !importacion.nombre.trim()}
+                      >
+                        Crear playlist
+                      </button>
+                    )}
+                    <button className="extra-btn" onClick={() => setImportacion(null)}>Cancelar</button>
+                  </div>
+                </div>
+              )}
 
               <input
                 id="cargaInput"
                 type="file"
-                accept="audio/mp3"
+                accept={Importacion.EXTENSIONES}
                 multiple
                 hidden
                 onChange={(e) => {
                   const archivos = Array.from(e.target.files);
-                  const nuevas = archivos.map((file) => ({
-                    nombre: file.name,
-                    url: URL.createObjectURL(file),
-                  }));
-                  setCancionesLocales([...cancionesLocales, ...nuevas]);
+                  e.target.value = "";
+                  prepararCarga(archivos);
+                }}
+              />
+              <input
+                id="cargaCarpetaInput"
+                type="file"
+                webkitdirectory=""
+                hidden
+                onChange={(e) => {
+                  const archivos = Array.from(e.target.files);
+                  e.target.value = "";
+                  prepararCarga(archivos);
                 }}
               />
             </div>
 
+            {subidas.length > 0 && (
+              <ul className="lista-subidas">
+                {subidas.map((s) => (
+                  <li key={s.id} className={s.estado}>
+                    <span>{s.nombre}</span>
+                    {s.estado === "error" ? (
+                      <>
+                        <small>{s.error}</small>
+                        <button className="btn-eliminar" onClick={() => setSubidas((prev) => prev.filter((x) => x.id !== s.id))}>✕</button>
+                      </>
+                    ) : (
+                      <progress max="1" value={s.progreso} />
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {user && misSubidas.length > 0 && (
+              <>
+                <h3 className="playlist-title">Mis canciones subidas</h3>
+                <ul className="lista-mis-subidas">
+                  {misSubidas
+                    .filter((c) => `${c.title} ${c.artist || ""}`.toLowerCase().includes(busqueda.toLowerCase()))
+                    .map((cancion) => (
+                      <li key={cancion.id}>
+                        <span onClick={() => reproducirLista("Mis subidas", misSubidas, misSubidas.indexOf(cancion))}>
+                          ☁️ {cancion.title}{cancion.artist && <small> — {cancion.artist}</small>}
+                        </span>
+                        {botonesCola(cancion)}
+                        <button className="btn-eliminar" onClick={() => eliminarSubida(cancion)}>🗑</button>
+                      </li>
+                    ))}
+                </ul>
+              </>
+            )}
+
             <ul id="listaMP3">
               <input
                 type="text"
@@ -399,133 +2067,86 @@ export default function App() {
                 onChange={(e) => setBusqueda(e.target.value)}
               />
               {cancionesLocales
-                .filter((c) => c.nombre.toLowerCase().includes(busqueda.toLowerCase()))
-                .map((cancion, index) => (
-                  <li key={index}>
-                    <span onClick={() => {
-                      setPlaylistActiva("Locales");
-                      setCanciones(cancionesLocales.map((c) => c.url));
-                      playSong(index);
-                    }}
-                    >
-                      🎵 {cancion.nombre}
+                .filter((c) => `${c.title} ${c.artist || ""} ${c.archivo}`.toLowerCase().includes(busqueda.toLowerCase()))
+                .map((cancion) => (
+                  <li key={cancion.id}>
+                    <span onClick={() => reproducirLista("Locales", cancionesLocales, cancionesLocales.indexOf(cancion))}>
+                      🎵 {cancion.title}{cancion.artist && <small> — {cancion.artist}</small>}
                     </span>
-                    <button
-                      className="btn-eliminar"
-                      onClick={() =>
-                        setCancionesLocales(cancionesLocales.filter((_, i) => i !== index))
-                      }
-                    >
-                      🗑
-                    </button>
+                    {botonesCola(cancion)}
+                    <button className="btn-eliminar" onClick={() => eliminarLocal(cancion)}>🗑</button>
                   </li>
                 ))}
               {cancionesLocales.length === 0 && <li>No hay canciones cargadas</li>}
             </ul>
+            {espacioLocal && (
+              <p className="espacio-local">
+                {cancionesLocales.length} {cancionesLocales.length === 1 ? "canción guardada" : "canciones guardadas"} en este navegador
+                {" · "}
+                {formatearBytes(espacioLocal.usado)} usados de {formatearBytes(espacioLocal.disponible)} disponibles
+                <progress max={espacioLocal.disponible} value={espacioLocal.usado} />
+              </p>
+            )}
           </section>
         )}
 
         {activeSection === "chats" && (
           <section id="chats" className="seccion-activa">
             <h2>Chats</h2>
-            <div className="chat-container">
-              <div className="chat-list">
-                <div className="chat-user" onClick={() => setActiveUser("Pipi")}><span>usuario1</span></div>
-                <div className="chat-user" onClick={() => setActiveUser("Lucho")}><span>usuario2</span></div>
-              </div>
-
-              <div className="chat-window">
-                <div className="chat-header">
-                  {activeUser ? `Chat con ${activeUser}` : "Elegí un chat"}
-                </div>
-
-                <div className="chat-messages">
-                  {messages
-                    .filter(
-                      (msg) =>
-                        (activeUser === "Pipi" && (msg.sender === "Pipi" || msg.sender === "Lucho")) ||
-                        (activeUser === "Lucho" && (msg.sender === "Pipi" || msg.sender === "Lucho"))
-                    )
-                    .map((msg, i) => (
-                      <div
-                        key={i}
-                        className={`msg ${msg.sender === activeUser ? "own" : "other"}`}
-                      >
-                        {msg.text}
-                      </div>
-                    ))}
-                </div>
-
-                {activeUser && (
-                  <div className="chat-input">
-                    <input
-                      type="text"
-                      placeholder="Escribí un mensaje..."
-                      onKeyDown={(e) => {
-                        if (e.key === "Enter") {
-                          const text = e.target.value.trim();
-                          if (text) {
-                            setMessages([...messages, { sender: activeUser, text }]);
-                            e.target.value = "";
-                          }
-                        }
-                      }}
-                    />
-                    <button
-                      onClick={() => {
-                        const input = document.querySelector(".chat-input input");
-                        if (input && input.value.trim() !== "") {
-                          setMessages([...messages, { sender: activeUser, text: input.value }]);
-                          input.value = "";
-                        }
-                      }}
-                    >
-                      ➤
-                    </button>
-                  </div>
-                )}
-              </div>
-            </div>
+            {user ? (
+              <Chats user={user} />
+            ) : (
+              <p>Iniciá sesión en Perfil para chatear con otros usuarios.</p>
+            )}
           </section>
         )}
 
         {activeSection === "perfil" && (
           <section id="perfil" className="seccion-activa">
-            <h2>{user ? 'Mi Perfil' : 'Acceder'}</h2>
-            {!user ? (
-              <Auth onLogin={setUser} />
+            <h2>{user && !resetToken ? 'Mi Perfil' : 'Acceder'}</h2>
+            {avisoCuenta && (
+              <p className={`auth-mensaje ${avisoCuenta.tipo}`} role={avisoCuenta.tipo === 'error' ? 'alert' : 'status'}>
+                {avisoCuenta.texto}
+              </p>
+            )}
+            {!user || resetToken ? (
+              <Auth
+                onLogin={setUser}
+                resetToken={resetToken}
+                onResetTerminado={() => setResetToken(null)}
+              />
             ) : (
               <div className="perfil-container">
                 <div className="perfil-info">
                   <h3>Bienvenido, {user.nombre}</h3>
+                  {!user.emailVerified && (
+                    <p className="perfil-verificar">
+                      Todavía no confirmaste tu email ({user.email}).{' '}
+                      <button className="extra-btn" onClick={reenviarVerificacion}>
+                        Reenviar email de verificación
+                      </button>
+                    </p>
+                  )}
                   <button 
                     className="btn-buscar"
                     onClick={() => {
-                      fetch('http://localhost:4000/api/logout', {
-                        method: 'POST',
-                        credentials: 'include'
-                      })
-                      .then(() => setUser(null));
+                      apiFetch('/api/session/logout', { method: 'POST' })
+                        .then(() => setUser(null));
                     }}
                   >
                     Cerrar Sesión
                   </button>
                 </div>
                 
-                <div className="playlists-personales">
-                  <h3>Mis Playlists</h3>
-                  <button 
-                    className="extra-btn"
-                    onClick={() => {
-                      const nombre = prompt('Nombre de la nueva playlist:');
-                      if (nombre) {
-                        // Aquí irá la lógica para crear playlist
-                      }
-                    }}
-                  >
-                    Crear Nueva Playlist
-                  </button>
-                </div>
+                <MisPlaylists
+                  playlists={misPlaylists}
+                  usuarioId={user.id}
+                  onCrear={crearPlaylist}
+                  onReload={cargarMisPlaylists}
+                  onPlay={reproducirLista}
+                  onEncolar={encolar}
+                  cancionDesdeRuta={cancionDesdeRuta}
+                />
               </div>
             )}
           </section>
@@ -535,64 +2156,152 @@ export default function App() {
           <section id="ecualizador" className="seccion-activa">
             <h2>Ecualizador</h2>
 
-            <div className="ecualizador-controles">
-              <div className="control-ecualizador">
-                <label htmlFor="bass">Bajos (60Hz)</label>
+            <div className="ecualizador-presets">
+              <select
+                aria-label="Preset"
+                value={presetActual ? presetActual.id : ""}
+                onChange={(e) => {
+                  eqManualRef.current = null;
+                  elegirPreset(buscarPreset(e.target.value));
+                }}
+              >
+                {!presetActual && <option value="">Personalizado</option>}
+                <optgroup label="Predefinidos">
+                  {Eq.PRESETS.map((p) => (
+                    <option key={p.id} value={p.id}>{p.nombre}</option>
+                  ))}
+                </optgroup>
+                {presetsPropios.length > 0 && (
+                  <optgroup label="Mis presets">
+                    {presetsPropios.map((p) => (
+                      <option key={p.id} value={p.id}>{p.nombre}</option>
+                    ))}
+                  </optgroup>
+                )}
+              </select>
+              {user && presetElegidoModificado && (
+                <button onClick={() => guardarPresetEq(true)}>Guardar cambios</button>
+              )}
+              {user && !presetActual && (
+                <button onClick={() => guardarPresetEq(false)}>Guardar como preset</button>
+              )}
+              {presetActual?.id.startsWith("custom:") && (
+                <button onClick={() => eliminarPresetEq(presetActual)}>Eliminar preset</button>
+              )}
+            </div>
+
+            {!user && <p className="ecualizador-nota">Iniciá sesión para guardar tus presets y usarlos en tus playlists.</p>}
+            {user && contextoEq && (
+              <div className="ecualizador-asignacion">
+                <span>
+                  {presetAsignado
+                    ? `«${cola.origen.nombre}» suena con ${buscarPreset(presetAsignado)?.nombre ?? "un preset"}`
+                    : `«${cola.origen.nombre}» no tiene preset`}
+                </span>
+                {presetActual && presetActual.id !== presetAsignado && (
+                  <button onClick={() => asignarPresetEq(contextoEq, presetActual.id)}>
+                    Usar {presetActual.nombre} en esta playlist
+                  </button>
+                )}
+                {presetAsignado && <button onClick={() => asignarPresetEq(contextoEq, null)}>Quitar</button>}
+              </div>
+            )}
+
+            <Visualizador analizador={analizador} modo={modoVisualizador} portada={portadaActual} activo={isPlaying} />
+            {selectorVisualizador}
+
+            <CurvaEcualizador eq={eq} />
+
+            <div className="ecualizador-bandas">
+              <div className="banda-ecualizador preamp">
+                <span>{eq.preamp > 0 ? `+${eq.preamp}` : eq.preamp}</span>
                 <input
-                  id="bass"
                   type="range"
-                  min="-30"
-                  max="30"
-                  value={bass}
-                  onChange={(e) => {
-                    const v = parseFloat(e.target.value);
-                    setBass(v);
-                    if (bassRef.current) bassRef.current.gain.value = v;
-                  }}
+                  min={-Eq.MAX_GANANCIA}
+                  max={Eq.MAX_GANANCIA}
+                  step="0.5"
+                  value={eq.preamp}
+                  aria-label="Preamplificación"
+                  onChange={(e) => cambiarEq({ preamp: parseFloat(e.target.value) })}
                 />
+                <label>Pre</label>
               </div>
+              {Eq.BANDAS.map((frecuencia, i) => (
+                <div className="banda-ecualizador" key={frecuencia}>
+                  <span>{eq.gains[i] > 0 ? `+${eq.gains[i]}` : eq.gains[i]}</span>
+                  <input
+                    type="range"
+                    min={-Eq.MAX_GANANCIA}
+                    max={Eq.MAX_GANANCIA}
+                    step="0.5"
+                    value={eq.gains[i]}
+                    aria-label={`${Eq.etiquetaBanda(frecuencia)}Hz`}
+                    onChange={(e) => cambiarBanda(i, parseFloat(e.target.value))}
+                  />
+                  <label>{Eq.etiquetaBanda(frecuencia)}</label>
+                </div>
+              ))}
+            </div>
 
+            <div className="ecualizador-controles">
               <div className="control-ecualizador">
-                <label htmlFor="mid">Medios (1kHz)</label>
+                <label htmlFor="crossfade">
+                  Transición entre canciones: {crossfade > 0 ? `crossfade de ${crossfade} s` : "sin crossfade"}
+                </label>
                 <input
-                  id="mid"
+                  id="crossfade"
                   type="range"
-                  min="-30"
-                  max="30"
-                  value={mid}
-                  onChange={(e) => {
-                    const v = parseFloat(e.target.value);
-                    setMid(v);
-                    if (midRef.current) midRef.current.gain.value = v;
-                  }}
+                  min="0"
+                  max={MAX_CROSSFADE}
+                  step="1"
+                  value={crossfade}
+                  onChange={(e) => setCrossfade(parseInt(e.target.value, 10))}
                 />
               </div>
 
               <div className="control-ecualizador">
-                <label htmlFor="treble">Agudos (12kHz)</label>
-                <input
-                  id="treble"
-                  type="range"
-                  min="-30"
-                  max="30"
-                  value={treble}
-                  onChange={(e) => {
-                    const v = parseFloat(e.target.value);
-                    setTreble(v);
-                    if (trebleRef.current) trebleRef.current.gain.value = v;
-                  }}
-                />
+                <label className="normalizacion-activa">
+                  <input
+                    type="checkbox"
+                    checked={normalizacion.enabled}
+                    onChange={(e) => setNormalizacion({ ...normalizacion, enabled: e.target.checked })}
+                  />
+                  Normalizar el volumen entre canciones
+                </label>
+                <select
+                  aria-label="Normalizar por"
+                  value={normalizacion.mode}
+                  disabled={!normalizacion.enabled}
+                  onChange={(e) => setNormalizacion({ ...normalizacion, mode: e.target.value })}
+                >
+                  <option value="track">Por canción</option>
+                  <option value="album">Por álbum (respeta las diferencias dentro del disco)</option>
+                </select>
+                <select
+                  aria-label="Nivel objetivo"
+                  value={normalizacion.target}
+                  disabled={!normalizacion.enabled}
+                  onChange={(e) => setNormalizacion({ ...normalizacion, target: Number(e.target.value) })}
+                >
+                  {NIVELES_NORMALIZACION.map(([nivel, texto]) => (
+                    <option key={nivel} value={nivel}>{texto}</option>
+                  ))}
+                </select>
               </div>
             </div>
           </section>
         )}
       </main>
 
-      {playlistActiva && (
+      {(cola.actual || cola.origen) && (
         <div className={`mini-reproductor ${isReproductorMinimized ? 'minimized' : ''}`}>
           <div className="info">
-            <strong>{playlistActiva}</strong>
-            <span>{canciones[currentIndex]?.split("/").pop() || "Sin canción"}</span>
+            <strong>{cola.origen ? cola.origen.nombre : "Cola"}</strong>
+            <span>
+              {cancionActual
+                ? [cancionActual.title, cancionActual.artist].filter(Boolean).join(" — ")
+                : "Sin canción"}
+            </span>
             <button className="toggle-minimize" onClick={() => setIsReproductorMinimized(!isReproductorMinimized)}>
               {isReproductorMinimized ? '🔼' : '🔽'}
             </button>
@@ -603,18 +2312,76 @@ export default function App() {
                 <div ref={progressRef} className="barra-progreso"></div>
               </div>
               <div className="controles">
-                <button onClick={() => setIsShuffle(!isShuffle)}>🔀</button>
+                <button className={isShuffle ? "activo" : ""} onClick={cambiarAleatorio}>🔀</button>
                 <button onClick={prevSong}>⏮️</button>
                 <button onClick={togglePlay}>{isPlaying ? "⏸️" : "▶️"}</button>
                 <button onClick={nextSong}>⏭️</button>
-                <button onClick={() => setIsRepeat(!isRepeat)}>🔁</button>
+                <button className={isRepeat ? "activo" : ""} onClick={() => setIsRepeat(!isRepeat)}>🔁</button>
+                <button className={mostrarCola ? "activo" : ""} onClick={() => setMostrarCola(!mostrarCola)} title="Cola de reproducción">☰</button>
+                <button onClick={() => setVistaExpandida(true)} title="Vista de reproducción">⛶</button>
+                <button className={mostrandoLetra ? "activo" : ""} onClick={alternarLetra} title="Letra">🎤</button>
+                {user && cancionActual && !cancionActual.local && (
+                  <button onClick={encolarSimilares} title="Agregar similares a la cola">✨</button>
+                )}
+                {user && (
+                  <div className="agregar-a-playlist">
+                    <button
+                      onClick={() => setMostrarAgregar(!mostrarAgregar)}
+                      disabled={Boolean(cancionActual?.local)}
+                      title={cancionActual?.local ? SIN_PLAYLIST_LOCAL : "Agregar a playlist"}
+                    >
+                      ➕
+                    </button>
+                    {mostrarAgregar && (
+                      <select defaultValue="" onChange={(e) => agregarActualAPlaylist(e.target.value)}>
+                        <option value="" disabled>Agregar a...</option>
+                        {misPlaylists.map((pl) => (
+                          <option key={pl.id} value={pl.id}>
+                            {pl.role === "owner" ? pl.nombre : `${pl.nombre} (de ${pl.owner_nombre})`}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                )}
                 <div className="volume-control">
-                  <button onClick={() => setVolume(volume === 0 ? 1 : 0)}>
+                  <button onClick={alternarSilencio}>
                     {volume === 0 ? "🔇" : "🔊"}
                   </button>
                   <input type="range" min="0" max="1" step="0.01" value={volume} onChange={(e) => setVolume(parseFloat(e.target.value))} />
                 </div>
               </div>
+
+              {mostrarCola && (
+                <div className="cola-panel">
+                  <h4>A continuación</h4>
+                  <ol>
+                    {cola.proximas.slice(0, MAX_COLA_VISIBLE).map((entrada, index) => (
+                      <li
+                        key={entrada.clave}
+                        draggable
+                        onDragStart={() => setArrastrandoCola(index)}
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={() => soltarEnCola(index)}
+                        onDragEnd={() => setArrastrandoCola(null)}
+                        className={[entrada.manual && "manual", arrastrandoCola === index && "arrastrando"].filter(Boolean).join(" ")}
+                      >
+                        <span onClick={() => sonar(Cola.saltarA(cola, entrada.clave))}>
+                          {entrada.cancion.title}
+                          {entrada.cancion.artist && <small> — {entrada.cancion.artist}</small>}
+                        </span>
+                        <button className="btn-eliminar" onClick={() => setCola(Cola.quitar(cola, entrada.clave))} title="Quitar de la cola">✕</button>
+                      </li>
+                    ))}
+                    {cola.proximas.length === 0 && (
+                      <li><small>{cola.origen ? `Después vuelve a empezar ${cola.origen.nombre}` : "La cola está vacía"}</small></li>
+                    )}
+                  </ol>
+                  {cola.proximas.length > MAX_COLA_VISIBLE && (
+                    <small>y {cola.proximas.length - MAX_COLA_VISIBLE} más</small>
+                  )}
+                </div>
+              )}
             </>
           )}
         </div>
@@ -631,7 +2398,61 @@ export default function App() {
         </button>
       </nav>
 
+      {mostrarAtajos && (
+        <div className="atajos-fondo" onClick={() => setMostrarAtajos(false)}>
+          <div className="atajos-ayuda" role="dialog" aria-label="Atajos de teclado" onClick={(e) => e.stopPropagation()}>
+            <h3>Atajos de teclado</h3>
+            <dl>
+              {ATAJOS.map(([tecla, descripcion]) => (
+                <div key={tecla}>
+                  <dt><kbd>{tecla}</kbd></dt>
+                  <dd>{descripcion}</dd>
+                </div>
+              ))}
+            </dl>
+            <button className="extra-btn" onClick={() => setMostrarAtajos(false)}>Cerrar</button>
+          </div>
+        </div>
+      )}
+
+      {vistaExpandida && cancionActual && (
+        <div className="vista-reproduccion" role="dialog" aria-label="Reproduciendo ahora">
+          <button className="cerrar-vista" onClick={() => setVistaExpandida(false)} title="Cerrar">✕</button>
+          <div className="modos-visualizador">
+            <button className={panelVista === "visualizador" ? "activo" : ""} onClick={() => setPanelVista("visualizador")}>
+              Visualizador
+            </button>
+            <button className={panelVista === "letra" ? "activo" : ""} onClick={() => setPanelVista("letra")}>
+              Letra
+            </button>
+          </div>
+          {panelVista === "letra" ? (
+            <Letra letra={letra} tiempo={tiempoLetra} onSeek={irA} />
+          ) : (
+            <Visualizador
+              analizador={analizador}
+              modo={modoVisualizador}
+              portada={portadaActual}
+              activo={isPlaying}
+              className="grande"
+            />
+          )}
+          <div className="vista-info">
+            <strong>{cancionActual.title}</strong>
+            {cancionActual.artist && <span>{cancionActual.artist}</span>}
+            {cola.origen && <small>{cola.origen.nombre}</small>}
+          </div>
+          <div className="controles">
+            <button onClick={prevSong}>⏮️</button>
+            <button onClick={togglePlay}>{isPlaying ? "⏸️" : "▶️"}</button>
+            <button onClick={nextSong}>⏭️</button>
+          </div>
+          {panelVista === "visualizador" && selectorVisualizador}
+        </div>
+      )}
+
       <audio ref={audioRef}></audio>
+      <audio ref={audioSiguienteRef}></audio>
     </div>
   );
 }
\ No newline at end of file
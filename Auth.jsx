@@ -1,33 +1,76 @@
 import { useState } from 'react';
+import { API_URL } from '../api';
 
-export default function Auth({ onLogin }) {
-  const [isLogin, setIsLogin] = useState(true);
+// Cada modo define a qué endpoint se envía el formulario y qué campos muestra
+const MODOS = {
+  login: { titulo: 'Iniciar Sesión', endpoint: '/api/login', campos: ['email', 'password'], boton: 'Ingresar' },
+  registro: { titulo: 'Registro', endpoint: '/api/register', campos: ['nombre', 'email', 'password'], boton: 'Registrarse' },
+  olvido: { titulo: 'Recuperar contraseña', endpoint: '/api/password/forgot', campos: ['email'], boton: 'Enviar enlace' },
+  reset: { titulo: 'Nueva contraseña', endpoint: '/api/password/reset', campos: ['password'], boton: 'Cambiar contraseña' }
+};
+
+export default function Auth({ onLogin, resetToken, onResetTerminado }) {
+  const [modo, setModo] = useState(resetToken ? 'reset' : 'login');
   const [formData, setFormData] = useState({
     email: '',
     password: '',
     nombre: ''
   });
+  const [errores, setErrores] = useState({});
+  const [mensaje, setMensaje] = useState(null);
+  const [cargando, setCargando] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    const endpoint = isLogin ? '/api/login' : '/api/register';
-    
+    const { endpoint, campos } = MODOS[modo];
+    const body = Object.fromEntries(campos.map((campo) => [campo, formData[campo]]));
+    if (modo === 'reset') body.token = resetToken;
+    setCargando(true);
+    setErrores({});
+    setMensaje(null);
+
     try {
-      const response = await fetch(`http://localhost:4000${endpoint}`, {
+      const response = await fetch(`${API_URL}${endpoint}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(formData),
+        body: JSON.stringify(body),
         credentials: 'include'
       });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        // El servidor responde { message, errors: [{ field, code, message }] }
+        const porCampo = {};
+        (data.errors || []).forEach((err) => {
+          porCampo[err.field] = err.message;
+        });
+        setErrores(porCampo);
+        setMensaje({ tipo: 'error', texto: data.message || 'Algo salió mal, probá de nuevo' });
+        return;
+      }
 
-      if (response.ok) {
-        const data = await response.json();
+      if (modo === 'login') {
         onLogin(data.user);
+      } else if (modo === 'registro') {
+        // Registro exitoso: pasar a login con el email ya cargado
+        setModo('login');
+        setFormData({ email: formData.email, password: '', nombre: '' });
+        setMensaje({ tipo: 'exito', texto: '¡Cuenta creada! Te enviamos un email para confirmar tu dirección. Ya podés iniciar sesión.' });
+      } else if (modo === 'olvido') {
+        setMensaje({ tipo: 'exito', texto: data.message });
+      } else {
+        setModo('login');
+        setFormData({ email: '', password: '', nombre: '' });
+        setMensaje({ tipo: 'exito', texto: data.message });
+        if (onResetTerminado) onResetTerminado();
       }
     } catch (error) {
       console.error('Error:', error);
+      setMensaje({ tipo: 'error', texto: 'No se pudo conectar con el servidor' });
+    } finally {
+      setCargando(false);
     }
   };
 
@@ -36,47 +79,96 @@ export default function Auth({ onLogin }) {
       ...formData,
       [e.target.name]: e.target.value
     });
+    if (errores[e.target.name]) {
+      setErrores({ ...errores, [e.target.name]: undefined });
+    }
+  };
+
+  const cambiarModo = (nuevo) => {
+    setModo(nuevo);
+    setErrores({});
+    setMensaje(null);
+    if (modo === 'reset' && onResetTerminado) onResetTerminado();
   };
 
+  const error = (campo) => errores[campo] && (
+    <small id={`error-${campo}`} className="auth-error">{errores[campo]}</small>
+  );
+
   return (
     <div className="auth-container">
-      <h2>{isLogin ? 'Iniciar Sesión' : 'Registro'}</h2>
-      <form onSubmit={handleSubmit} className="auth-form">
-        {!isLogin && (
-          <input
-            type="text"
-            name="nombre"
-            placeholder="Nombre"
-            value={formData.nombre}
-            onChange={handleChange}
-            className="input-busqueda"
-          />
+      <h2>{MODOS[modo].titulo}</h2>
+      {mensaje && (
+        <p className={`auth-mensaje ${mensaje.tipo}`} role={mensaje.tipo === 'error' ? 'alert' : 'status'}>
+          {mensaje.texto}
+        </p>
+      )}
+      <form onSubmit={handleSubmit} className="auth-form" noValidate>
+        {modo === 'registro' && (
+          <>
+            <input
+              type="text"
+              name="nombre"
+              placeholder="Nombre"
+              value={formData.nombre}
+              onChange={handleChange}
+              className={`input-busqueda ${errores.nombre ? 'input-error' : ''}`}
+              aria-invalid={Boolean(errores.nombre)}
+              aria-describedby="error-nombre"
+            />
+            {error('nombre')}
+          </>
+        )}
+        {modo !== 'reset' && (
+          <>
+            <input
+              type="email"
+              name="email"
+              placeholder="Email"
+              value={formData.email}
+              onChange={handleChange}
+              className={`input-busqueda ${errores.email ? 'input-error' : ''}`}
+              aria-invalid={Boolean(errores.email)}
+              aria-describedby="error-email"
+            />
+            {error('email')}
+            {modo === 'olvido' && !errores.email && (
+              <small className="auth-ayuda">Te mandamos un enlace para elegir una contraseña nueva.</small>
+            )}
+          </>
         )}
-        <input
-          type="email"
-          name="email"
-          placeholder="Email"
-          value={formData.email}
-          onChange={handleChange}
-          className="input-busqueda"
-        />
-        <input
-          type="password"
-          name="password"
-          placeholder="Contraseña"
-          value={formData.password}
-          onChange={handleChange}
-          className="input-busqueda"
-        />
-        <button type="submit" className="btn-buscar">
-          {isLogin ? 'Ingresar' : 'Registrarse'}
+        {modo !== 'olvido' && (
+          <>
+            <input
+              type="password"
+              name="password"
+              placeholder={modo === 'reset' ? 'Nueva contraseña' : 'Contraseña'}
+              value={formData.password}
+              onChange={handleChange}
+              className={`input-busqueda ${errores.password ? 'input-error' : ''}`}
+              aria-invalid={Boolean(errores.password)}
+              aria-describedby="error-password"
+            />
+            {error('password')}
+          </>
+        )}
+        {(modo === 'registro' || modo === 'reset') && !errores.password && (
+          <small className="auth-ayuda">Mínimo 8 caracteres, con al menos una letra y un número.</small>
+        )}
+        <button type="submit" className="btn-buscar" disabled={cargando}>
+          {cargando ? 'Enviando...' : MODOS[modo].boton}
         </button>
       </form>
+      {modo === 'login' && (
+        <button onClick={() => cambiarModo('olvido')} className="extra-btn">
+          ¿Olvidaste tu contraseña?
+        </button>
+      )}
       <button 
-        onClick={() => setIsLogin(!isLogin)}
+        onClick={() => cambiarModo(modo === 'login' ? 'registro' : 'login')}
         className="extra-btn"
       >
-        {isLogin ? '¿No tienes cuenta? Regístrate' : '¿Ya tienes cuenta? Inicia sesión'}
+        {modo === 'login' ? '¿No tienes cuenta? Regístrate' : '¿Ya tienes cuenta? Inicia sesión'}
       </button>
     </div>
   );
@@ -0,0 +1,261 @@
+import { useState, useEffect, useRef } from 'react';
+import { API_URL, apiFetch, refreshSession } from '../api';
+
+const postJson = (path, body) => apiFetch(path, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+export default function Chats({ user }) {
+  const [conversaciones, setConversaciones] = useState([]);
+  const [activa, setActiva] = useState(null);
+  const [mensajes, setMensajes] = useState([]);
+  const [hayMas, setHayMas] = useState(false);
+  const [receipts, setReceipts] = useState({ deliveredId: 0, readId: 0 });
+  const [escribiendo, setEscribiendo] = useState({});
+  const [texto, setTexto] = useState('');
+  const [busquedaUsuario, setBusquedaUsuario] = useState('');
+  const [usuarios, setUsuarios] = useState([]);
+
+  const activaRef = useRef(null);
+  const ultimoTypingRef = useRef(0);
+  const mensajesRef = useRef(null);
+
+  useEffect(() => {
+    activaRef.current = activa;
+  }, [activa]);
+
+  const cargarConversaciones = async () => {
+    const res = await apiFetch('/api/chat/conversations');
+    if (!res.ok) return;
+    const data = await res.json();
+    setConversaciones(data.conversations);
+    // Lo que llegó mientras no estábamos conectados queda como entregado
+    data.conversations
+      .filter((c) => c.unread > 0)
+      .forEach((c) => postJson(`/api/chat/conversations/${c.id}/delivered`, { messageId: c.last_message_id }));
+  };
+
+  // Canal SSE: mensajes nuevos, "escribiendo..." y confirmaciones de lectura
+  useEffect(() => {
+    let eventos = null;
+    let cerrado = false;
+    const timers = {};
+
+    const conectar = () => {
+      eventos = new EventSource(`${API_URL}/api/chat/events`, { withCredentials: true });
+
+      eventos.addEventListener('message', (e) => {
+        const { message } = JSON.parse(e.data);
+        const deOtro = message.sender_id !== user.id;
+        if (message.conversation_id === activaRef.current) {
+          setMensajes((prev) => (prev.some((m) => m.id === message.id) ? prev : [...prev, message]));
+          if (deOtro) {
+            postJson(`/api/chat/conversations/${message.conversation_id}/read`, { messageId: message.id });
+          }
+        } else if (deOtro) {
+          postJson(`/api/chat/conversations/${message.conversation_id}/delivered`, { messageId: message.id });
+        }
+        if (deOtro) {
+          setEscribiendo((prev) => ({ ...prev, [message.conversation_id]: false }));
+        }
+        cargarConversaciones();
+      });
+
+      eventos.addEventListener('typing', (e) => {
+        const { conversationId, typing } = JSON.parse(e.data);
+        clearTimeout(timers[conversationId]);
+        setEscribiendo((prev) => ({ ...prev, [conversationId]: typing }));
+        if (typing) {
+          timers[conversationId] = setTimeout(() => {
+            setEscribiendo((prev) => ({ ...prev, [conversationId]: false }));
+          }, 4000);
+        }
+      });
+
+      eventos.addEventListener('receipt', (e) => {
+        const { conversationId, deliveredId, readId } = JSON.parse(e.data);
+        if (conversationId === activaRef.current) setReceipts({ deliveredId, readId });
+      });
+
+      // Si el access token venció el navegador no reintenta solo: se renueva y se reconecta
+      eventos.onerror = async () => {
+        if (eventos.readyState !== EventSource.CLOSED || cerrado) return;
+        if (await refreshSession()) conectar();
+      };
+    };
+
+    cargarConversaciones();
+    conectar();
+
+    return () => {
+      cerrado = true;
+      if (eventos) eventos.close();
+      Object.values(timers).forEach(clearTimeout);
+    };
+  }, [user.id]);
+
+  useEffect(() => {
+    if (mensajesRef.current) mensajesRef.current.scrollTop = mensajesRef.current.scrollHeight;
+  }, [mensajes.length, activa]);
+
+  const cargarMensajes = async (conversationId, before) => {
+    const query = before ? `?before=${before}` : '';
+    const res = await apiFetch(`/api/chat/conversations/${conversationId}/messages${query}`);
+    if (!res.ok) return null;
+    return res.json();
+  };
+
+  const abrir = async (conversacion) => {
+    setActiva(conversacion.id);
+    setMensajes([]);
+    const data = await cargarMensajes(conversacion.id);
+    if (!data) return;
+    setMensajes(data.messages);
+    setHayMas(data.hasMore);
+    setReceipts(data.receipts);
+    const ultimo = data.messages[data.messages.length - 1];
+    if (ultimo) {
+      await postJson(`/api/chat/conversations/${conversacion.id}/read`, { messageId: ultimo.id });
+      cargarConversaciones();
+    }
+  };
+
+  const cargarAnteriores = async () => {
+    if (!mensajes.length) return;
+    const data = await cargarMensajes(activa, mensajes[0].id);
+    if (!data) return;
+    setMensajes((prev) => [...data.messages, ...prev]);
+    setHayMas(data.hasMore);
+  };
+
+  const enviar = async () => {
+    const limpio = texto.trim();
+    if (!limpio || !activa) return;
+    setTexto('');
+    const res = await postJson(`/api/chat/conversations/${activa}/messages`, { text: limpio });
+    if (!res.ok) {
+      setTexto(limpio);
+      return;
+    }
+    const { message } = await res.json();
+    setMensajes((prev) => (prev.some((m) => m.id === message.id) ? prev : [...prev, message]));
+    cargarConversaciones();
+  };
+
+  const avisarEscribiendo = () => {
+    const ahora = Date.now();
+    if (!activa || ahora - ultimoTypingRef.current < 2000) return;
+    ultimoTypingRef.current = ahora;
+    postJson(`/api/chat/conversations/${activa}/typing`, { typing: true });
+  };
+
+  const buscarUsuarios = async (q) => {
+    setBusquedaUsuario(q);
+    if (!q.trim()) {
+      setUsuarios([]);
+      return;
+    }
+    const res = await apiFetch(`/api/chat/users?q=${encodeURIComponent(q.trim())}`);
+    if (res.ok) setUsuarios((await res.json()).users);
+  };
+
+  const iniciarChat = async (otro) => {
+    const res = await postJson('/api/chat/conversations', { userId: otro.id });
+    if (!res.ok) return;
+    const { conversation } = await res.json();
+    setBusquedaUsuario('');
+    setUsuarios([]);
+    await cargarConversaciones();
+    abrir(conversation);
+  };
+
+  const estadoMensaje = (m) => {
+    if (m.id <= receipts.readId) return <span className="msg-estado leido" title="Leído">✓✓</span>;
+    if (m.id <= receipts.deliveredId) return <span className="msg-estado" title="Entregado">✓✓</span>;
+    return <span className="msg-estado" title="Enviado">✓</span>;
+  };
+
+  const conversacionActiva = conversaciones.find((c) => c.id === activa);
+
+  return (
+    <div className="chat-container">
+      <div className="chat-list">
+        <input
+          type="text"
+          className="chat-buscar-usuario"
+          placeholder="Nuevo chat: buscar usuario..."
+          value={busquedaUsuario}
+          onChange={(e) => buscarUsuarios(e.target.value)}
+        />
+        {usuarios.map((u) => (
+          <div key={`u-${u.id}`} className="chat-user chat-user-nuevo" onClick={() => iniciarChat(u)}>
+            <span>➕ {u.nombre}</span>
+          </div>
+        ))}
+
+        {conversaciones.map((c) => (
+          <div
+            key={c.id}
+            className={`chat-user ${c.id === activa ? 'activo' : ''}`}
+            onClick={() => abrir(c)}
+          >
+            <span>
+              {c.online && <span className="chat-online" title="En línea">●</span>} {c.nombre}
+            </span>
+            {c.unread > 0 && c.id !== activa && <span className="chat-unread">{c.unread}</span>}
+            <small className="chat-preview">
+              {escribiendo[c.id] ? 'escribiendo...' : c.last_text || 'Sin mensajes'}
+            </small>
+          </div>
+        ))}
+        {conversaciones.length === 0 && usuarios.length === 0 && (
+          <small className="chat-preview">Buscá a alguien para empezar a chatear</small>
+        )}
+      </div>
+
+      <div className="chat-window">
+        <div className="chat-header">
+          {conversacionActiva ? `Chat con ${conversacionActiva.nombre}` : 'Elegí un chat'}
+          {activa && escribiendo[activa] && <small className="chat-typing"> está escribiendo...</small>}
+        </div>
+
+        <div className="chat-messages" ref={mensajesRef}>
+          {hayMas && (
+            <button className="extra-btn chat-anteriores" onClick={cargarAnteriores}>
+              Cargar mensajes anteriores
+            </button>
+          )}
+          {mensajes.map((m) => (
+            <div
+              key={m.id}
+              className={`msg ${m.sender_id === user.id ? 'own' : 'other'}`}
+            >
+              {m.text}
+              {m.sender_id === user.id && estadoMensaje(m)}
+            </div>
+          ))}
+        </div>
+
+        {activa && (
+          <div className="chat-input">
+            <input
+              type="text"
+              placeholder="Escribí un mensaje..."
+              value={texto}
+              onChange={(e) => {
+                setTexto(e.target.value);
+                avisarEscribiendo();
+              }}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') enviar();
+              }}
+            />
+            <button onClick={enviar}>➤</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
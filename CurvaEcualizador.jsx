@@ -0,0 +1,40 @@
+import { useMemo } from 'react';
+import { BANDAS, MAX_GANANCIA, curvaDeRespuesta, etiquetaBanda } from '../ecualizador';
+
+const ANCHO = 400;
+const ALTO = 140;
+const PUNTOS = 120;
+const F_MIN = 20;
+const F_MAX = 20000;
+// Margen arriba y abajo: preamp y bandas sumados pueden pasar de ±12 dB
+const RANGO_DB = MAX_GANANCIA * 1.5;
+
+// Frecuencias en escala logarítmica, como se dibujan en el eje
+const FRECUENCIAS = Array.from({ length: PUNTOS }, (_, i) => F_MIN * (F_MAX / F_MIN) ** (i / (PUNTOS - 1)));
+
+const x = (frecuencia) => (Math.log(frecuencia / F_MIN) / Math.log(F_MAX / F_MIN)) * ANCHO;
+const y = (db) => ALTO / 2 - (Math.max(-RANGO_DB, Math.min(RANGO_DB, db)) / RANGO_DB) * (ALTO / 2);
+
+export default function CurvaEcualizador({ eq }) {
+  const curva = useMemo(() => curvaDeRespuesta(eq, FRECUENCIAS), [eq]);
+  if (!curva) return null;
+
+  const puntos = curva.map((db, i) => `${x(FRECUENCIAS[i]).toFixed(1)},${y(db).toFixed(1)}`).join(' ');
+  const maximo = Math.max(...curva);
+
+  return (
+    <svg className="curva-ecualizador" viewBox={`0 0 ${ANCHO} ${ALTO}`} role="img" aria-label="Curva de respuesta del ecualizador">
+      {BANDAS.map((frecuencia) => (
+        <g key={frecuencia}>
+          <line className="guia" x1={x(frecuencia)} x2={x(frecuencia)} y1="0" y2={ALTO} />
+          <text x={x(frecuencia)} y={ALTO - 4}>{etiquetaBanda(frecuencia)}</text>
+        </g>
+      ))}
+      <line className="cero" x1="0" x2={ANCHO} y1={y(0)} y2={y(0)} />
+      <polyline className={maximo > 0 ? 'respuesta satura' : 'respuesta'} points={puntos} />
+      {maximo > 0 && (
+        <text className="aviso" x={ANCHO - 4} y="14">+{maximo.toFixed(1)} dB: bajá el preamp</text>
+      )}
+    </svg>
+  );
+}
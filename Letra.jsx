@@ -0,0 +1,55 @@
+import { useEffect, useRef } from 'react';
+
+// Después de mover la letra a mano, el desplazamiento automático espera esto
+const PAUSA_SCROLL_MS = 4000;
+
+// Última línea que ya empezó (las líneas vienen ordenadas por tiempo)
+const lineaActiva = (lineas, tiempo) => {
+  let activa = -1;
+  for (let i = 0; i < lineas.length && lineas[i].time <= tiempo; i++) activa = i;
+  return activa;
+};
+
+// Letra de la canción que suena. Si está sincronizada resalta la línea
+// actual, la mantiene centrada y cada línea lleva a ese momento al clickearla.
+export default function Letra({ letra, tiempo, onSeek }) {
+  const listaRef = useRef(null);
+  const scrollManualRef = useRef(0);
+  const activa = letra && letra.synced ? lineaActiva(letra.lines, tiempo) : -1;
+
+  useEffect(() => {
+    const lista = listaRef.current;
+    if (!lista || activa < 0 || Date.now() - scrollManualRef.current < PAUSA_SCROLL_MS) return;
+    const linea = lista.children[activa];
+    lista.scrollTo({
+      top: linea.offsetTop - lista.clientHeight / 2 + linea.clientHeight / 2,
+      behavior: 'smooth'
+    });
+  }, [activa]);
+
+  if (!letra || letra.cargando) return <p className="letra-mensaje">Buscando la letra...</p>;
+  if (letra.error) return <p className="letra-mensaje">{letra.error}</p>;
+
+  const marcarScrollManual = () => {
+    scrollManualRef.current = Date.now();
+  };
+
+  return (
+    <ol
+      ref={listaRef}
+      className={`letra ${letra.synced ? 'sincronizada' : ''}`}
+      onWheel={marcarScrollManual}
+      onTouchMove={marcarScrollManual}
+    >
+      {letra.lines.map((linea, i) => (
+        <li
+          key={i}
+          className={i === activa ? 'activa' : i < activa ? 'pasada' : undefined}
+          onClick={letra.synced ? () => onSeek(linea.time) : undefined}
+        >
+          {linea.text || '♪'}
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,309 @@
+import { useState } from 'react';
+import { apiFetch } from '../api';
+
+const VISIBILIDADES = {
+  private: { icono: '🔒', texto: 'Privada' },
+  unlisted: { icono: '🔗', texto: 'Solo con enlace' },
+  public: { icono: '🌐', texto: 'Pública' }
+};
+
+const jsonBody = (method, body) => ({
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+const enlaceCompartido = (token) => `${window.location.origin}/?compartida=${encodeURIComponent(token)}`;
+
+export default function MisPlaylists({ playlists, usuarioId, onCrear, onReload, onPlay, onEncolar, cancionDesdeRuta }) {
+  const [abierta, setAbierta] = useState(null);
+  const [entradas, setEntradas] = useState([]);
+  const [arrastrando, setArrastrando] = useState(null);
+  const [compartiendo, setCompartiendo] = useState(null);
+  const [enlaces, setEnlaces] = useState([]);
+  const [colaboradores, setColaboradores] = useState([]);
+  const [emailColaborador, setEmailColaborador] = useState('');
+  // { tipo: 'error' | 'exito', texto } después de agregar un colaborador
+  const [avisoColaborador, setAvisoColaborador] = useState(null);
+
+  // Cada entrada trae la canción del catálogo (o null) y quién la agregó
+  const cargarEntradas = async (playlist) => {
+    const res = await apiFetch(`/api/playlists/${playlist.id}/songs`);
+    if (!res.ok) return null;
+    return (await res.json()).entries;
+  };
+
+  const paraReproducir = (lista) => lista.map((e) => e.song || e.songPath);
+
+  const abrir = async (playlist) => {
+    if (abierta?.id === playlist.id) {
+      setAbierta(null);
+      return;
+    }
+    const lista = await cargarEntradas(playlist);
+    if (!lista) return;
+    setAbierta(playlist);
+    setEntradas(lista);
+  };
+
+  const reproducir = async (playlist) => {
+    const lista = await cargarEntradas(playlist);
+    if (!lista) return;
+    if (lista.length === 0) {
+      alert('La playlist está vacía');
+      return;
+    }
+    onPlay(playlist.nombre, paraReproducir(lista), 0, `playlist:${playlist.id}`);
+  };
+
+  const renombrar = async (playlist) => {
+    const nombre = prompt('Nuevo nombre de la playlist:', playlist.nombre);
+    if (!nombre || nombre.trim() === playlist.nombre) return;
+    const res = await apiFetch(`/api/playlists/${playlist.id}`, jsonBody('PATCH', { nombre }));
+    if (res.ok) {
+      if (abierta?.id === playlist.id) setAbierta({ ...abierta, nombre: nombre.trim() });
+      onReload();
+    }
+  };
+
+  const eliminar = async (playlist) => {
+    if (!confirm(`¿Eliminar la playlist "${playlist.nombre}"?`)) return;
+    const res = await apiFetch(`/api/playlists/${playlist.id}`, { method: 'DELETE' });
+    if (res.ok) {
+      if (abierta?.id === playlist.id) setAbierta(null);
+      onReload();
+    }
+  };
+
+  const salir = async (playlist) => {
+    if (!confirm(`¿Dejar de colaborar en "${playlist.nombre}"?`)) return;
+    const res = await apiFetch(`/api/playlists/${playlist.id}/collaborators/${usuarioId}`, { method: 'DELETE' });
+    if (res.ok) {
+      if (abierta?.id === playlist.id) setAbierta(null);
+      onReload();
+    }
+  };
+
+  const quitarCancion = async (songPath) => {
+    const res = await apiFetch(
+      `/api/playlists/${abierta.id}/songs/${encodeURIComponent(songPath)}`,
+      { method: 'DELETE' }
+    );
+    if (res.ok) {
+      setEntradas(entradas.filter((e) => e.songPath !== songPath));
+      onReload();
+    }
+  };
+
+  const soltar = async (destino) => {
+    if (arrastrando === null || arrastrando === destino) return;
+    const anterior = entradas;
+    const nuevas = [...entradas];
+    const [movida] = nuevas.splice(arrastrando, 1);
+    nuevas.splice(destino, 0, movida);
+    setEntradas(nuevas);
+    setArrastrando(null);
+
+    const res = await apiFetch(
+      `/api/playlists/${abierta.id}/songs/order`,
+      jsonBody('PUT', { songs: nuevas.map((e) => e.songPath) })
+    );
+    if (!res.ok) setEntradas(anterior);
+  };
+
+  // Panel para compartir: visibilidad, enlaces y colaboradores (solo el dueño)
+  const abrirCompartir = async (playlist) => {
+    if (compartiendo === playlist.id) {
+      setCompartiendo(null);
+      return;
+    }
+    const [resEnlaces, resColaboradores] = await Promise.all([
+      apiFetch(`/api/playlists/${playlist.id}/shares`),
+      apiFetch(`/api/playlists/${playlist.id}/collaborators`)
+    ]);
+    if (!resEnlaces.ok || !resColaboradores.ok) return;
+    setEnlaces((await resEnlaces.json()).shares);
+    setColaboradores((await resColaboradores.json()).collaborators);
+    setEmailColaborador('');
+    setAvisoColaborador(null);
+    setCompartiendo(playlist.id);
+  };
+
+  const cambiarVisibilidad = async (playlist, visibility) => {
+    const res = await apiFetch(`/api/playlists/${playlist.id}`, jsonBody('PATCH', { visibility }));
+    if (res.ok) onReload();
+  };
+
+  const crearEnlace = async (playlist) => {
+    const res = await apiFetch(`/api/playlists/${playlist.id}/shares`, { method: 'POST' });
+    if (!res.ok) return;
+    const { share, visibility } = await res.json();
+    setEnlaces([...enlaces, share]);
+    if (visibility !== playlist.visibility) onReload();
+  };
+
+  const copiarEnlace = async (share) => {
+    try {
+      await navigator.clipboard.writeText(enlaceCompartido(share.token));
+    } catch {
+      prompt('Copiá el enlace:', enlaceCompartido(share.token));
+    }
+  };
+
+  const revocarEnlace = async (playlist, share) => {
+    if (!confirm('Quien tenga este enlace ya no va a poder ver la playlist. ¿Revocarlo?')) return;
+    const res = await apiFetch(`/api/playlists/${playlist.id}/shares/${share.id}`, { method: 'DELETE' });
+    if (res.ok) setEnlaces(enlaces.filter((s) => s.id !== share.id));
+  };
+
+  const agregarColaborador = async (playlist) => {
+    if (!emailColaborador.trim()) return;
+    const res = await apiFetch(
+      `/api/playlists/${playlist.id}/collaborators`,
+      jsonBody('POST', { email: emailColaborador })
+    );
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setAvisoColaborador({ tipo: 'error', texto: data.message || 'No se pudo agregar' });
+      return;
+    }
+    // El servidor no dice si la cuenta existe: la lista se vuelve a pedir
+    setAvisoColaborador({ tipo: 'exito', texto: data.message });
+    setEmailColaborador('');
+    const resColaboradores = await apiFetch(`/api/playlists/${playlist.id}/collaborators`);
+    if (resColaboradores.ok) setColaboradores((await resColaboradores.json()).collaborators);
+  };
+
+  const quitarColaborador = async (playlist, colaborador) => {
+    const res = await apiFetch(
+      `/api/playlists/${playlist.id}/collaborators/${colaborador.id}`,
+      { method: 'DELETE' }
+    );
+    if (res.ok) setColaboradores(colaboradores.filter((c) => c.id !== colaborador.id));
+  };
+
+  return (
+    <div className="playlists-personales">
+      <h3>Mis Playlists</h3>
+      <button className="extra-btn" onClick={onCrear}>
+        Crear Nueva Playlist
+      </button>
+
+      {playlists.length === 0 && <p>Todavía no creaste playlists</p>}
+
+      <ul className="mis-playlists">
+        {playlists.map((pl) => {
+          const esDuenio = pl.role === 'owner';
+          const visibilidad = VISIBILIDADES[pl.visibility] || VISIBILIDADES.private;
+          return (
+            <li key={pl.id} className={abierta?.id === pl.id ? 'abierta' : ''}>
+              <div className="mis-playlists-fila">
+                <span onClick={() => abrir(pl)}>
+                  {esDuenio ? <span title={visibilidad.texto}>{visibilidad.icono}</span> : '👥'} {pl.nombre}{' '}
+                  <small>({pl.song_count}){!esDuenio && ` · de ${pl.owner_nombre}`}</small>
+                </span>
+                <button onClick={() => reproducir(pl)} title="Reproducir">▶</button>
+                {esDuenio ? (
+                  <>
+                    <button onClick={() => abrirCompartir(pl)} title="Compartir">🤝</button>
+                    <button onClick={() => renombrar(pl)} title="Renombrar">✏️</button>
+                    <button className="btn-eliminar" onClick={() => eliminar(pl)} title="Eliminar">🗑</button>
+                  </>
+                ) : (
+                  <button className="btn-eliminar" onClick={() => salir(pl)} title="Dejar de colaborar">🚪</button>
+                )}
+              </div>
+
+              {esDuenio && compartiendo === pl.id && (
+                <div className="compartir-panel">
+                  <label>
+                    Visibilidad:{' '}
+                    <select value={pl.visibility} onChange={(e) => cambiarVisibilidad(pl, e.target.value)}>
+                      {Object.entries(VISIBILIDADES).map(([valor, { texto }]) => (
+                        <option key={valor} value={valor}>{texto}</option>
+                      ))}
+                    </select>
+                  </label>
+
+                  <h4>Enlaces para compartir</h4>
+                  {pl.visibility === 'private' && enlaces.length > 0 && (
+                    <small>Los enlaces no funcionan mientras la playlist sea privada.</small>
+                  )}
+                  <ul>
+                    {enlaces.map((share) => (
+                      <li key={share.id}>
+                        <code>{enlaceCompartido(share.token)}</code>
+                        <button onClick={() => copiarEnlace(share)} title="Copiar">📋</button>
+                        <button className="btn-eliminar" onClick={() => revocarEnlace(pl, share)} title="Revocar">✕</button>
+                      </li>
+                    ))}
+                  </ul>
+                  <button className="extra-btn" onClick={() => crearEnlace(pl)}>Crear enlace</button>
+
+                  <h4>Colaboradores</h4>
+                  <ul>
+                    {colaboradores.map((c) => (
+                      <li key={c.id}>
+                        {c.nombre}
+                        <button className="btn-eliminar" onClick={() => quitarColaborador(pl, c)} title="Quitar">✕</button>
+                      </li>
+                    ))}
+                    {colaboradores.length === 0 && <li><small>Solo vos podés editarla</small></li>}
+                  </ul>
+                  <div className="compartir-agregar">
+                    <input
+                      type="email"
+                      placeholder="Email del colaborador"
+                      value={emailColaborador}
+                      onChange={(e) => setEmailColaborador(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') agregarColaborador(pl);
+                      }}
+                    />
+                    <button className="extra-btn" onClick={() => agregarColaborador(pl)}>Agregar</button>
+                  </div>
+                  {avisoColaborador && (
+                    <small className={avisoColaborador.tipo === 'error' ? 'auth-error' : undefined}>{avisoColaborador.texto}</small>
+                  )}
+                </div>
+              )}
+
+              {abierta?.id === pl.id && (
+                <ol className="mis-playlists-canciones">
+                  {entradas.map((entrada, index) => {
+                    const cancion = entrada.song || cancionDesdeRuta(entrada.songPath);
+                    return (
+                      <li
+                        key={entrada.songPath}
+                        draggable
+                        onDragStart={() => setArrastrando(index)}
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={() => soltar(index)}
+                        onDragEnd={() => setArrastrando(null)}
+                        className={arrastrando === index ? 'arrastrando' : ''}
+                      >
+                        <span onClick={() => onPlay(pl.nombre, paraReproducir(entradas), index, `playlist:${pl.id}`)}>
+                          🎵 {cancion.title}
+                          {cancion.artist && <small> — {cancion.artist}</small>}
+                          {entrada.addedBy && entrada.addedBy.id !== usuarioId && (
+                            <small className="agregada-por"> · agregó {entrada.addedBy.nombre}</small>
+                          )}
+                        </span>
+                        <span className="acciones-cola">
+                          <button onClick={() => onEncolar([cancion], true)} title="Reproducir a continuación">↪</button>
+                          <button onClick={() => onEncolar([cancion], false)} title="Agregar a la cola">☰</button>
+                        </span>
+                        <button className="btn-eliminar" onClick={() => quitarCancion(entrada.songPath)}>✕</button>
+                      </li>
+                    );
+                  })}
+                  {entradas.length === 0 && <li>Sin canciones</li>}
+                </ol>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
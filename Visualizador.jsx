@@ -0,0 +1,149 @@
+import { useEffect, useRef, useState } from 'react';
+
+// El dibujo no necesita 60 cuadros por segundo; con pocos núcleos se baja
+// más para no competir con la decodificación del audio
+const INTERVALO_MS = 1000 / (navigator.hardwareConcurrency <= 2 ? 20 : 30);
+// En pantallas de alta densidad no se dibuja a resolución completa
+const MAX_ESCALA = 1.5;
+const CANTIDAD_BARRAS = 64;
+
+// Agrupa los bins de la FFT en bandas de ancho logarítmico (si no, los graves
+// ocupan dos barras y los agudos todo el resto). Devuelve valores de 0 a 1.
+const agruparBandas = (datos, cantidad) => {
+  const desde = 1;
+  const hasta = datos.length - 1;
+  const bandas = new Array(cantidad);
+  for (let i = 0; i < cantidad; i++) {
+    const inicio = Math.floor(desde * (hasta / desde) ** (i / cantidad));
+    const fin = Math.max(inicio + 1, Math.floor(desde * (hasta / desde) ** ((i + 1) / cantidad)));
+    let maximo = 0;
+    for (let j = inicio; j < fin; j++) maximo = Math.max(maximo, datos[j]);
+    bandas[i] = maximo / 255;
+  }
+  return bandas;
+};
+
+const color = (i, total, alfa = 1) => `hsla(${180 + (i / total) * 100}, 100%, 55%, ${alfa})`;
+
+const dibujarBarras = (ctx, ancho, alto, frecuencias) => {
+  const bandas = agruparBandas(frecuencias, CANTIDAD_BARRAS);
+  const paso = ancho / bandas.length;
+  bandas.forEach((valor, i) => {
+    const altura = Math.max(2, valor * alto);
+    ctx.fillStyle = color(i, bandas.length);
+    ctx.fillRect(i * paso + 1, alto - altura, paso - 2, altura);
+  });
+};
+
+const dibujarOnda = (ctx, ancho, alto, onda) => {
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = color(0, 1);
+  ctx.beginPath();
+  onda.forEach((valor, i) => {
+    const x = (i / (onda.length - 1)) * ancho;
+    const y = (valor / 255) * alto;
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+};
+
+const dibujarCircular = (ctx, ancho, alto, frecuencias, imagen) => {
+  const cx = ancho / 2;
+  const cy = alto / 2;
+  const radio = Math.min(ancho, alto) * 0.28;
+  const bandas = agruparBandas(frecuencias, CANTIDAD_BARRAS);
+
+  ctx.lineWidth = Math.max(2, (2 * Math.PI * radio) / bandas.length - 2);
+  bandas.forEach((valor, i) => {
+    const angulo = (i / bandas.length) * 2 * Math.PI - Math.PI / 2;
+    const largo = 4 + valor * radio * 0.7;
+    ctx.strokeStyle = color(i, bandas.length);
+    ctx.beginPath();
+    ctx.moveTo(cx + Math.cos(angulo) * (radio + 4), cy + Math.sin(angulo) * (radio + 4));
+    ctx.lineTo(cx + Math.cos(angulo) * (radio + 4 + largo), cy + Math.sin(angulo) * (radio + 4 + largo));
+    ctx.stroke();
+  });
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(cx, cy, radio, 0, 2 * Math.PI);
+  ctx.clip();
+  if (imagen) {
+    ctx.drawImage(imagen, cx - radio, cy - radio, radio * 2, radio * 2);
+  } else {
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.fill();
+  }
+  ctx.restore();
+};
+
+// Ajusta la resolución del canvas a su tamaño en pantalla; devuelve [ancho, alto]
+const ajustarTamano = (canvas) => {
+  const escala = Math.min(window.devicePixelRatio || 1, MAX_ESCALA);
+  const ancho = Math.round(canvas.clientWidth * escala);
+  const alto = Math.round(canvas.clientHeight * escala);
+  if (canvas.width !== ancho || canvas.height !== alto) {
+    canvas.width = ancho;
+    canvas.height = alto;
+  }
+  return [ancho, alto];
+};
+
+// Visualizador en canvas a partir del AnalyserNode del reproductor. Solo anima
+// mientras suena (y el navegador pausa requestAnimationFrame en pestañas ocultas).
+export default function Visualizador({ analizador, modo, portada, activo, className = '' }) {
+  const canvasRef = useRef(null);
+  const [imagen, setImagen] = useState(null);
+
+  useEffect(() => {
+    setImagen(null);
+    if (!portada) return;
+    const img = new Image();
+    img.onload = () => setImagen(img);
+    img.src = portada;
+    return () => {
+      img.onload = null;
+    };
+  }, [portada]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !analizador) return;
+    const ctx = canvas.getContext('2d');
+    const frecuencias = new Uint8Array(analizador.frequencyBinCount);
+    const onda = new Uint8Array(analizador.fftSize);
+
+    const dibujar = () => {
+      const [ancho, alto] = ajustarTamano(canvas);
+      ctx.clearRect(0, 0, ancho, alto);
+      if (activo) {
+        analizador.getByteFrequencyData(frecuencias);
+        analizador.getByteTimeDomainData(onda);
+      } else {
+        // En pausa queda un cuadro quieto: barras en cero y onda plana
+        frecuencias.fill(0);
+        onda.fill(128);
+      }
+      if (modo === 'onda') dibujarOnda(ctx, ancho, alto, onda);
+      else if (modo === 'circular') dibujarCircular(ctx, ancho, alto, frecuencias, imagen);
+      else dibujarBarras(ctx, ancho, alto, frecuencias);
+    };
+
+    dibujar();
+    if (!activo) return;
+
+    let cuadro = null;
+    let ultimo = 0;
+    const animar = (ahora) => {
+      cuadro = requestAnimationFrame(animar);
+      if (ahora - ultimo < INTERVALO_MS) return;
+      ultimo = ahora;
+      dibujar();
+    };
+    cuadro = requestAnimationFrame(animar);
+    return () => cancelAnimationFrame(cuadro);
+  }, [analizador, modo, activo, imagen]);
+
+  return <canvas ref={canvasRef} className={`visualizador ${className}`.trim()} aria-hidden="true" />;
+}
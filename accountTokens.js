@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const repo = require('./repository');
+const mailer = require('./mailer');
+
+// Tokens de un solo uso que viajan por email (recuperar contraseña y
+// verificar la dirección). En la base solo queda el hash.
+
+const PURPOSES = {
+  reset: { name: 'password_reset', ttlMinutes: 60 },
+  verify: { name: 'email_verify', ttlMinutes: 3 * 24 * 60 }
+};
+
+// Mínimo entre dos emails del mismo tipo, para que no se pueda usar para mandar spam
+const RESEND_COOLDOWN_SECONDS = 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Emite un token nuevo (invalida los anteriores del mismo tipo) y lo devuelve,
+// o null si se pidió otro hace muy poco
+const issue = (userId, purpose) => {
+  const { name, ttlMinutes } = PURPOSES[purpose];
+  const elapsed = repo.accountTokens.secondsSinceLast(userId, name);
+  if (elapsed !== null && elapsed < RESEND_COOLDOWN_SECONDS) return null;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  repo.accountTokens.create(userId, name, hashToken(token), ttlMinutes);
+  return token;
+};
+
+// Devuelve el registro del token si es válido, sin canjearlo todavía
+const find = (token, purpose) => {
+  if (typeof token !== 'string' || !token) return null;
+  return repo.accountTokens.findValid(hashToken(token), PURPOSES[purpose].name) || null;
+};
+
+const sendPasswordReset = async (user) => {
+  const token = issue(user.id, 'reset');
+  if (token) await mailer.sendPasswordReset(user, token, PURPOSES.reset.ttlMinutes);
+};
+
+const sendEmailVerification = async (user) => {
+  if (user.email_verified_at) return false;
+  const token = issue(user.id, 'verify');
+  if (!token) return false;
+  await mailer.sendEmailVerification(user, token);
+  return true;
+};
+
+module.exports = { find, sendPasswordReset, sendEmailVerification };
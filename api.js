@@ -0,0 +1,98 @@
+export const API_URL = "http://localhost:4000";
+
+// Una sola renovación en curso: si varias peticiones reciben 401 a la vez,
+// todas esperan el mismo refresh (rotar dos veces invalidaría la sesión).
+let refreshing = null;
+
+export function refreshSession() {
+  if (!refreshing) {
+    refreshing = fetch(`${API_URL}/api/session/refresh`, {
+      method: "POST",
+      credentials: "include",
+    })
+      .then((res) => res.ok)
+      .catch(() => false)
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+// fetch contra el servidor con cookies; si el access token venció, renueva
+// la sesión y reintenta una vez.
+export async function apiFetch(path, options = {}) {
+  const doFetch = () =>
+    fetch(`${API_URL}${path}`, { ...options, credentials: "include" });
+
+  const res = await doFetch();
+  if (res.status !== 401) return res;
+
+  const renewed = await refreshSession();
+  return renewed ? doFetch() : res;
+}
+
+// Trae el catálogo completo recorriendo las páginas de GET /api/songs
+export async function cargarBiblioteca() {
+  const canciones = [];
+  for (let page = 1; ; page++) {
+    const res = await apiFetch(`/api/songs?limit=500&page=${page}`);
+    if (!res.ok) throw new Error("No se pudo cargar la biblioteca");
+    const data = await res.json();
+    canciones.push(...data.songs);
+    if (data.songs.length === 0 || canciones.length >= data.total) return canciones;
+  }
+}
+
+// Guarda la respuesta como archivo, con el nombre que manda el servidor
+export async function descargarRespuesta(res, nombrePorDefecto) {
+  const disposition = res.headers.get("Content-Disposition") || "";
+  const utf8 = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+  const simple = disposition.match(/filename="?([^";]+)"?/i);
+  const nombre = utf8 ? decodeURIComponent(utf8[1]) : simple ? simple[1] : nombrePorDefecto;
+
+  const url = URL.createObjectURL(await res.blob());
+  const enlace = document.createElement("a");
+  enlace.href = url;
+  enlace.download = nombre;
+  document.body.appendChild(enlace);
+  enlace.click();
+  enlace.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Sube un archivo de audio con XHR para poder informar el progreso (0 a 1).
+// Devuelve la canción tal como la registró el servidor.
+export function subirCancion(archivo, onProgress, reintentar = true) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", `${API_URL}/api/songs/upload`);
+    xhr.withCredentials = true;
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress(e.loaded / e.total);
+    };
+    xhr.onload = () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch {
+        // respuesta vacía o no JSON
+      }
+      if (xhr.status === 401 && reintentar) {
+        refreshSession().then((ok) =>
+          ok
+            ? resolve(subirCancion(archivo, onProgress, false))
+            : reject(new Error(data.message || "No autenticado"))
+        );
+        return;
+      }
+      if (xhr.status >= 200 && xhr.status < 300) resolve(data.song);
+      else reject(new Error(data.message || "Error al subir la canción"));
+    };
+    xhr.onerror = () => reject(new Error("Error de red"));
+
+    const form = new FormData();
+    form.append("file", archivo);
+    xhr.send(form);
+  });
+}
@@ -0,0 +1,166 @@
+// Biblioteca local: canciones cargadas desde la computadora que se guardan en
+// IndexedDB, así siguen estando después de recargar y sin pasar por el servidor.
+//   canciones: { id, archivo, title, artist, album, duration, tamano, hash, agregada, letra, portada (Blob) }
+//   archivos:  { id, blob }
+// El audio va en otro almacén para poder listar sin leer los archivos.
+
+import { leerEtiquetas } from "./etiquetas";
+
+const NOMBRE_DB = "miunave";
+const VERSION_DB = 1;
+
+let conexion = null;
+
+const abrir = () => {
+  if (!conexion) {
+    conexion = new Promise((resolve, reject) => {
+      const pedido = indexedDB.open(NOMBRE_DB, VERSION_DB);
+      pedido.onupgradeneeded = () => {
+        pedido.result.createObjectStore("canciones", { keyPath: "id" });
+        pedido.result.createObjectStore("archivos", { keyPath: "id" });
+      };
+      pedido.onsuccess = () => resolve(pedido.result);
+      pedido.onerror = () => reject(pedido.error);
+    });
+  }
+  return conexion;
+};
+
+// Corre `fn` dentro de una transacción y resuelve con lo que devuelva cuando
+// la transacción termina (o rechaza si falla, por ejemplo por falta de espacio)
+const transaccion = async (modo, fn) => {
+  const db = await abrir();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["canciones", "archivos"], modo);
+    const resultado = fn(tx.objectStore("canciones"), tx.objectStore("archivos"));
+    tx.oncomplete = () => resolve(resultado);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Mismo formato que los ids del catálogo (16 hex), así la cola que se guarda
+// en el servidor puede incluirlas
+const nuevoId = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(8)), (b) => b.toString(16).padStart(2, "0")).join("");
+
+// "Artista - Título.mp3", como hace el servidor con los archivos sin tags
+const datosDelNombre = (nombre) => {
+  const base = nombre.replace(/\.[^.]+$/, "").trim();
+  const partes = base.split(" - ").map((p) => p.trim()).filter(Boolean);
+  return partes.length >= 2 ? { artist: partes[0], title: partes.slice(1).join(" - ") } : { artist: null, title: base };
+};
+
+const leerDuracion = (archivo) =>
+  new Promise((resolve) => {
+    const url = URL.createObjectURL(archivo);
+    const audio = new Audio();
+    const terminar = (duracion) => {
+      clearTimeout(espera);
+      URL.revokeObjectURL(url);
+      audio.removeAttribute("src");
+      resolve(Number.isFinite(duracion) ? duracion : null);
+    };
+    const espera = setTimeout(() => terminar(null), 5000);
+    audio.preload = "metadata";
+    audio.onloadedmetadata = () => terminar(audio.duration);
+    audio.onerror = () => terminar(null);
+    audio.src = url;
+  });
+
+// SHA-256 del contenido, para reconocer el mismo archivo aunque tenga otro
+// nombre. crypto.subtle solo existe en contextos seguros (https o localhost).
+const hashDe = async (archivo) => {
+  if (!crypto.subtle) return null;
+  const digest = await crypto.subtle.digest("SHA-256", await archivo.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+};
+
+// --- API ---
+
+export async function listar() {
+  const [canciones, archivos] = await transaccion("readonly", (canciones, archivos) => [
+    canciones.getAll(),
+    archivos.getAll(),
+  ]);
+  const porId = new Map(archivos.result.map((a) => [a.id, a.blob]));
+  return canciones.result
+    .filter((c) => porId.has(c.id))
+    .map((c) => ({ ...c, blob: porId.get(c.id) }))
+    .sort((a, b) => a.agregada - b.agregada);
+}
+
+// Lee tags, duración y hash de un archivo sin guardarlo, para revisar antes
+// de importar
+export async function analizar(archivo) {
+  let tags = {};
+  try {
+    tags = await leerEtiquetas(archivo);
+  } catch {
+    // tags rotos: queda lo que diga el nombre del archivo
+  }
+  const porNombre = datosDelNombre(archivo.name);
+  return {
+    archivo: archivo.name,
+    title: tags.title || porNombre.title,
+    artist: tags.artist || porNombre.artist,
+    album: tags.album || null,
+    duration: await leerDuracion(archivo),
+    tamano: archivo.size,
+    hash: await hashDe(archivo),
+    letra: tags.letra || null,
+    portada: tags.portada || null,
+    blob: archivo,
+  };
+}
+
+// Guarda lo que devolvió analizar(); devuelve los registros nuevos
+export async function importar(analizados) {
+  const registros = analizados.map((analizado, i) => ({ ...analizado, id: nuevoId(), agregada: Date.now() + i }));
+
+  await transaccion("readwrite", (canciones, almacenArchivos) => {
+    for (const { blob, ...registro } of registros) {
+      canciones.put(registro);
+      almacenArchivos.put({ id: registro.id, blob });
+    }
+  });
+  // Que el navegador no borre la biblioteca cuando le falte espacio
+  if (navigator.storage?.persist) navigator.storage.persist().catch(() => {});
+  return registros;
+}
+
+export async function eliminar(id) {
+  await transaccion("readwrite", (canciones, archivos) => {
+    canciones.delete(id);
+    archivos.delete(id);
+  });
+}
+
+// { usado, disponible } en bytes, o null si el navegador no lo informa
+export async function espacio() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usado: usage, disponible: quota };
+}
+
+// Canción con la forma de las del catálogo. Las URLs blob: hay que liberarlas
+// con liberar() cuando se deja de usar.
+export const aCancion = (registro) => ({
+  id: registro.id,
+  url: URL.createObjectURL(registro.blob),
+  title: registro.title,
+  artist: registro.artist,
+  album: registro.album,
+  duration: registro.duration,
+  cover: registro.portada ? URL.createObjectURL(registro.portada) : null,
+  archivo: registro.archivo,
+  hash: registro.hash || null,
+  // Las importadas antes de que se leyera la letra no la tienen
+  letra: registro.letra || null,
+  local: true,
+});
+
+export function liberar(cancion) {
+  URL.revokeObjectURL(cancion.url);
+  if (cancion.cover) URL.revokeObjectURL(cancion.cover);
+}
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mm = require('music-metadata');
+const repo = require('./repository');
+
+// Carpeta con la música. Por defecto la misma que sirve Vite en /musica
+const MUSIC_DIR = process.env.MUSIC_DIR || path.join(__dirname, 'public', 'musica');
+const MUSIC_URL = '/musica';
+
+// Canciones subidas desde Descargas, en una carpeta por usuario
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'data', 'uploads');
+const UPLOAD_URL = '/subidas';
+const AUDIO_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.flac': 'audio/flac',
+  '.wav': 'audio/wav'
+};
+
+// El id depende solo de la ruta relativa, así se mantiene entre escaneos
+const songIdFor = (relPath) =>
+  crypto.createHash('sha1').update(relPath).digest('hex').slice(0, 16);
+
+// Ruido típico de los nombres de archivo bajados de YouTube
+const RUIDO = /\s*[([](official|video|videoclip|music video|lyrics?|audio|hd|hq|4k|remaster(ed)?|prod\.?|dirty|registro oficial)[^)\]]*[)\]]/gi;
+
+// Si el archivo no tiene tags, intenta "Artista - Título" a partir del nombre
+const metadataFromFilename = (relPath) => {
+  const base = path.basename(relPath, path.extname(relPath))
+    .replace(/^\d+(\.|\s+-)\s*/, '')
+    .replace(RUIDO, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const partes = base.split(' - ').map(p => p.trim()).filter(Boolean);
+  if (partes.length >= 2) {
+    return { artist: partes[0], title: partes[1] };
+  }
+  return { artist: null, title: base || path.basename(relPath) };
+};
+
+const listAudioFiles = (dir, base = dir) => {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listAudioFiles(full, base);
+    if (!AUDIO_TYPES[path.extname(entry.name).toLowerCase()]) return [];
+    return [path.relative(base, full).split(path.sep).join('/')];
+  });
+};
+
+// Carpeta base de una canción según sea de la biblioteca o una subida
+const rootFor = (song) => (song.owner_id ? UPLOAD_DIR : MUSIC_DIR);
+
+const parseTags = async (file) => {
+  try {
+    return await mm.parseFile(file);
+  } catch (err) {
+    console.warn(`No se pudieron leer los tags de ${file}: ${err.message}`);
+    return null;
+  }
+};
+
+// Arma la fila de songs a partir de los tags, completando con el nombre de archivo
+const songFromTags = (parsed, { id, path: relPath, nombreArchivo, stat, ownerId = null }) => {
+  const fallback = metadataFromFilename(nombreArchivo);
+  const { common = {}, format = {} } = parsed || {};
+
+  const picture = common.picture && common.picture[0];
+  const song = {
+    id,
+    path: relPath,
+    title: common.title || fallback.title,
+    artist: common.artist || fallback.artist,
+    album: common.album || null,
+    year: common.year || null,
+    genre: (common.genre && common.genre[0]) || null,
+    duration: format.duration || null,
+    file_size: stat.size,
+    file_mtime: Math.floor(stat.mtimeMs),
+    owner_id: ownerId,
+    // Si trae tags de ReplayGain se usan en lugar de medirla (ver loudness.js)
+    track_gain: common.replaygain_track_gain ? common.replaygain_track_gain.dB : null,
+    track_peak: common.replaygain_track_peak ? common.replaygain_track_peak.ratio : null
+  };
+  const cover = picture ? { mime: picture.format, data: picture.data } : null;
+  return { song, cover };
+};
+
+const readSong = async (relPath, stat) => {
+  const parsed = await parseTags(path.join(MUSIC_DIR, relPath));
+  return songFromTags(parsed, {
+    id: songIdFor(relPath),
+    path: relPath,
+    nombreArchivo: relPath,
+    stat
+  });
+};
+
+let scanning = null;
+
+// Recorre MUSIC_DIR y sincroniza la tabla songs. Solo relee los archivos
+// nuevos o modificados. Si ya hay un escaneo en curso devuelve ese.
+const scanLibrary = () => {
+  if (scanning) return scanning;
+
+  scanning = (async () => {
+    const conocidas = new Map(repo.songs.scanState().map(s => [s.path, s]));
+    const resumen = { added: 0, updated: 0, removed: 0, total: 0 };
+
+    for (const relPath of listAudioFiles(MUSIC_DIR)) {
+      const stat = fs.statSync(path.join(MUSIC_DIR, relPath));
+      const previa = conocidas.get(relPath);
+      conocidas.delete(relPath);
+      resumen.total++;
+
+      if (previa && previa.file_size === stat.size && previa.file_mtime === Math.floor(stat.mtimeMs)) {
+        continue;
+      }
+
+      const { song, cover } = await readSong(relPath, stat);
+      repo.songs.save(song, cover);
+      resumen[previa ? 'updated' : 'added']++;
+    }
+
+    // Lo que quedó en el mapa ya no existe en disco
+    for (const faltante of conocidas.values()) {
+      repo.songs.remove(faltante.id);
+      resumen.removed++;
+    }
+
+    return resumen;
+  })().finally(() => {
+    scanning = null;
+  });
+
+  return scanning;
+};
+
+const contentTypeFor = (relPath) =>
+  AUDIO_TYPES[path.extname(relPath).toLowerCase()] || 'application/octet-stream';
+
+// Registra un archivo recién subido (ya guardado en UPLOAD_DIR/<userId>/).
+// Si no se reconoce como audio se borra y devuelve null.
+const importUpload = async (userId, file) => {
+  const parsed = await parseTags(file.path);
+  if (!parsed || !parsed.format.duration) {
+    fs.rmSync(file.path, { force: true });
+    return null;
+  }
+
+  const { song, cover } = songFromTags(parsed, {
+    id: path.basename(file.filename, path.extname(file.filename)),
+    path: `${userId}/${file.filename}`,
+    nombreArchivo: file.originalname,
+    stat: fs.statSync(file.path),
+    ownerId: userId
+  });
+  repo.songs.save(song, cover);
+  return repo.songs.findById(song.id);
+};
+
+// Borra una subida: el archivo, la fila y sus apariciones en playlists
+const deleteUpload = (song) => {
+  fs.rmSync(path.join(UPLOAD_DIR, song.path), { force: true });
+  repo.songs.remove(song.id);
+  repo.playlists.removeSongEverywhere(publicPath(song));
+};
+
+const publicPath = (song) =>
+  `${song.owner_id ? UPLOAD_URL : MUSIC_URL}/${song.path}`;
+
+// Inversa de publicPath: las playlists guardan la ruta pública de cada canción
+const findByPublicPath = (publicRuta) => {
+  for (const [prefix, uploaded] of [[`${MUSIC_URL}/`, false], [`${UPLOAD_URL}/`, true]]) {
+    if (!publicRuta.startsWith(prefix)) continue;
+    const song = repo.songs.findByPath(publicRuta.slice(prefix.length));
+    return song && Boolean(song.owner_id) === uploaded ? song : null;
+  }
+  return null;
+};
+
+// Forma en la que se expone una canción en la API
+const publicSong = (song) => ({
+  id: song.id,
+  title: song.title,
+  artist: song.artist,
+  album: song.album,
+  year: song.year,
+  genre: song.genre,
+  duration: song.duration,
+  path: publicPath(song),
+  uploaded: Boolean(song.owner_id),
+  url: `/api/stream/${song.id}`,
+  cover: song.has_cover ? `/api/songs/${song.id}/cover` : null,
+  // Ganancias en dB respecto de -18 LUFS; null mientras no se analizó
+  replayGain: song.track_gain === null || song.track_gain === undefined ? null : {
+    trackGain: song.track_gain,
+    trackPeak: song.track_peak,
+    albumGain: song.album_gain,
+    albumPeak: song.album_peak
+  }
+});
+
+module.exports = {
+  MUSIC_DIR,
+  UPLOAD_DIR,
+  AUDIO_TYPES,
+  rootFor,
+  scanLibrary,
+  importUpload,
+  deleteUpload,
+  contentTypeFor,
+  publicPath,
+  findByPublicPath,
+  publicSong,
+  songIdFor,
+  metadataFromFilename
+};
@@ -0,0 +1,45 @@
+// Canal de eventos en tiempo real del chat (Server-Sent Events).
+// Cada usuario puede tener varias pestañas abiertas, así que se guarda un
+// conjunto de respuestas abiertas por id de usuario.
+const clients = new Map();
+
+const HEARTBEAT_MS = 25000;
+
+const send = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Deja abierta la respuesta como stream SSE hasta que el cliente se desconecte
+const subscribe = (userId, req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  if (!clients.has(userId)) clients.set(userId, new Set());
+  clients.get(userId).add(res);
+
+  // Comentario vacío para que proxies y navegadores no corten la conexión
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const conexiones = clients.get(userId);
+    if (!conexiones) return;
+    conexiones.delete(res);
+    if (conexiones.size === 0) clients.delete(userId);
+  });
+};
+
+const emit = (userId, event, data) => {
+  const conexiones = clients.get(userId);
+  if (!conexiones) return;
+  for (const res of conexiones) send(res, event, data);
+};
+
+const isOnline = (userId) => clients.has(userId);
+
+module.exports = { subscribe, emit, isOnline };
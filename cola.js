@@ -0,0 +1,200 @@
+// Cola de reproducción del mini-reproductor. Es un objeto que no se modifica:
+// cada función devuelve una cola nueva.
+//   origen:    { nombre, contexto, canciones } lista desde la que se empezó a
+//              reproducir; contexto es su id para el ecualizador ('playlist:3',
+//              'curated:cumbia') o null si no es una playlist
+//   posicion:  índice en el origen de la última canción de esa lista que sonó
+//   actual:    entrada que está sonando (o null)
+//   proximas:  entradas por sonar; las agregadas a mano (manual) van adelante
+//   historial: entradas que ya sonaron, la más reciente al final (para ⏮️)
+// Cada entrada es { clave, cancion, indice, manual }; `indice` es la posición
+// en el origen y la clave distingue dos veces la misma canción.
+
+const MAX_HISTORIAL = 100;
+
+// Los mismos topes que acepta el servidor al guardar el estado (playerState.js)
+const MAX_ORIGEN_GUARDADO = 2000;
+const MAX_PROXIMAS_GUARDADAS = 500;
+
+let ultimaClave = 0;
+
+const nuevaEntrada = (cancion, indice = null, manual = false) => ({
+  clave: ++ultimaClave,
+  cancion,
+  indice,
+  manual,
+});
+
+export const colaVacia = { origen: null, posicion: -1, actual: null, proximas: [], historial: [] };
+
+// Fisher-Yates sobre una copia
+export function mezclar(lista) {
+  const copia = [...lista];
+  for (let i = copia.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copia[i], copia[j]] = [copia[j], copia[i]];
+  }
+  return copia;
+}
+
+// Lo que queda del origen después de `posicion`. En aleatorio son todas las
+// demás mezcladas, así ninguna se repite hasta que se termine la vuelta.
+const restantes = (origen, posicion, aleatorio) => {
+  const entradas = origen.canciones.map((c, i) => nuevaEntrada(c, i));
+  return aleatorio
+    ? mezclar(entradas.filter((e) => e.indice !== posicion))
+    : entradas.slice(posicion + 1);
+};
+
+const manuales = (cola) => cola.proximas.filter((e) => e.manual);
+
+const conHistorial = (cola) =>
+  cola.actual ? [...cola.historial, cola.actual].slice(-MAX_HISTORIAL) : cola.historial;
+
+// Empieza a reproducir `canciones` desde `indice`. Lo que se agregó a mano a
+// la cola se mantiene y suena antes que el resto de la lista.
+export function reproducirLista(cola, nombre, canciones, indice, aleatorio, contexto = null) {
+  const origen = { nombre, contexto, canciones };
+  return {
+    origen,
+    posicion: indice,
+    actual: nuevaEntrada(canciones[indice], indice),
+    proximas: [...manuales(cola), ...restantes(origen, indice, aleatorio)],
+    historial: conHistorial(cola),
+  };
+}
+
+// Pasa a la próxima entrada. Cuando no queda nada se vuelve a empezar la
+// lista de origen (mezclada de nuevo si está en aleatorio).
+export function avanzar(cola, aleatorio) {
+  let proximas = cola.proximas;
+  if (proximas.length === 0 && cola.origen && cola.origen.canciones.length > 0) {
+    proximas = restantes(cola.origen, aleatorio ? cola.posicion : -1, aleatorio);
+    if (proximas.length === 0) proximas = [nuevaEntrada(cola.origen.canciones[0], 0)];
+  }
+  if (proximas.length === 0) return { ...cola, actual: null, historial: conHistorial(cola) };
+
+  const [actual, ...resto] = proximas;
+  return {
+    ...cola,
+    posicion: actual.manual ? cola.posicion : actual.indice,
+    actual,
+    proximas: resto,
+    historial: conHistorial(cola),
+  };
+}
+
+// Vuelve a la última entrada que sonó; la actual queda primera en la cola
+export function retroceder(cola) {
+  if (cola.historial.length === 0) return cola;
+  const anterior = cola.historial[cola.historial.length - 1];
+  return {
+    ...cola,
+    posicion: anterior.manual ? cola.posicion : anterior.indice,
+    actual: anterior,
+    proximas: cola.actual ? [cola.actual, ...cola.proximas] : cola.proximas,
+    historial: cola.historial.slice(0, -1),
+  };
+}
+
+// Salta a una entrada de la cola; las que estaban antes se descartan
+export function saltarA(cola, clave) {
+  const desde = cola.proximas.findIndex((e) => e.clave === clave);
+  if (desde < 0) return cola;
+  return avanzar({ ...cola, proximas: cola.proximas.slice(desde) }, false);
+}
+
+// "Reproducir a continuación" va al principio; "agregar a la cola", después
+// de lo último que se agregó a mano
+export function agregar(cola, canciones, aContinuacion) {
+  const nuevas = canciones.map((c) => nuevaEntrada(c, null, true));
+  const hasta = aContinuacion ? 0 : cola.proximas.findIndex((e) => !e.manual);
+  const corte = hasta < 0 ? cola.proximas.length : hasta;
+  return {
+    ...cola,
+    proximas: [...cola.proximas.slice(0, corte), ...nuevas, ...cola.proximas.slice(corte)],
+  };
+}
+
+export function quitar(cola, clave) {
+  return { ...cola, proximas: cola.proximas.filter((e) => e.clave !== clave) };
+}
+
+export function mover(cola, desde, hasta) {
+  const proximas = [...cola.proximas];
+  const [movida] = proximas.splice(desde, 1);
+  proximas.splice(hasta, 0, movida);
+  return { ...cola, proximas };
+}
+
+// Forma guardable de la cola, solo con ids de canciones. `guardable` decide
+// qué canciones se van a poder recuperar por id (no las de una ruta suelta);
+// los índices del origen se recalculan sin las que quedan afuera.
+export function serializar(cola, guardable) {
+  const indices = [];
+  const ids = [];
+  (cola.origen ? cola.origen.canciones : []).forEach((cancion, i) => {
+    if (guardable(cancion) && ids.length < MAX_ORIGEN_GUARDADO) {
+      indices[i] = ids.length;
+      ids.push(cancion.id);
+    }
+  });
+
+  const entrada = (e) =>
+    e && guardable(e.cancion)
+      ? { songId: e.cancion.id, index: e.indice === null ? null : indices[e.indice] ?? null, manual: e.manual }
+      : null;
+  const entradas = (lista) => lista.map(entrada).filter(Boolean);
+
+  return {
+    source: ids.length > 0 ? { name: cola.origen.nombre, context: cola.origen.contexto, songIds: ids } : null,
+    sourceIndex: indices[cola.posicion] ?? -1,
+    current: entrada(cola.actual),
+    upcoming: entradas(cola.proximas).slice(0, MAX_PROXIMAS_GUARDADAS),
+    history: entradas(cola.historial),
+  };
+}
+
+// Arma la cola a partir de lo que devolvió serializar. `buscar` traduce un id
+// a la canción del catálogo; las que ya no están se saltean.
+export function restaurar(datos, buscar) {
+  const indices = [];
+  const canciones = [];
+  (datos.source ? datos.source.songIds : []).forEach((id, i) => {
+    const cancion = buscar(id);
+    if (cancion) {
+      indices[i] = canciones.length;
+      canciones.push(cancion);
+    }
+  });
+
+  const entrada = (e) => {
+    const cancion = e && buscar(e.songId);
+    if (!cancion) return null;
+    const indice = e.index === null ? null : indices[e.index] ?? null;
+    return nuevaEntrada(cancion, indice, e.manual || indice === null);
+  };
+  const entradas = (lista) => lista.map(entrada).filter(Boolean);
+
+  return {
+    origen: canciones.length > 0 ? { nombre: datos.source.name, contexto: datos.source.context ?? null, canciones } : null,
+    posicion: indices[datos.sourceIndex] ?? -1,
+    actual: entrada(datos.current),
+    proximas: entradas(datos.upcoming),
+    historial: entradas(datos.history),
+  };
+}
+
+// Al activar aleatorio se mezcla lo que queda de la lista; al desactivarlo
+// se sigue en orden desde la última canción de la lista que sonó
+export function cambiarAleatorio(cola, aleatorio) {
+  if (!cola.origen) return cola;
+  const pendientes = cola.proximas.filter((e) => !e.manual);
+  return {
+    ...cola,
+    proximas: [
+      ...manuales(cola),
+      ...(aleatorio ? mezclar(pendientes) : restantes(cola.origen, cola.posicion, false)),
+    ],
+  };
+}
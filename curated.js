@@ -0,0 +1,68 @@
+// Playlists destacadas de Inicio. No se guardan: el frontend las arma con las
+// canciones (del catálogo y del navegador) cuyo artista, título o archivo
+// coincide con `pattern`, una expresión regular sin distinguir mayúsculas.
+// Acá están para que la búsqueda también las encuentre.
+
+const CURATED = [
+  {
+    id: 'rock-clasico',
+    nombre: 'Rock Clásico',
+    portada: 'https://s0.smartresize.com/wallpaper/963/312/HD-wallpaper-music-heavy-metal-1980s-cover-art-rock-music-rock-and-roll-thumbnail.jpg',
+    gradient: 'linear-gradient(to top, rgba(255, 0, 0, 0.6), transparent)',
+    pattern: "ACDC|Queen|Guns N' Roses|Kiss|Red Hot Chili|Survivor|Beatles|Rolling Stones|Evanescence"
+  },
+  {
+    id: 'pop-hits',
+    nombre: 'Pop Hits',
+    portada: 'https://previews.123rf.com/images/studioaccendo/studioaccendo2304/studioaccendo230406225/202236994-pop-art-comic-book-explosion-background-pop-art-comics-book-magazine-cover.jpg.jpg',
+    gradient: 'linear-gradient(to top, rgba(0, 123, 255, 0.6), transparent)',
+    pattern: 'a-ha|Beyoncé|Billie Eilish|Harry Styles|Katy Perry|Lady Gaga|Bruno Mars|Mark Ronson|The Weeknd|Rihanna|Michael Jackson'
+  },
+  {
+    id: 'rock-nacional',
+    nombre: 'Rock Nacional',
+    portada: 'https://cdn-images.dzcdn.net/images/talk/8000396a999b5073426a77512589d31d/500x500.jpg',
+    gradient: 'linear-gradient(to top, rgba(40, 167, 69, 0.6), transparent)',
+    pattern: 'Andrés Calamaro|Ciro y Los Persas|Soda Stereo|Gustavo Cerati|Rata Blanca'
+  },
+  {
+    id: 'trap-argentino',
+    nombre: 'Trap Argentino',
+    portada: 'https://i.pinimg.com/736x/82/86/b2/8286b254915c576c20b49b6bbc265ad9.jpg',
+    gradient: 'linear-gradient(to top, rgba(111, 66, 193, 0.6), transparent)',
+    pattern: 'DUKI|Duki|YSY A|Bhavi|ECKO'
+  },
+  {
+    id: 'reggaeton-viejo',
+    nombre: 'Reggaetón Viejo',
+    portada: 'https://i1.sndcdn.com/avatars-Ja0cz1ZARCNmLw3B-20rHyw-t500x500.jpg',
+    gradient: 'linear-gradient(to top, rgba(255, 193, 7, 0.6), transparent)',
+    pattern: 'Nicky Jam|Daddy Yankee|Don Omar|Tego Calderón'
+  },
+  {
+    id: 'rap-90s',
+    nombre: 'Rap 90s',
+    portada: 'https://i.pinimg.com/474x/7b/0b/79/7b0b79d10a0d054f9e4240dc4467b864.jpg',
+    gradient: 'linear-gradient(to top, rgba(108, 117, 125, 0.6), transparent)',
+    pattern: '2Pac|Notorious|Dr. Dre|Eazy E|Ice Cube|Eminem'
+  },
+  {
+    id: 'cumbia',
+    nombre: 'Cumbia',
+    portada: 'https://img.freepik.com/vector-premium/ilustracion-texto-cumbia-dibujada-mano_23-2150777894.jpg',
+    gradient: 'linear-gradient(to top, rgba(220, 53, 69, 0.6), transparent)',
+    pattern: 'Antonio Rios|Los Ángeles Azules|Dejenlá|Pibe Cantina|Chaqueño Palavecino'
+  },
+  {
+    id: 'heavy-metal-clasicos',
+    nombre: 'Heavy Metal Clasicos',
+    portada: 'https://images.cdn2.buscalibre.com/fit-in/360x360/f8/01/f801e5411aa5550906b439459ef42782.jpg',
+    gradient: 'linear-gradient(to top, rgba(0, 0, 0, 0.6), transparent)',
+    pattern: 'Blackened|Judas Priest|Metallica|Raining Blood|Rammstein|Painkiller|Master of Puppets'
+  }
+];
+
+// Artistas y canciones que nombra cada patrón ("Soda Stereo", "Painkiller"...)
+const termsOf = (playlist) => playlist.pattern.split('|');
+
+module.exports = { CURATED, termsOf };
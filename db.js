@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const migrations = require('./migrations');
+
+// Ruta del archivo SQLite. Se puede cambiar con DB_PATH (o ':memory:' para pruebas)
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'data', 'miunave.db');
+
+if (DB_PATH !== ':memory:') {
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+}
+
+const db = new Database(DB_PATH);
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+// Aplica las migraciones pendientes dentro de una transacción cada una
+const migrate = () => {
+  const current = db.pragma('user_version', { simple: true });
+  const pending = migrations.filter(m => m.version > current);
+
+  for (const migration of pending) {
+    db.transaction(() => {
+      db.exec(migration.up);
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+    console.log(`Migración ${migration.version} aplicada: ${migration.name}`);
+  }
+};
+
+migrate();
+
+module.exports = db;
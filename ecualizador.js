@@ -0,0 +1,82 @@
+// Ecualizador gráfico: preamplificación y 10 bandas de octava. La primera y
+// la última son shelves y el resto peaking, como en los ecualizadores de los
+// reproductores de escritorio.
+
+export const BANDAS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+export const MAX_GANANCIA = 12;
+
+// Q de un filtro de una octava de ancho
+const Q_OCTAVA = Math.SQRT2;
+
+export const EQ_PLANO = { preamp: 0, gains: BANDAS.map(() => 0) };
+
+// Los presets con ganancias altas bajan el preamp para no saturar
+export const PRESETS = [
+  { id: "flat", nombre: "Plano", ...EQ_PLANO },
+  { id: "rock", nombre: "Rock", preamp: -4, gains: [5, 4, 3, 1, -1, -1, 1, 3, 4, 5] },
+  { id: "pop", nombre: "Pop", preamp: -3, gains: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2] },
+  { id: "bass-boost", nombre: "Bass Boost", preamp: -6, gains: [7, 6, 5, 3, 1, 0, 0, 0, 0, 0] },
+  { id: "vocal", nombre: "Vocal", preamp: -4, gains: [-2, -2, -1, 1, 3, 4, 4, 3, 1, 0] },
+];
+
+export const etiquetaBanda = (frecuencia) => (frecuencia >= 1000 ? `${frecuencia / 1000}k` : String(frecuencia));
+
+export const dbAGanancia = (db) => 10 ** (db / 20);
+
+// Filtros ya conectados en serie; devuelve la lista (entrada = primero)
+export function crearFiltros(ctx) {
+  const filtros = BANDAS.map((frecuencia, i) => {
+    const filtro = ctx.createBiquadFilter();
+    filtro.type = i === 0 ? "lowshelf" : i === BANDAS.length - 1 ? "highshelf" : "peaking";
+    filtro.frequency.value = frecuencia;
+    filtro.Q.value = Q_OCTAVA;
+    return filtro;
+  });
+  filtros.slice(1).forEach((filtro, i) => filtros[i].connect(filtro));
+  return filtros;
+}
+
+export function aplicar(eq, preamp, filtros) {
+  preamp.gain.value = dbAGanancia(eq.preamp);
+  filtros.forEach((filtro, i) => {
+    filtro.gain.value = eq.gains[i];
+  });
+}
+
+// Curva de respuesta en dB para dibujar: se calcula con filtros iguales en un
+// contexto offline, así no depende de que el grafo real ya esté armado
+let contextoCurva = null;
+
+export function curvaDeRespuesta(eq, frecuencias) {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) return null;
+  if (!contextoCurva) contextoCurva = new OfflineContext(1, 1, 44100);
+
+  const entrada = Float32Array.from(frecuencias);
+  const magnitud = new Float32Array(frecuencias.length);
+  const fase = new Float32Array(frecuencias.length);
+  const total = frecuencias.map(() => eq.preamp);
+
+  crearFiltros(contextoCurva).forEach((filtro, i) => {
+    filtro.gain.value = eq.gains[i];
+    filtro.getFrequencyResponse(entrada, magnitud, fase);
+    magnitud.forEach((m, j) => {
+      total[j] += 20 * Math.log10(m);
+    });
+  });
+  return total;
+}
+
+// En el estado guardado del reproductor el ecualizador va como
+// { preamp, "31": dB, "62": dB, ... }
+export const aObjeto = (eq) => ({
+  preamp: eq.preamp,
+  ...Object.fromEntries(BANDAS.map((frecuencia, i) => [String(frecuencia), eq.gains[i]])),
+});
+
+export const desdeObjeto = (objeto) => ({
+  preamp: objeto?.preamp ?? 0,
+  gains: BANDAS.map((frecuencia) => objeto?.[String(frecuencia)] ?? 0),
+});
+
+export const mismoAjuste = (a, b) => a.preamp === b.preamp && a.gains.every((g, i) => g === b.gains[i]);
@@ -0,0 +1,56 @@
+// Ecualizador gráfico: preamplificación más 10 bandas (31 Hz a 16 kHz).
+// Los presets predefinidos (Rock, Pop...) viven en el frontend; acá se valida
+// lo que se guarda de cada usuario.
+
+// Frecuencias centrales en Hz, las mismas que BANDAS en ecualizador.js
+const FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const BANDS = FREQUENCIES.length;
+const MAX_GAIN_DB = 12;
+
+// 'rock' (predefinido) o 'custom:12' (de eq_presets)
+const PRESET_ID_RE = /^(?:[a-z][a-z0-9-]{0,29}|custom:\d+)$/;
+
+// Playlist a la que se asigna un preset: 'playlist:12' (de la tabla
+// playlists) o 'curated:rock-clasico' (de curated.js). Por id y no por nombre,
+// que se repite entre usuarios y puede cambiar.
+const CONTEXT_RE = /^(?:playlist:\d+|curated:[a-z0-9-]{1,60})$/;
+
+const isGain = (value) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= MAX_GAIN_DB;
+
+// Errores con el formato de validation.js
+const validateGains = ({ preamp = 0, gains } = {}) => {
+  const errors = [];
+  const rango = `Debe ser un número entre -${MAX_GAIN_DB} y ${MAX_GAIN_DB}`;
+  if (!isGain(preamp)) {
+    errors.push({ field: 'preamp', code: 'invalid_gain', message: rango });
+  }
+  if (!Array.isArray(gains) || gains.length !== BANDS) {
+    errors.push({ field: 'gains', code: 'invalid_bands', message: `Debe tener ${BANDS} bandas` });
+  } else if (!gains.every(isGain)) {
+    errors.push({ field: 'gains', code: 'invalid_gain', message: rango });
+  }
+  // Se redondea a décimas: los controles no tienen más precisión
+  const round = (value) => Math.round(value * 10) / 10;
+  return {
+    data: errors.length ? null : { preamp: round(preamp), gains: gains.map(round) },
+    errors
+  };
+};
+
+const isPresetId = (value) => typeof value === 'string' && PRESET_ID_RE.test(value);
+
+// Id numérico de un preset propio, o null si es predefinido
+const customId = (presetId) => {
+  const m = /^custom:(\d+)$/.exec(presetId);
+  return m ? Number(m[1]) : null;
+};
+
+const isContext = (value) => typeof value === 'string' && CONTEXT_RE.test(value);
+
+// { playlistId } o { curatedId } según el contexto
+const parseContext = (context) => {
+  const [kind, id] = context.split(':');
+  return kind === 'playlist' ? { playlistId: Number(id) } : { curatedId: id };
+};
+
+module.exports = { BANDS, FREQUENCIES, MAX_GAIN_DB, validateGains, isPresetId, customId, isContext, parseContext };
@@ -0,0 +1,254 @@
+// Lectura de tags en el navegador, sin pasar por el servidor: ID3v2 (MP3),
+// comentarios Vorbis (FLAC, OGG/Opus) y átomos de iTunes (M4A/AAC).
+// leerEtiquetas devuelve { title, artist, album, letra, portada (Blob) } con lo
+// que encuentre; si el formato no se reconoce, un objeto vacío. `letra` es el
+// texto tal cual (puede venir en formato LRC, ver letras.mjs).
+
+const latin1 = new TextDecoder("latin1");
+const utf8 = new TextDecoder("utf-8");
+
+const leerBytes = async (archivo, desde, hasta) => new Uint8Array(await archivo.slice(desde, hasta).arrayBuffer());
+
+const texto = (bytes, desde, hasta) => latin1.decode(bytes.subarray(desde, hasta));
+
+const synchsafe = (bytes, i) => (bytes[i] << 21) | (bytes[i + 1] << 14) | (bytes[i + 2] << 7) | bytes[i + 3];
+const enteroBE = (bytes, i) => ((bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3]) >>> 0;
+const enteroLE = (bytes, i) => ((bytes[i + 3] << 24) | (bytes[i + 2] << 16) | (bytes[i + 1] << 8) | bytes[i]) >>> 0;
+
+const imagen = (bytes, tipo) => new Blob([bytes], { type: tipo.includes("/") ? tipo : `image/${tipo}` });
+
+// --- ID3v2 ---
+
+const CODIFICACIONES = ["latin1", "utf-16", "utf-16be", "utf-8"];
+
+// En UTF-16 con BOM, el BOM dice el orden de los bytes
+const decodificar = (bytes, codificacion) => {
+  const etiqueta = codificacion === 1 && bytes[0] === 0xfe && bytes[1] === 0xff ? "utf-16be" : CODIFICACIONES[codificacion];
+  return new TextDecoder(etiqueta || "latin1").decode(bytes).replace(/\0+$/, "").trim();
+};
+
+// Fin de un texto terminado en 0 (dos bytes en UTF-16)
+const finDeTexto = (bytes, desde, codificacion) => {
+  const ancho = codificacion === 1 || codificacion === 2 ? 2 : 1;
+  for (let i = desde; i + ancho <= bytes.length; i += ancho) {
+    if (bytes[i] === 0 && (ancho === 1 || bytes[i + 1] === 0)) return i;
+  }
+  return bytes.length;
+};
+
+const FRAMES_TEXTO = { TIT2: "title", TT2: "title", TPE1: "artist", TP1: "artist", TALB: "album", TAL: "album" };
+
+const leerPortadaId3 = (cuerpo, version) => {
+  const codificacion = cuerpo[0];
+  let i;
+  let tipo;
+  if (version === 2) {
+    // PIC: formato de 3 letras ("JPG", "PNG")
+    tipo = texto(cuerpo, 1, 4).toLowerCase().replace("jpg", "jpeg");
+    i = 4;
+  } else {
+    const fin = finDeTexto(cuerpo, 1, 0);
+    tipo = texto(cuerpo, 1, fin) || "image/jpeg";
+    i = fin + 1;
+  }
+  i += 1; // tipo de imagen (tapa, contratapa...)
+  i = finDeTexto(cuerpo, i, codificacion) + (codificacion === 1 || codificacion === 2 ? 2 : 1);
+  return imagen(cuerpo.subarray(i), tipo);
+};
+
+// USLT: codificación, idioma (3 letras), descripción y recién después el texto
+const leerLetraId3 = (cuerpo) => {
+  const codificacion = cuerpo[0];
+  const i = finDeTexto(cuerpo, 4, codificacion) + (codificacion === 1 || codificacion === 2 ? 2 : 1);
+  return decodificar(cuerpo.subarray(i), codificacion) || undefined;
+};
+
+const leerId3 = async (archivo) => {
+  const cabecera = await leerBytes(archivo, 0, 10);
+  const version = cabecera[3];
+  const datos = await leerBytes(archivo, 10, 10 + synchsafe(cabecera, 6));
+
+  let i = 0;
+  if (cabecera[5] & 0x40) {
+    // Encabezado extendido: en 2.4 el tamaño se incluye a sí mismo
+    i = version === 4 ? synchsafe(datos, 0) : enteroBE(datos, 0) + 4;
+  }
+
+  const tags = {};
+  const largoId = version === 2 ? 3 : 4;
+  const largoCabecera = version === 2 ? 6 : 10;
+  while (i + largoCabecera <= datos.length) {
+    const id = texto(datos, i, i + largoId);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // relleno
+    const tamano = version === 2
+      ? (datos[i + 3] << 16) | (datos[i + 4] << 8) | datos[i + 5]
+      : version === 4 ? synchsafe(datos, i + 4) : enteroBE(datos, i + 4);
+    const cuerpo = datos.subarray(i + largoCabecera, i + largoCabecera + tamano);
+    i += largoCabecera + tamano;
+
+    if (FRAMES_TEXTO[id] && !tags[FRAMES_TEXTO[id]]) {
+      tags[FRAMES_TEXTO[id]] = decodificar(cuerpo.subarray(1), cuerpo[0]) || undefined;
+    } else if ((id === "APIC" || id === "PIC") && !tags.portada) {
+      tags.portada = leerPortadaId3(cuerpo, version);
+    } else if ((id === "USLT" || id === "ULT") && !tags.letra) {
+      tags.letra = leerLetraId3(cuerpo);
+    }
+  }
+  return tags;
+};
+
+// --- Comentarios Vorbis (FLAC y OGG) ---
+
+const CAMPOS_VORBIS = { TITLE: "title", ARTIST: "artist", ALBUM: "album", LYRICS: "letra", UNSYNCEDLYRICS: "letra" };
+
+// Bloque PICTURE de FLAC; en OGG viene en base64 en METADATA_BLOCK_PICTURE
+const leerPictureFlac = (bytes) => {
+  let i = 4;
+  const largoTipo = enteroBE(bytes, i);
+  const tipo = texto(bytes, i + 4, i + 4 + largoTipo);
+  i += 4 + largoTipo;
+  i += 4 + enteroBE(bytes, i); // descripción
+  i += 16; // ancho, alto, profundidad y colores
+  const largo = enteroBE(bytes, i);
+  return imagen(bytes.subarray(i + 4, i + 4 + largo), tipo || "image/jpeg");
+};
+
+const leerComentariosVorbis = (bytes, desde = 0) => {
+  const tags = {};
+  let i = desde + 4 + enteroLE(bytes, desde); // vendor
+  const cantidad = enteroLE(bytes, i);
+  i += 4;
+  for (let n = 0; n < cantidad && i + 4 <= bytes.length; n++) {
+    const largo = enteroLE(bytes, i);
+    const comentario = utf8.decode(bytes.subarray(i + 4, i + 4 + largo));
+    i += 4 + largo;
+    const igual = comentario.indexOf("=");
+    const clave = comentario.slice(0, igual).toUpperCase();
+    const valor = comentario.slice(igual + 1).trim();
+    if (CAMPOS_VORBIS[clave] && !tags[CAMPOS_VORBIS[clave]] && valor) {
+      tags[CAMPOS_VORBIS[clave]] = valor;
+    } else if (clave === "METADATA_BLOCK_PICTURE" && !tags.portada) {
+      try {
+        tags.portada = leerPictureFlac(Uint8Array.from(atob(valor), (c) => c.charCodeAt(0)));
+      } catch {
+        // base64 roto
+      }
+    }
+  }
+  return tags;
+};
+
+const leerFlac = async (archivo) => {
+  let tags = {};
+  let portada = null;
+  let i = 4;
+  for (let ultimo = false; !ultimo && i < archivo.size;) {
+    const cabecera = await leerBytes(archivo, i, i + 4);
+    ultimo = Boolean(cabecera[0] & 0x80);
+    const tipo = cabecera[0] & 0x7f;
+    const largo = (cabecera[1] << 16) | (cabecera[2] << 8) | cabecera[3];
+    if (tipo === 4) tags = leerComentariosVorbis(await leerBytes(archivo, i + 4, i + 4 + largo));
+    else if (tipo === 6 && !portada) portada = leerPictureFlac(await leerBytes(archivo, i + 4, i + 4 + largo));
+    i += 4 + largo;
+  }
+  return { portada: portada || undefined, ...tags };
+};
+
+// En OGG los tags son el segundo paquete, que puede ocupar varias páginas:
+// se arma juntando los segmentos de las primeras páginas
+const MAX_CABECERA_OGG = 512 * 1024;
+
+const leerOgg = async (archivo) => {
+  const datos = await leerBytes(archivo, 0, MAX_CABECERA_OGG);
+  const paquetes = [[]];
+  let i = 0;
+  while (paquetes.length < 3 && i + 27 <= datos.length && texto(datos, i, i + 4) === "OggS") {
+    const segmentos = datos[i + 26];
+    let cuerpo = i + 27 + segmentos;
+    for (let s = 0; s < segmentos; s++) {
+      const largo = datos[i + 27 + s];
+      paquetes[paquetes.length - 1].push(datos.subarray(cuerpo, cuerpo + largo));
+      cuerpo += largo;
+      if (largo < 255) paquetes.push([]);
+    }
+    i = cuerpo;
+  }
+  if (paquetes.length < 3) return {};
+
+  const partes = paquetes[1];
+  const paquete = new Uint8Array(partes.reduce((total, p) => total + p.length, 0));
+  partes.reduce((desde, p) => {
+    paquete.set(p, desde);
+    return desde + p.length;
+  }, 0);
+  // "\x03vorbis" o "OpusTags" antes de los comentarios
+  if (texto(paquete, 0, 8) === "OpusTags") return leerComentariosVorbis(paquete, 8);
+  if (texto(paquete, 1, 7) === "vorbis") return leerComentariosVorbis(paquete, 7);
+  return {};
+};
+
+// --- MP4 / M4A ---
+
+const ATOMOS_MP4 = { "©nam": "title", "©ART": "artist", "©alb": "album", "©lyr": "letra" };
+
+// Recorre los átomos de `bytes` entre desde y hasta
+const atomos = function* (bytes, desde, hasta) {
+  let i = desde;
+  while (i + 8 <= hasta) {
+    let largo = enteroBE(bytes, i);
+    if (largo === 0) largo = hasta - i;
+    if (largo < 8) return;
+    yield { tipo: texto(bytes, i + 4, i + 8), inicio: i + 8, fin: Math.min(i + largo, hasta) };
+    i += largo;
+  }
+};
+
+const buscarAtomo = (bytes, desde, hasta, tipo) => {
+  for (const atomo of atomos(bytes, desde, hasta)) if (atomo.tipo === tipo) return atomo;
+  return null;
+};
+
+const leerMp4 = async (archivo) => {
+  // El moov puede estar al principio o al final: se leen solo las cabeceras
+  // de los átomos de primer nivel hasta encontrarlo
+  let moov = null;
+  for (let i = 0; i + 8 <= archivo.size;) {
+    const cabecera = await leerBytes(archivo, i, i + 16);
+    let largo = enteroBE(cabecera, 0);
+    if (largo === 1) largo = enteroBE(cabecera, 8) * 2 ** 32 + enteroBE(cabecera, 12);
+    else if (largo === 0) largo = archivo.size - i;
+    if (largo < 8) break;
+    if (texto(cabecera, 4, 8) === "moov") {
+      moov = await leerBytes(archivo, i, i + largo);
+      break;
+    }
+    i += largo;
+  }
+  if (!moov) return {};
+
+  const udta = buscarAtomo(moov, 8, moov.length, "udta");
+  const meta = udta && buscarAtomo(moov, udta.inicio, udta.fin, "meta");
+  // meta tiene 4 bytes de versión y flags antes de sus hijos
+  const ilst = meta && buscarAtomo(moov, meta.inicio + 4, meta.fin, "ilst");
+  if (!ilst) return {};
+
+  const tags = {};
+  for (const item of atomos(moov, ilst.inicio, ilst.fin)) {
+    const data = buscarAtomo(moov, item.inicio, item.fin, "data");
+    if (!data) continue;
+    const tipoDato = enteroBE(moov, data.inicio);
+    const valor = moov.subarray(data.inicio + 8, data.fin);
+    if (ATOMOS_MP4[item.tipo]) tags[ATOMOS_MP4[item.tipo]] = utf8.decode(valor).trim() || undefined;
+    else if (item.tipo === "covr" && !tags.portada) tags.portada = imagen(valor, tipoDato === 14 ? "image/png" : "image/jpeg");
+  }
+  return tags;
+};
+
+export async function leerEtiquetas(archivo) {
+  const firma = await leerBytes(archivo, 0, 12);
+  if (texto(firma, 0, 3) === "ID3") return leerId3(archivo);
+  if (texto(firma, 0, 4) === "fLaC") return leerFlac(archivo);
+  if (texto(firma, 0, 4) === "OggS") return leerOgg(archivo);
+  if (texto(firma, 4, 8) === "ftyp") return leerMp4(archivo);
+  return {};
+}
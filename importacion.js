@@ -0,0 +1,101 @@
+// Carga de canciones desde la computadora: qué formatos se aceptan, cómo se
+// juntan los archivos que se arrastran (carpetas enteras incluidas) y cuáles
+// ya están en la biblioteca.
+
+// Los mismos formatos que acepta el servidor, con el tipo que se le pregunta
+// al navegador para saber si los puede reproducir
+const FORMATOS = {
+  mp3: "audio/mpeg",
+  m4a: 'audio/mp4; codecs="mp4a.40.2"',
+  aac: "audio/aac",
+  ogg: "audio/ogg",
+  oga: "audio/ogg",
+  flac: "audio/flac",
+  wav: "audio/wav",
+};
+
+export const EXTENSIONES = Object.keys(FORMATOS).map((ext) => `.${ext}`).join(",");
+
+const extension = (nombre) => nombre.slice(nombre.lastIndexOf(".") + 1).toLowerCase();
+
+export const esAudio = (archivo) => Boolean(FORMATOS[extension(archivo.name)]);
+
+let prueba = null;
+
+export const sePuedeReproducir = (archivo) => {
+  prueba = prueba || document.createElement("audio");
+  return prueba.canPlayType(FORMATOS[extension(archivo.name)]) !== "";
+};
+
+// readEntries devuelve las entradas de a tandas hasta que viene una vacía
+const leerEntrada = async (entrada) => {
+  if (entrada.isFile) return [await new Promise((resolve, reject) => entrada.file(resolve, reject))];
+  const lector = entrada.createReader();
+  const archivos = [];
+  for (;;) {
+    const tanda = await new Promise((resolve, reject) => lector.readEntries(resolve, reject));
+    if (tanda.length === 0) return archivos;
+    for (const hija of tanda) archivos.push(...(await leerEntrada(hija)));
+  }
+};
+
+// Archivos de lo que se soltó, recorriendo las carpetas. Las entradas se
+// piden antes del primer await porque después el navegador vacía el dataTransfer.
+export async function archivosSoltados(dataTransfer) {
+  const entradas = Array.from(dataTransfer.items || [])
+    .filter((item) => item.kind === "file")
+    .map((item) => item.webkitGetAsEntry?.());
+  if (entradas.length === 0 || entradas.some((e) => !e)) return Array.from(dataTransfer.files);
+
+  const archivos = [];
+  for (const entrada of entradas) archivos.push(...(await leerEntrada(entrada)));
+  return archivos;
+}
+
+// --- Duplicados ---
+
+// Diferencia de duración (en segundos) que se tolera entre dos copias de la
+// misma canción con distinta codificación
+const TOLERANCIA_DURACION = 2;
+
+const normalizar = (texto) =>
+  (texto || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const claveDeTags = (cancion) => {
+  const titulo = normalizar(cancion.title);
+  return titulo ? `${normalizar(cancion.artist)}|${titulo}` : "";
+};
+
+const duracionParecida = (a, b) =>
+  !a.duration || !b.duration || Math.abs(a.duration - b.duration) <= TOLERANCIA_DURACION;
+
+// Marca cada archivo analizado con `duplicado`: null si es nuevo, o
+// { motivo: "archivo" | "datos", cancion, origen: "biblioteca" | "tanda" }.
+// "archivo" es el mismo contenido (hash); "datos", mismo artista y título con
+// una duración parecida. También detecta repetidos dentro de la misma tanda.
+export function buscarDuplicados(analizados, existentes) {
+  const porHash = new Map();
+  const porTags = new Map();
+  const registrar = (cancion, origen) => {
+    const entrada = { cancion, origen };
+    if (cancion.hash && !porHash.has(cancion.hash)) porHash.set(cancion.hash, entrada);
+    const clave = claveDeTags(cancion);
+    if (clave) porTags.set(clave, [...(porTags.get(clave) || []), entrada]);
+  };
+  existentes.forEach((cancion) => registrar(cancion, "biblioteca"));
+
+  return analizados.map((analizado) => {
+    const mismoArchivo = analizado.hash ? porHash.get(analizado.hash) : null;
+    const mismosDatos = mismoArchivo
+      ? null
+      : (porTags.get(claveDeTags(analizado)) || []).find(({ cancion }) => duracionParecida(cancion, analizado));
+    registrar(analizado, "tanda");
+    const original = mismoArchivo || mismosDatos;
+    return { ...analizado, duplicado: original ? { motivo: mismoArchivo ? "archivo" : "datos", ...original } : null };
+  });
+}
@@ -1,59 +1,42 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const multer = require('multer');
+const repo = require('./repository');
+const sessions = require('./sessions');
+const catalog = require('./catalog');
+const chat = require('./chat');
+const { schemas, validate, validateBody, sendValidationError } = require('./validation');
+const loginGuard = require('./loginGuard');
+const accountTokens = require('./accountTokens');
+const recommendations = require('./recommendations');
+const playlistFiles = require('./playlistFiles');
+const playerState = require('./playerState');
+const eqPresets = require('./eqPresets');
+const loudness = require('./loudness');
+const lyrics = require('./lyrics');
+const search = require('./search');
+const curated = require('./curated');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
-const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret_change_me';
-const JWT_EXPIRES = '7d';
-
-// Almacenamiento en memoria
-const db = {
-  users: [],
-  playlists: [],
-  playlistSongs: []
-};
 
-// Funciones auxiliares para el almacenamiento en memoria
-const findUserByEmail = (email) => db.users.find(u => u.email === email);
-const createUser = (userData) => {
-  const id = Date.now();
-  const user = { ...userData, id, created_at: new Date().toISOString() };
-  db.users.push(user);
-  return user;
-};
-db.prepare(`CREATE TABLE IF NOT EXISTS users (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  nombre TEXT NOT NULL,
-  email TEXT NOT NULL UNIQUE,
-  password TEXT NOT NULL,
-  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-)`).run();
-
-db.prepare(`CREATE TABLE IF NOT EXISTS playlists (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  nombre TEXT NOT NULL,
-  user_id INTEGER NOT NULL,
-  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-  FOREIGN KEY(user_id) REFERENCES users(id)
-)`).run();
-
-db.prepare(`CREATE TABLE IF NOT EXISTS playlist_songs (
-  playlist_id INTEGER NOT NULL,
-  song_path TEXT NOT NULL,
-  added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-  FOREIGN KEY(playlist_id) REFERENCES playlists(id),
-  PRIMARY KEY(playlist_id, song_path)
-)`).run();
+// Detrás de un proxy (nginx, etc.) hace falta para que req.ip sea la IP real
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
 
 app.use(express.json());
 app.use(cookieParser());
 app.use(cors({
   origin: 'http://localhost:5173', // Puerto de Vite
-  credentials: true
+  credentials: true,
+  // El frontend lee el nombre del archivo al exportar playlists
+  exposedHeaders: ['Content-Disposition']
 }));
 
 // Middleware de autenticación
@@ -64,7 +47,7 @@ const authMiddleware = (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = sessions.verifyAccessToken(token);
     req.user = decoded;
     next();
   } catch (err) {
@@ -72,171 +55,1160 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
+// Como authMiddleware pero sin exigir sesión: completa req.user si hay token válido
+const optionalAuth = (req, res, next) => {
+  const token = req.cookies.token;
+  if (token) {
+    try {
+      req.user = sessions.verifyAccessToken(token);
+    } catch (err) {
+      req.user = null;
+    }
+  }
+  next();
+};
+
+const BCRYPT_ROUNDS = 10;
+
+// Con un email que no existe se compara igual contra este hash, para que el
+// tiempo de respuesta no revele qué cuentas están registradas
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+
 // Rutas de autenticación
-app.post('/api/register', async (req, res) => {
+app.post('/api/register', validateBody(schemas.register), async (req, res) => {
   const { nombre, email, password } = req.body;
+  const emailTomado = [{ field: 'email', code: 'email_taken', message: 'Ya existe una cuenta con ese email' }];
 
   try {
-    const hashedPassword = await bcrypt.hash(password, 10);
-    db.prepare('INSERT INTO users (nombre, email, password) VALUES (?, ?, ?)')
-      .run(nombre, email, hashedPassword);
+    if (repo.users.findByEmail(email)) {
+      return sendValidationError(res, emailTomado, 409, 'El email ya está registrado');
+    }
+
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const user = repo.users.create({ nombre, email, password: hashedPassword });
+
+    // La cuenta se puede usar igual; si el email no sale se puede reenviar después
+    accountTokens.sendEmailVerification(user)
+      .catch(err => console.error('Error al enviar email de verificación:', err.message));
 
     res.status(201).json({ message: 'Usuario registrado exitosamente' });
   } catch (err) {
-    res.status(400).json({ message: 'Error al registrar usuario' });
+    // Dos registros simultáneos con el mismo email
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return sendValidationError(res, emailTomado, 409, 'El email ya está registrado');
+    }
+    res.status(500).json({ message: 'Error al registrar usuario' });
   }
 });
 
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', validateBody(schemas.login), (req, res) => {
   const { email, password } = req.body;
 
+  // Los intentos sobre una misma cuenta se atienden de a uno
+  const enCola = loginGuard.serialize(email, async () => {
+    const guard = loginGuard.check(req.ip, email);
+    if (!guard.allowed) {
+      loginGuard.recordBlocked(req.ip, email, guard.reason);
+      res.set('Retry-After', String(guard.retryAfter));
+      return res.status(429).json({
+        message: guard.reason === 'locked'
+          ? `Cuenta bloqueada temporalmente. Probá de nuevo en ${Math.ceil(guard.retryAfter / 60)} min`
+          : `Demasiados intentos. Probá de nuevo en ${guard.retryAfter} s`,
+        retryAfter: guard.retryAfter
+      });
+    }
+
+    try {
+      const user = repo.users.findByEmail(email);
+      const valid = await bcrypt.compare(password, user ? user.password : DUMMY_HASH);
+      if (!user || !valid) {
+        loginGuard.recordFailure(req.ip, email, user ? 'bad_password' : 'unknown_user');
+        return res.status(400).json({ message: 'Credenciales inválidas' });
+      }
+
+      loginGuard.recordSuccess(email);
+      sessions.issueSession(res, user);
+      res.json({ user: sessions.publicUser(user) });
+    } catch (err) {
+      loginGuard.recordFailure(req.ip, email, 'error');
+      res.status(400).json({ message: 'Error al iniciar sesión' });
+    }
+  });
+
+  // Ya hay demasiados intentos esperando turno para esta cuenta
+  if (!enCola) {
+    loginGuard.recordBlocked(req.ip, email, 'queue_full');
+    res.set('Retry-After', '1');
+    res.status(429).json({ message: 'Demasiados intentos. Probá de nuevo en 1 s', retryAfter: 1 });
+  }
+});
+
+app.post('/api/session/logout', (req, res) => {
+  sessions.revokeSession(req.cookies.refresh_token);
+  sessions.clearSessionCookies(res);
+  res.json({ message: 'Sesión cerrada' });
+});
+
+// Devuelve el usuario de la sesión actual (el frontend lo llama al cargar)
+app.get('/api/verify', authMiddleware, (req, res) => {
+  const user = repo.users.findById(req.user.id);
+  if (!user) {
+    return res.status(401).json({ message: 'No autenticado' });
+  }
+  res.json({ user: sessions.publicUser(user) });
+});
+
+// Rota el refresh token y emite un access token nuevo
+app.post('/api/session/refresh', (req, res) => {
   try {
-    const user = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
+    const user = sessions.rotateSession(res, req.cookies.refresh_token);
     if (!user) {
-      return res.status(400).json({ message: 'Credenciales inválidas' });
+      sessions.clearSessionCookies(res);
+      return res.status(401).json({ message: 'Sesión expirada' });
     }
+    res.json({ user: sessions.publicUser(user) });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al renovar sesión' });
+  }
+});
 
-    const valid = await bcrypt.compare(password, user.password);
-    if (!valid) {
-      return res.status(400).json({ message: 'Credenciales inválidas' });
+// Recuperación de contraseña. La respuesta es la misma exista o no la cuenta,
+// para no revelar qué emails están registrados; el email sale sin esperarlo
+// para que tampoco lo revele el tiempo de respuesta.
+app.post('/api/password/forgot', validateBody(schemas.forgotPassword), (req, res) => {
+  const user = repo.users.findByEmail(req.body.email);
+  if (user) {
+    accountTokens.sendPasswordReset(user)
+      .catch(err => console.error('Error al enviar email de recuperación:', err.message));
+  }
+  res.json({ message: 'Si el email está registrado, te enviamos un enlace para cambiar la contraseña' });
+});
+
+app.post('/api/password/reset', validateBody(schemas.resetPassword), async (req, res) => {
+  const { token, password } = req.body;
+  const tokenInvalido = [{ field: 'token', code: 'invalid_token', message: 'El enlace no es válido o ya venció' }];
+
+  try {
+    const stored = accountTokens.find(token, 'reset');
+    const user = stored && repo.users.findById(stored.user_id);
+    if (!user) {
+      return sendValidationError(res, tokenInvalido, 400, 'El enlace no es válido o ya venció');
     }
 
-    const token = jwt.sign(
-      { id: user.id, email: user.email, nombre: user.nombre },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES }
+    // La política completa necesita el nombre y el email de la cuenta
+    const { errors } = validate(
+      { password: schemas.resetPassword.password },
+      { password, nombre: user.nombre, email: user.email }
     );
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
 
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 días
-    });
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    if (!repo.accountTokens.use(stored.id)) {
+      return sendValidationError(res, tokenInvalido, 400, 'El enlace no es válido o ya venció');
+    }
+    repo.users.setPassword(user.id, hashedPassword);
+    // Quien recibió el email es dueño de la dirección
+    repo.users.markVerified(user.id);
+    // Cualquier sesión abierta con la contraseña anterior deja de valer
+    repo.refreshTokens.revokeAllForUser(user.id);
+    loginGuard.recordSuccess(user.email);
 
-    res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        nombre: user.nombre
-      }
-    });
+    res.json({ message: 'Contraseña actualizada. Ya podés iniciar sesión.' });
   } catch (err) {
-    res.status(400).json({ message: 'Error al iniciar sesión' });
+    res.status(500).json({ message: 'Error al cambiar la contraseña' });
   }
 });
 
-app.post('/api/logout', (req, res) => {
-  res.clearCookie('token');
-  res.json({ message: 'Sesión cerrada' });
+// Verificación de email
+app.post('/api/email/verify', validateBody(schemas.verifyEmail), (req, res) => {
+  const stored = accountTokens.find(req.body.token, 'verify');
+  if (!stored || !repo.accountTokens.use(stored.id)) {
+    return res.status(400).json({ message: 'El enlace no es válido o ya venció' });
+  }
+  repo.users.markVerified(stored.user_id);
+  res.json({ message: 'Email verificado' });
+});
+
+app.post('/api/email/verify/resend', authMiddleware, async (req, res) => {
+  const user = repo.users.findById(req.user.id);
+  if (!user) {
+    return res.status(401).json({ message: 'No autenticado' });
+  }
+  if (user.email_verified_at) {
+    return res.status(409).json({ message: 'El email ya está verificado' });
+  }
+
+  try {
+    if (!(await accountTokens.sendEmailVerification(user))) {
+      return res.status(429).json({ message: 'Ya te enviamos un email hace un momento' });
+    }
+    res.json({ message: 'Te enviamos un nuevo email de verificación' });
+  } catch (err) {
+    res.status(500).json({ message: 'No se pudo enviar el email' });
+  }
 });
 
 // Rutas de playlists
+
+// Carga la playlist :id y verifica el permiso pedido:
+//   view  -> dueño, colaborador o cualquiera si es pública
+//   edit  -> dueño o colaborador (agregar, quitar y ordenar canciones)
+//   owner -> solo el dueño (renombrar, borrar, compartir, colaboradores)
+// A quien no puede verla se le responde 404, para no revelar que existe.
+const playlistAccess = (nivel) => (req, res, next) => {
+  try {
+    const playlist = repo.playlists.findById(req.params.id);
+    const role = playlist && req.user ? repo.playlists.role(playlist.id, req.user.id) : null;
+
+    if (!playlist || (!role && playlist.visibility !== 'public')) {
+      return res.status(404).json({ message: 'Playlist no encontrada' });
+    }
+    if ((nivel === 'edit' && !role) || (nivel === 'owner' && role !== 'owner')) {
+      return res.status(403).json({ message: 'No tenés permiso para modificar esta playlist' });
+    }
+
+    req.playlist = playlist;
+    req.playlistRole = role;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Error al obtener la playlist' });
+  }
+};
+
+// Canciones con quién las agregó. `song` es null si ya no está en el catálogo.
+const playlistEntries = (playlistId) => repo.playlists.listEntries(playlistId).map(entry => {
+  const song = catalog.findByPublicPath(entry.song_path);
+  return {
+    songPath: entry.song_path,
+    song: song ? catalog.publicSong(song) : null,
+    addedBy: entry.added_by ? { id: entry.added_by, nombre: entry.added_by_nombre } : null,
+    addedAt: entry.added_at
+  };
+});
+
 app.get('/api/playlists', authMiddleware, (req, res) => {
   try {
-    const playlists = db.prepare(`
-      SELECT p.*, COUNT(ps.song_path) as song_count 
-      FROM playlists p 
-      LEFT JOIN playlist_songs ps ON p.id = ps.playlist_id
-      WHERE p.user_id = ?
-      GROUP BY p.id
-    `).all(req.user.id);
-    
+    const playlists = repo.playlists.listByUser(req.user.id);
+
     res.json({ playlists });
   } catch (err) {
     res.status(500).json({ message: 'Error al obtener playlists' });
   }
 });
 
+app.get('/api/playlists/public', (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+
+  try {
+    res.json({ playlists: repo.playlists.listPublic(q, limit) });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al obtener playlists' });
+  }
+});
+
+// Las destacadas de Inicio; el frontend las completa con las canciones
+app.get('/api/playlists/curated', (req, res) => {
+  res.json({ playlists: curated.CURATED });
+});
+
+// Acceso por enlace compartido, sin necesidad de sesión
+app.get('/api/shared/:token', (req, res) => {
+  try {
+    const playlist = repo.playlists.findByShareToken(req.params.token);
+    if (!playlist) {
+      return res.status(404).json({ message: 'El enlace no existe o fue revocado' });
+    }
+
+    const entries = playlistEntries(playlist.id);
+    res.json({ playlist, songs: entries.map(e => e.songPath), entries });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al obtener la playlist' });
+  }
+});
+
 app.post('/api/playlists', authMiddleware, (req, res) => {
-  const { nombre } = req.body;
-  try {
-    const result = db.prepare(
-      'INSERT INTO playlists (nombre, user_id) VALUES (?, ?)'
-    ).run(nombre, req.user.id);
-    
-    res.status(201).json({ 
-      playlist: {
-        id: result.lastInsertRowid,
-        nombre,
-        user_id: req.user.id,
-        song_count: 0
-      }
-    });
+  const nombre = typeof req.body.nombre === 'string' ? req.body.nombre.trim() : '';
+  if (!nombre) {
+    return res.status(400).json({ message: 'El nombre es obligatorio' });
+  }
+
+  try {
+    const playlist = repo.playlists.create(req.user.id, nombre);
+    res.status(201).json({ playlist });
   } catch (err) {
     res.status(400).json({ message: 'Error al crear playlist' });
   }
 });
 
-app.post('/api/playlists/:id/songs', authMiddleware, (req, res) => {
-  const { id } = req.params;
+app.get('/api/playlists/:id', optionalAuth, playlistAccess('view'), (req, res) => {
+  res.json({ playlist: { ...req.playlist, role: req.playlistRole } });
+});
+
+// Cambia el nombre y/o la visibilidad
+app.patch('/api/playlists/:id', authMiddleware, playlistAccess('owner'), (req, res) => {
+  const { id } = req.playlist;
+  const { visibility } = req.body;
+  const nombre = typeof req.body.nombre === 'string' ? req.body.nombre.trim() : undefined;
+
+  if (nombre === undefined && visibility === undefined) {
+    return res.status(400).json({ message: 'Nada para actualizar' });
+  }
+  if (nombre === '') {
+    return res.status(400).json({ message: 'El nombre es obligatorio' });
+  }
+  if (visibility !== undefined && !repo.playlists.VISIBILITIES.includes(visibility)) {
+    return res.status(400).json({ message: `La visibilidad debe ser ${repo.playlists.VISIBILITIES.join(', ')}` });
+  }
+
+  try {
+    if (nombre !== undefined) repo.playlists.rename(id, nombre);
+    if (visibility !== undefined) repo.playlists.setVisibility(id, visibility);
+
+    res.json({ playlist: { ...repo.playlists.findById(id), role: 'owner' } });
+  } catch (err) {
+    res.status(400).json({ message: 'Error al actualizar playlist' });
+  }
+});
+
+app.delete('/api/playlists/:id', authMiddleware, playlistAccess('owner'), (req, res) => {
+  try {
+    repo.playlists.remove(req.playlist.id);
+
+    res.json({ message: 'Playlist eliminada' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al eliminar playlist' });
+  }
+});
+
+app.post('/api/playlists/:id/songs', authMiddleware, playlistAccess('edit'), (req, res) => {
   const { songPath } = req.body;
 
+  if (typeof songPath !== 'string' || !songPath) {
+    return res.status(400).json({ message: 'Falta la canción' });
+  }
+
   try {
-    // Verificar que la playlist pertenezca al usuario
-    const playlist = db.prepare(
-      'SELECT * FROM playlists WHERE id = ? AND user_id = ?'
-    ).get(id, req.user.id);
+    const added = repo.playlists.addSong(req.playlist.id, songPath, req.user.id);
 
-    if (!playlist) {
-      return res.status(404).json({ message: 'Playlist no encontrada' });
+    res.status(added ? 201 : 200).json({
+      message: added ? 'Canción agregada' : 'La canción ya estaba en la playlist'
+    });
+  } catch (err) {
+    res.status(400).json({ message: 'Error al agregar canción' });
+  }
+});
+
+app.get('/api/playlists/:id/songs', optionalAuth, playlistAccess('view'), (req, res) => {
+  try {
+    const entries = playlistEntries(req.playlist.id);
+    res.json({ songs: entries.map(e => e.songPath), entries, role: req.playlistRole });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al obtener canciones' });
+  }
+});
+
+// Recibe todas las canciones de la playlist en el orden deseado
+app.put('/api/playlists/:id/songs/order', authMiddleware, playlistAccess('edit'), (req, res) => {
+  const { id } = req.playlist;
+  const { songs } = req.body;
+
+  try {
+    const actuales = repo.playlists.listSongs(id);
+    const esPermutacion = Array.isArray(songs)
+      && songs.length === actuales.length
+      && new Set(songs).size === songs.length
+      && songs.every(s => actuales.includes(s));
+
+    if (!esPermutacion) {
+      return res.status(400).json({ message: 'El orden debe incluir todas las canciones de la playlist' });
     }
 
-    db.prepare(
-      'INSERT OR IGNORE INTO playlist_songs (playlist_id, song_path) VALUES (?, ?)'
-    ).run(id, songPath);
+    repo.playlists.reorder(id, songs);
 
-    res.status(201).json({ message: 'Canción agregada' });
+    res.json({ songs });
   } catch (err) {
-    res.status(400).json({ message: 'Error al agregar canción' });
+    res.status(500).json({ message: 'Error al reordenar canciones' });
   }
 });
 
-app.get('/api/playlists/:id/songs', authMiddleware, (req, res) => {
-  const { id } = req.params;
+app.delete('/api/playlists/:id/songs/:songPath', authMiddleware, playlistAccess('edit'), (req, res) => {
+  try {
+    repo.playlists.removeSong(req.playlist.id, req.params.songPath);
+
+    res.json({ message: 'Canción eliminada' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al eliminar canción' });
+  }
+});
+
+// Exportar e importar playlists (M3U/M3U8, PLS, XSPF)
+const sendPlaylistFile = (req, res, nombre, tracks) => {
+  const format = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : 'm3u8';
+  if (!playlistFiles.FORMATS.includes(format)) {
+    return res.status(400).json({ message: `El formato debe ser ${playlistFiles.FORMATS.join(', ')}` });
+  }
+  const file = playlistFiles.serialize(format, nombre, tracks);
+  res.attachment(file.filename);
+  res.type(file.contentType).send(file.body);
+};
+
+// Las ubicaciones apuntan al stream de este servidor para que la lista
+// funcione en otros reproductores
+const baseUrl = (req) => `${req.protocol}://${req.get('host')}`;
 
+app.get('/api/playlists/:id/export', optionalAuth, playlistAccess('view'), (req, res) => {
   try {
-    // Verificar que la playlist pertenezca al usuario
-    const playlist = db.prepare(
-      'SELECT * FROM playlists WHERE id = ? AND user_id = ?'
-    ).get(id, req.user.id);
+    const tracks = repo.playlists.listSongs(req.playlist.id).map(songPath => {
+      const song = catalog.findByPublicPath(songPath);
+      // Si la canción ya no está en el catálogo se exporta la ruta que tenía
+      return song
+        ? playlistFiles.tracksFromSongs([song], baseUrl(req))[0]
+        : { location: songPath, ...catalog.metadataFromFilename(songPath) };
+    });
+    sendPlaylistFile(req, res, req.playlist.nombre, tracks);
+  } catch (err) {
+    res.status(500).json({ message: 'Error al exportar la playlist' });
+  }
+});
 
-    if (!playlist) {
-      return res.status(404).json({ message: 'Playlist no encontrada' });
+// Para listas que no están guardadas en el servidor (las destacadas de Inicio):
+// { nombre, songIds } y ?format=
+app.post('/api/playlists/export', optionalAuth, (req, res) => {
+  const nombre = typeof req.body.nombre === 'string' && req.body.nombre.trim() ? req.body.nombre.trim() : 'Playlist';
+  const { songIds } = req.body;
+  if (!Array.isArray(songIds) || songIds.length === 0) {
+    return res.status(400).json({ message: 'Faltan las canciones' });
+  }
+
+  try {
+    const visibles = new Map(repo.songs.visibleTo(req.user ? req.user.id : null).map(s => [s.id, s]));
+    const songs = songIds.map(id => visibles.get(id)).filter(Boolean);
+    sendPlaylistFile(req, res, nombre, playlistFiles.tracksFromSongs(songs, baseUrl(req)));
+  } catch (err) {
+    res.status(500).json({ message: 'Error al exportar la playlist' });
+  }
+});
+
+const MAX_PLAYLIST_FILE_KB = 1024;
+
+const uploadPlaylistFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PLAYLIST_FILE_KB * 1024, files: 1 }
+}).single('file');
+
+// Recibe el archivo en `file`. Con dryRun=true solo informa qué canciones se
+// encontraron; si no, crea la playlist con las encontradas, en el mismo orden.
+app.post('/api/playlists/import', authMiddleware, (req, res) => {
+  uploadPlaylistFile(req, res, (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ message: `El archivo supera los ${MAX_PLAYLIST_FILE_KB} KB` });
+      }
+      return res.status(400).json({ message: 'Error al subir el archivo' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'Falta el archivo de la playlist' });
+    }
+
+    try {
+      const parsed = playlistFiles.parse(playlistFiles.decode(req.file.buffer), req.file.originalname);
+      if (!parsed) {
+        return res.status(415).json({ message: 'Formato no soportado: usá M3U, M3U8, PLS o XSPF' });
+      }
+
+      const tracks = playlistFiles.matchTracks(parsed.tracks, req.user.id);
+      const encontradas = tracks.filter(t => t.song);
+      const nombre = (typeof req.body.nombre === 'string' && req.body.nombre.trim())
+        || parsed.nombre
+        || path.basename(req.file.originalname, path.extname(req.file.originalname))
+        || 'Playlist importada';
+
+      const resultado = {
+        format: parsed.format,
+        nombre,
+        tracks: tracks.map(({ song, ...track }) => ({ ...track, song: song ? catalog.publicSong(song) : null })),
+        matched: encontradas.length,
+        unmatched: tracks.length - encontradas.length
+      };
+
+      if (req.body.dryRun === 'true') {
+        return res.json(resultado);
+      }
+      if (encontradas.length === 0) {
+        return res.status(422).json({ ...resultado, message: 'Ninguna canción de la lista está en la biblioteca' });
+      }
+
+      const playlist = repo.playlists.createWithSongs(
+        req.user.id,
+        nombre,
+        encontradas.map(({ song }) => catalog.publicPath(song))
+      );
+      res.status(201).json({ ...resultado, playlist });
+    } catch (err) {
+      res.status(500).json({ message: 'Error al importar la playlist' });
+    }
+  });
+});
+
+// Colaboradores: pueden agregar, quitar y ordenar canciones
+app.get('/api/playlists/:id/collaborators', authMiddleware, playlistAccess('edit'), (req, res) => {
+  try {
+    res.json({
+      owner: { id: req.playlist.user_id, nombre: req.playlist.owner_nombre },
+      collaborators: repo.playlists.collaborators(req.playlist.id)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al obtener colaboradores' });
+  }
+});
+
+app.post('/api/playlists/:id/collaborators', authMiddleware, playlistAccess('owner'), (req, res) => {
+  const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+  if (!email) {
+    return res.status(400).json({ message: 'Falta el email del colaborador' });
+  }
+
+  try {
+    const user = repo.users.findByEmail(email);
+    if (user && user.id === req.user.id) {
+      return res.status(400).json({ message: 'Ya sos el dueño de la playlist' });
+    }
+
+    // La respuesta es la misma exista o no la cuenta, para no revelar qué
+    // emails están registrados
+    if (user) repo.playlists.addCollaborator(req.playlist.id, user.id);
+    res.status(202).json({ message: 'Si el email corresponde a una cuenta, ya puede editar la playlist' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al agregar colaborador' });
+  }
+});
+
+// El dueño quita a cualquiera; un colaborador solo puede quitarse a sí mismo
+app.delete('/api/playlists/:id/collaborators/:userId', authMiddleware, playlistAccess('edit'), (req, res) => {
+  const userId = Number(req.params.userId);
+  if (req.playlistRole !== 'owner' && userId !== req.user.id) {
+    return res.status(403).json({ message: 'No tenés permiso para modificar esta playlist' });
+  }
+
+  try {
+    if (!repo.playlists.removeCollaborator(req.playlist.id, userId)) {
+      return res.status(404).json({ message: 'Colaborador no encontrado' });
+    }
+    res.json({ message: 'Colaborador eliminado' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al eliminar colaborador' });
+  }
+});
+
+// Enlaces para compartir (solo lectura). Se pueden revocar de a uno.
+app.get('/api/playlists/:id/shares', authMiddleware, playlistAccess('owner'), (req, res) => {
+  try {
+    res.json({ shares: repo.playlists.shares(req.playlist.id) });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al obtener enlaces' });
+  }
+});
+
+// Con una playlist privada los enlaces no funcionan, así que pasa a no listada
+app.post('/api/playlists/:id/shares', authMiddleware, playlistAccess('owner'), (req, res) => {
+  try {
+    if (req.playlist.visibility === 'private') {
+      repo.playlists.setVisibility(req.playlist.id, 'unlisted');
+    }
+    const share = repo.playlists.createShare(req.playlist.id, crypto.randomBytes(18).toString('base64url'));
+    res.status(201).json({
+      share,
+      visibility: req.playlist.visibility === 'private' ? 'unlisted' : req.playlist.visibility
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al crear el enlace' });
+  }
+});
+
+app.delete('/api/playlists/:id/shares/:shareId', authMiddleware, playlistAccess('owner'), (req, res) => {
+  try {
+    if (!repo.playlists.revokeShare(Number(req.params.shareId), req.playlist.id)) {
+      return res.status(404).json({ message: 'Enlace no encontrado' });
     }
+    res.json({ message: 'Enlace revocado' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al revocar el enlace' });
+  }
+});
+
+// Rutas del catálogo de canciones
+app.get('/api/songs', optionalAuth, (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const sort = repo.songs.SORTS.includes(req.query.sort) ? req.query.sort : 'title';
+  const order = req.query.order === 'desc' ? 'desc' : 'asc';
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
 
-    const songs = db.prepare(
-      'SELECT song_path FROM playlist_songs WHERE playlist_id = ?'
-    ).all(id);
+  try {
+    const { songs, total } = repo.songs.search({
+      q, sort, order, limit, offset: (page - 1) * limit,
+      userId: req.user ? req.user.id : null
+    });
 
-    res.json({ songs: songs.map(s => s.song_path) });
+    res.json({
+      songs: songs.map(catalog.publicSong),
+      total,
+      page,
+      limit
+    });
   } catch (err) {
     res.status(500).json({ message: 'Error al obtener canciones' });
   }
 });
 
-app.delete('/api/playlists/:playlistId/songs/:songPath', authMiddleware, (req, res) => {
-  const { playlistId, songPath } = req.params;
+// El análisis de volumen corre en segundo plano: con ffmpeg lleva unos
+// segundos por canción
+const analyzeLoudness = () => {
+  loudness.analyzePending()
+    .then(r => {
+      if (r.analyzed || r.failed) console.log(`Volumen: ${r.analyzed} canciones analizadas, ${r.failed} con errores`);
+    })
+    .catch(err => console.error('Error al analizar el volumen:', err.message));
+};
+
+// Reescanear recorre toda la biblioteca y vuelve a lanzar ffmpeg: solo lo
+// pueden pedir las cuentas de SCAN_ADMIN_EMAILS. Sin esa variable, la
+// biblioteca se escanea únicamente al arrancar el servidor.
+const SCAN_ADMIN_EMAILS = new Set(
+  (process.env.SCAN_ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean)
+);
 
+app.post('/api/songs/scan', authMiddleware, async (req, res) => {
+  const user = repo.users.findById(req.user.id);
+  if (!user || !SCAN_ADMIN_EMAILS.has(user.email.toLowerCase())) {
+    return res.status(403).json({ message: 'No tenés permiso para escanear la biblioteca' });
+  }
   try {
-    // Verificar que la playlist pertenezca al usuario
-    const playlist = db.prepare(
-      'SELECT * FROM playlists WHERE id = ? AND user_id = ?'
-    ).get(playlistId, req.user.id);
+    const resumen = await catalog.scanLibrary();
+    analyzeLoudness();
+    res.json(resumen);
+  } catch (err) {
+    res.status(500).json({ message: 'Error al escanear la biblioteca' });
+  }
+});
 
-    if (!playlist) {
-      return res.status(404).json({ message: 'Playlist no encontrada' });
+const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB) || 50;
+
+const uploadAudio = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = path.join(catalog.UPLOAD_DIR, String(req.user.id));
+      fs.mkdirSync(dir, { recursive: true });
+      cb(null, dir);
+    },
+    // El nombre en disco es el id de la canción; el original queda en los tags
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname).toLowerCase();
+      cb(null, `${crypto.randomBytes(8).toString('hex')}${ext}`);
+    }
+  }),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+  // Solo la extensión: hay navegadores que mandan .flac o .m4a como
+  // application/octet-stream. Que sea audio de verdad lo decide importUpload.
+  fileFilter: (req, file, cb) => {
+    cb(null, Boolean(catalog.AUDIO_TYPES[path.extname(file.originalname).toLowerCase()]));
+  }
+}).single('file');
+
+app.post('/api/songs/upload', authMiddleware, (req, res) => {
+  uploadAudio(req, res, async (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ message: `El archivo supera los ${MAX_UPLOAD_MB} MB` });
+      }
+      return res.status(400).json({ message: 'Error al subir el archivo' });
+    }
+    if (!req.file) {
+      return res.status(415).json({ message: 'Formato de audio no soportado' });
     }
 
-    db.prepare(
-      'DELETE FROM playlist_songs WHERE playlist_id = ? AND song_path = ?'
-    ).run(playlistId, songPath);
+    try {
+      const song = await catalog.importUpload(req.user.id, req.file);
+      if (!song) {
+        return res.status(415).json({ message: 'El archivo no es un audio válido' });
+      }
+      analyzeLoudness();
+      res.status(201).json({ song: catalog.publicSong(song) });
+    } catch (err) {
+      fs.rmSync(req.file.path, { force: true });
+      res.status(500).json({ message: 'Error al procesar la canción' });
+    }
+  });
+});
 
+// Solo se pueden borrar las canciones subidas por uno mismo
+app.delete('/api/songs/:id', authMiddleware, (req, res) => {
+  const song = repo.songs.findById(req.params.id);
+  if (!song || song.owner_id !== req.user.id) {
+    return res.status(404).json({ message: 'Canción no encontrada' });
+  }
+
+  try {
+    catalog.deleteUpload(song);
     res.json({ message: 'Canción eliminada' });
   } catch (err) {
     res.status(500).json({ message: 'Error al eliminar canción' });
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Servidor corriendo en puerto ${PORT}`);
-});
\ No newline at end of file
+// Las subidas solo las ve su dueño (la misma regla que repo.songs.visibleTo):
+// para cualquier otro, con o sin sesión, la canción no existe
+const findVisibleSong = (id, user) => {
+  const song = repo.songs.findById(id);
+  if (!song || (song.owner_id && (!user || song.owner_id !== user.id))) return null;
+  return song;
+};
+
+app.get('/api/songs/:id', optionalAuth, (req, res) => {
+  const song = findVisibleSong(req.params.id, req.user);
+  if (!song) {
+    return res.status(404).json({ message: 'Canción no encontrada' });
+  }
+  res.json({ song: catalog.publicSong(song) });
+});
+
+app.get('/api/songs/:id/cover', optionalAuth, (req, res) => {
+  const song = findVisibleSong(req.params.id, req.user);
+  const cover = song && repo.songs.cover(song.id);
+  if (!cover) {
+    return res.status(404).json({ message: 'Portada no encontrada' });
+  }
+  res.set('Cache-Control', `${song.owner_id ? 'private' : 'public'}, max-age=86400`);
+  res.type(cover.mime).send(cover.data);
+});
+
+// Con STREAM_REQUIRE_AUTH=true solo los usuarios logueados pueden escuchar
+const STREAM_REQUIRE_AUTH = process.env.STREAM_REQUIRE_AUTH === 'true';
+// Sin exigir sesión igual se lee el usuario, para dejar pasar al dueño de una subida
+const streamAuth = STREAM_REQUIRE_AUTH ? authMiddleware : optionalAuth;
+
+// Streaming de audio. sendFile resuelve Range (206), If-Range, ETag y
+// Last-Modified, así el navegador puede saltar a cualquier punto del archivo.
+app.get('/api/stream/:songId', streamAuth, (req, res) => {
+  const song = findVisibleSong(req.params.songId, req.user);
+  if (!song) {
+    return res.status(404).json({ message: 'Canción no encontrada' });
+  }
+
+  res.type(catalog.contentTypeFor(song.path));
+  res.sendFile(song.path, {
+    root: catalog.rootFor(song),
+    dotfiles: 'deny',
+    acceptRanges: true,
+    cacheControl: false,
+    headers: {
+      'Cache-Control': `${STREAM_REQUIRE_AUTH || song.owner_id ? 'private' : 'public'}, max-age=86400`
+    }
+  }, (err) => {
+    if (err && !res.headersSent) {
+      res.status(err.status || 500).json({ message: 'No se pudo leer el archivo' });
+    }
+  });
+});
+
+// Letra sincronizada (.lrc junto al archivo) o la de los tags
+app.get('/api/songs/:id/lyrics', streamAuth, async (req, res) => {
+  const song = findVisibleSong(req.params.id, req.user);
+  if (!song) {
+    return res.status(404).json({ message: 'Canción no encontrada' });
+  }
+
+  try {
+    const letra = await lyrics.findLyrics(song);
+    if (!letra) {
+      return res.status(404).json({ message: 'La canción no tiene letra' });
+    }
+    res.json(letra);
+  } catch (err) {
+    res.status(500).json({ message: 'Error al leer la letra' });
+  }
+});
+
+// Historial de reproducción
+const MAX_CONTEXT_LENGTH = 200;
+
+const publicHistoryEntry = (row) => ({
+  id: row.history_id,
+  song: catalog.publicSong(row),
+  startedAt: row.started_at,
+  listenedSeconds: row.listened_seconds,
+  skipped: Boolean(row.skipped),
+  context: row.context
+});
+
+// El reproductor informa cada canción cuando termina o se cambia:
+// { songId, startedAt (ISO), listenedSeconds, skipped, context }
+app.post('/api/history', authMiddleware, (req, res) => {
+  const { songId, startedAt, listenedSeconds, skipped, context } = req.body;
+
+  const song = typeof songId === 'string' && findVisibleSong(songId, req.user);
+  if (!song) {
+    return res.status(404).json({ message: 'Canción no encontrada' });
+  }
+
+  const inicio = startedAt ? new Date(startedAt) : new Date();
+  // Se tolera algo de diferencia entre el reloj del navegador y el del servidor
+  if (Number.isNaN(inicio.getTime()) || inicio.getTime() > Date.now() + 5 * 60 * 1000) {
+    return res.status(400).json({ message: 'startedAt no es una fecha válida' });
+  }
+
+  const segundos = Number(listenedSeconds);
+  if (!Number.isFinite(segundos) || segundos < 0) {
+    return res.status(400).json({ message: 'listenedSeconds debe ser un número positivo' });
+  }
+
+  try {
+    const id = repo.history.add({
+      userId: req.user.id,
+      songId: song.id,
+      // Mismo formato que datetime('now') para poder comparar en SQL
+      startedAt: inicio.toISOString().replace('T', ' ').slice(0, 19),
+      // Nunca más que la canción entera (los saltos para atrás no suman de nuevo)
+      listenedSeconds: song.duration ? Math.min(segundos, song.duration) : segundos,
+      skipped: Boolean(skipped),
+      context: typeof context === 'string' && context.trim()
+        ? context.trim().slice(0, MAX_CONTEXT_LENGTH)
+        : null
+    });
+    res.status(201).json({ id });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al guardar el historial' });
+  }
+});
+
+// ?before=<id> pagina hacia atrás; con ?unique=true devuelve una entrada por
+// canción (la última vez que se escuchó), para "Escuchado recientemente"
+app.get('/api/history', authMiddleware, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  try {
+    if (req.query.unique === 'true') {
+      const rows = repo.history.recentSongs(req.user.id, limit);
+      return res.json({ history: rows.map(publicHistoryEntry), hasMore: false });
+    }
+
+    const before = parseInt(req.query.before, 10) || Number.MAX_SAFE_INTEGER;
+    const rows = repo.history.list(req.user.id, before, limit + 1);
+    const hasMore = rows.length > limit;
+    res.json({ history: rows.slice(0, limit).map(publicHistoryEntry), hasMore });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al obtener el historial' });
+  }
+});
+
+// Ecualizador: presets propios y qué preset usa cada playlist
+app.get('/api/eq/presets', authMiddleware, (req, res) => {
+  try {
+    res.json({
+      presets: repo.eqPresets.list(req.user.id),
+      assignments: repo.eqPresets.assignments(req.user.id)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al obtener los presets' });
+  }
+});
+
+// { nombre, preamp, gains: [10 valores en dB] }
+const readEqPreset = (body) => {
+  const { data, errors } = validate(schemas.eqPreset, body);
+  const gains = eqPresets.validateGains(body);
+  return { data: { ...data, ...gains.data }, errors: [...errors, ...gains.errors] };
+};
+
+const nombrePresetTomado = [{ field: 'nombre', code: 'name_taken', message: 'Ya tenés un preset con ese nombre' }];
+
+app.post('/api/eq/presets', authMiddleware, (req, res) => {
+  const { data, errors } = readEqPreset(req.body);
+  if (errors.length) {
+    return sendValidationError(res, errors);
+  }
+
+  try {
+    res.status(201).json({ preset: repo.eqPresets.create(req.user.id, data) });
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return sendValidationError(res, nombrePresetTomado, 409, 'Ya tenés un preset con ese nombre');
+    }
+    res.status(500).json({ message: 'Error al guardar el preset' });
+  }
+});
+
+app.put('/api/eq/presets/:id', authMiddleware, (req, res) => {
+  const { data, errors } = readEqPreset(req.body);
+  if (errors.length) {
+    return sendValidationError(res, errors);
+  }
+
+  try {
+    const id = Number(req.params.id);
+    if (!repo.eqPresets.update(id, req.user.id, data)) {
+      return res.status(404).json({ message: 'Preset no encontrado' });
+    }
+    res.json({ preset: repo.eqPresets.find(id, req.user.id) });
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return sendValidationError(res, nombrePresetTomado, 409, 'Ya tenés un preset con ese nombre');
+    }
+    res.status(500).json({ message: 'Error al guardar el preset' });
+  }
+});
+
+app.delete('/api/eq/presets/:id', authMiddleware, (req, res) => {
+  try {
+    if (!repo.eqPresets.remove(Number(req.params.id), req.user.id)) {
+      return res.status(404).json({ message: 'Preset no encontrado' });
+    }
+    res.json({ message: 'Preset eliminado' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al eliminar el preset' });
+  }
+});
+
+// { context: 'playlist:<id>' o 'curated:<id>', preset: id o null para quitarlo }
+app.put('/api/eq/assignments', authMiddleware, (req, res) => {
+  const { context } = req.body;
+  const preset = req.body.preset ?? null;
+  if (!eqPresets.isContext(context)) {
+    return res.status(400).json({ message: 'Falta la playlist' });
+  }
+  if (preset !== null && !eqPresets.isPresetId(preset)) {
+    return res.status(400).json({ message: 'El preset no es válido' });
+  }
+
+  try {
+    const { playlistId, curatedId } = eqPresets.parseContext(context);
+    const playlist = playlistId && repo.playlists.findById(playlistId);
+    const visible = playlistId
+      ? playlist && (playlist.visibility === 'public' || repo.playlists.role(playlistId, req.user.id))
+      : curated.CURATED.some(p => p.id === curatedId);
+    if (!visible) {
+      return res.status(404).json({ message: 'Playlist no encontrada' });
+    }
+
+    const customId = preset && eqPresets.customId(preset);
+    if (customId && !repo.eqPresets.find(customId, req.user.id)) {
+      return res.status(404).json({ message: 'Preset no encontrado' });
+    }
+    repo.eqPresets.assign(req.user.id, context, preset);
+    res.json({ context, preset });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al asignar el preset' });
+  }
+});
+
+// Estado del reproductor, para continuar en otro dispositivo donde se dejó
+app.get('/api/player/state', authMiddleware, (req, res) => {
+  try {
+    const saved = repo.playerStates.find(req.user.id);
+    res.json(saved || { state: null, device: null, updatedAt: null });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al obtener el estado del reproductor' });
+  }
+});
+
+// { state, device }; responde la fecha de guardado
+app.put('/api/player/state', authMiddleware, (req, res) => {
+  const state = playerState.normalize(req.body.state);
+  if (!state) {
+    return res.status(400).json({ message: 'El estado del reproductor no es válido' });
+  }
+
+  try {
+    const updatedAt = repo.playerStates.save(req.user.id, state, playerState.normalizeDevice(req.body.device));
+    res.json({ updatedAt });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al guardar el estado del reproductor' });
+  }
+});
+
+// Recomendaciones
+app.get('/api/recommendations/daily', authMiddleware, (req, res) => {
+  try {
+    const mix = recommendations.dailyMix(req.user.id);
+    res.json({
+      nombre: 'Para vos',
+      day: mix.day,
+      personalized: mix.personalized,
+      songs: mix.songs.map(catalog.publicSong)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al generar recomendaciones' });
+  }
+});
+
+// Con sesión: recorre el historial de todos los usuarios
+app.get('/api/recommendations/similar/:songId', authMiddleware, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  try {
+    const songs = recommendations.similarTo(req.params.songId, req.user.id, limit);
+    if (!songs) {
+      return res.status(404).json({ message: 'Canción no encontrada' });
+    }
+    res.json({ songs: songs.map(catalog.publicSong) });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al generar recomendaciones' });
+  }
+});
+
+// Búsqueda unificada: hasta `limit` resultados de cada tipo
+app.get('/api/search', optionalAuth, (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+  try {
+    res.json({ q, ...search.search(q, req.user ? req.user.id : null, limit) });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al buscar' });
+  }
+});
+
+// Rutas del chat
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Verifica que el usuario participe de la conversación :id
+const conversationMember = (req, res, next) => {
+  const member = repo.chat.member(req.params.id, req.user.id);
+  if (!member) {
+    return res.status(404).json({ message: 'Conversación no encontrada' });
+  }
+  req.conversationId = member.conversation_id;
+  next();
+};
+
+// Avisa al otro participante hasta dónde llegó/leyó este usuario
+const emitReceipt = (conversationId, member) => {
+  const other = repo.chat.otherMember(conversationId, member.user_id);
+  chat.emit(other.user_id, 'receipt', {
+    conversationId,
+    userId: member.user_id,
+    deliveredId: member.last_delivered_id,
+    readId: member.last_read_id
+  });
+};
+
+app.get('/api/chat/events', authMiddleware, (req, res) => {
+  chat.subscribe(req.user.id, req, res);
+});
+
+app.get('/api/chat/users', authMiddleware, (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) {
+    return res.json({ users: [] });
+  }
+  res.json({ users: repo.users.search(q, req.user.id) });
+});
+
+app.get('/api/chat/conversations', authMiddleware, (req, res) => {
+  try {
+    const conversations = repo.chat.listByUser(req.user.id).map(c => ({
+      ...c,
+      online: chat.isOnline(c.user_id)
+    }));
+    res.json({ conversations });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al obtener conversaciones' });
+  }
+});
+
+app.post('/api/chat/conversations', authMiddleware, (req, res) => {
+  const otherId = Number(req.body.userId);
+  if (!otherId || otherId === req.user.id || !repo.users.findById(otherId)) {
+    return res.status(400).json({ message: 'Usuario inválido' });
+  }
+
+  try {
+    const id = repo.chat.findOrCreateConversation(req.user.id, otherId);
+    const conversation = repo.chat.listByUser(req.user.id).find(c => c.id === id);
+    res.status(201).json({ conversation: { ...conversation, online: chat.isOnline(otherId) } });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al crear la conversación' });
+  }
+});
+
+// Historial paginado hacia atrás: ?before=<id del mensaje más viejo cargado>
+app.get('/api/chat/conversations/:id/messages', authMiddleware, conversationMember, (req, res) => {
+  const before = parseInt(req.query.before, 10) || Number.MAX_SAFE_INTEGER;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 30, 1), 100);
+
+  try {
+    const messages = repo.chat.messages(req.conversationId, before, limit + 1);
+    const hasMore = messages.length > limit;
+    const other = repo.chat.otherMember(req.conversationId, req.user.id);
+
+    res.json({
+      messages: hasMore ? messages.slice(1) : messages,
+      hasMore,
+      receipts: { deliveredId: other.last_delivered_id, readId: other.last_read_id }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al obtener mensajes' });
+  }
+});
+
+app.post('/api/chat/conversations/:id/messages', authMiddleware, conversationMember, (req, res) => {
+  const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+  if (!text || text.length > MAX_MESSAGE_LENGTH) {
+    return res.status(400).json({ message: `El mensaje debe tener entre 1 y ${MAX_MESSAGE_LENGTH} caracteres` });
+  }
+
+  try {
+    const message = repo.chat.addMessage(req.conversationId, req.user.id, text);
+    const other = repo.chat.otherMember(req.conversationId, req.user.id);
+
+    chat.emit(other.user_id, 'message', { message, from: { id: req.user.id, nombre: req.user.nombre } });
+    // Las otras pestañas del mismo usuario también lo muestran
+    chat.emit(req.user.id, 'message', { message });
+
+    res.status(201).json({ message });
+  } catch (err) {
+    res.status(500).json({ message: 'Error al enviar mensaje' });
+  }
+});
+
+app.post('/api/chat/conversations/:id/typing', authMiddleware, conversationMember, (req, res) => {
+  const other = repo.chat.otherMember(req.conversationId, req.user.id);
+  chat.emit(other.user_id, 'typing', {
+    conversationId: req.conversationId,
+    userId: req.user.id,
+    typing: req.body.typing !== false
+  });
+  res.status(204).end();
+});
+
+app.post('/api/chat/conversations/:id/delivered', authMiddleware, conversationMember, (req, res) => {
+  const member = repo.chat.markDelivered(req.conversationId, req.user.id, Number(req.body.messageId) || 0);
+  emitReceipt(req.conversationId, member);
+  res.status(204).end();
+});
+
+app.post('/api/chat/conversations/:id/read', authMiddleware, conversationMember, (req, res) => {
+  const member = repo.chat.markRead(req.conversationId, req.user.id, Number(req.body.messageId) || 0);
+  emitReceipt(req.conversationId, member);
+  res.status(204).end();
+});
+
+// Las pruebas (test/) importan la app sin escanear ni abrir el puerto
+if (require.main === module) {
+  repo.refreshTokens.purgeExpired();
+  repo.accountTokens.purgeExpired();
+
+  catalog.scanLibrary()
+    .then(r => console.log(`Biblioteca: ${r.total} canciones (${r.added} nuevas, ${r.updated} actualizadas, ${r.removed} eliminadas)`))
+    .catch(err => console.error('Error al escanear la biblioteca:', err.message))
+    .then(analyzeLoudness);
+
+  app.listen(PORT, () => {
+    console.log(`Servidor corriendo en puerto ${PORT}`);
+  });
+}
+
+module.exports = app;
\ No newline at end of file
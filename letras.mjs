@@ -0,0 +1,49 @@
+// Lectura de letras, compartida entre el servidor (lyrics.js) y el navegador
+// (canciones guardadas localmente). Es .mjs para que Node la pueda importar
+// desde el servidor, que es CommonJS, y Vite desde el frontend.
+// Una letra es { synced, source, lines: [{ time, text }] }, con time en
+// segundos (null si no está sincronizada).
+
+// [mm:ss], [mm:ss.xx] o [mm:ss:xx]
+const MARCA_TIEMPO = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+// Marcas por palabra del formato LRC extendido: <mm:ss.xx>
+const MARCA_PALABRA = /<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g;
+
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+// Devuelve las líneas ordenadas por tiempo (vacío si el texto no es LRC)
+export function leerLrc(texto) {
+  let desfase = 0;
+  const lineas = [];
+  for (const cruda of texto.split(/\r?\n/)) {
+    const meta = cruda.match(/^\s*\[offset:\s*([+-]?\d+)\s*\]/i);
+    if (meta) {
+      desfase = Number(meta[1]) / 1000;
+      continue;
+    }
+    const tiempos = [...cruda.matchAll(MARCA_TIEMPO)];
+    if (!tiempos.length) continue;
+    // Una línea puede tener varios tiempos ("[00:12.00][01:30.00]estribillo")
+    const limpia = cruda.replace(MARCA_TIEMPO, "").replace(MARCA_PALABRA, "").trim();
+    for (const [, min, seg, fraccion = "0"] of tiempos) {
+      lineas.push({ time: Number(min) * 60 + Number(seg) + Number(`0.${fraccion}`), text: limpia });
+    }
+  }
+  // Un offset positivo adelanta la letra
+  return lineas
+    .map((linea) => ({ time: Math.max(0, redondear(linea.time - desfase)), text: linea.text }))
+    .sort((a, b) => a.time - b.time);
+}
+
+// Letra a partir de un texto que puede o no ser LRC (hay programas que
+// guardan el LRC dentro del tag). null si no hay texto.
+export function letraDeTexto(texto, fuente = "tags") {
+  if (!texto || !texto.trim()) return null;
+  const lineas = leerLrc(texto);
+  if (lineas.length) return { synced: true, source: fuente, lines: lineas };
+  return {
+    synced: false,
+    source: fuente,
+    lines: texto.trim().split(/\r?\n/).map((linea) => ({ time: null, text: linea.trim() })),
+  };
+}
@@ -0,0 +1,128 @@
+const repo = require('./repository');
+
+// Protección contra fuerza bruta en /api/login. Todo vive en memoria del
+// proceso: si el servidor se reinicia los contadores vuelven a cero, pero
+// los intentos fallidos quedan auditados en la tabla login_attempts.
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+// Por IP: máximo de fallos dentro de la ventana, sin importar la cuenta
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 50;
+
+// Por cuenta: a partir de DELAY_AFTER fallos hay que esperar 1, 2, 4... s
+// (hasta MAX_DELAY_MS) entre intentos; con LOCK_AFTER fallos se bloquea.
+const ACCOUNT_DELAY_AFTER = 3;
+const ACCOUNT_MAX_DELAY_MS = 60 * 1000;
+const ACCOUNT_LOCK_AFTER = Number(process.env.LOGIN_LOCK_AFTER) || 10;
+const ACCOUNT_LOCK_MS = (Number(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+
+// Intentos que pueden esperar turno a la vez sobre una misma cuenta (ver serialize)
+const MAX_QUEUED = 5;
+
+const AUDIT_RETENTION_DAYS = 90;
+
+const byIp = new Map();
+const byAccount = new Map();
+
+// Último intento encolado de cada cuenta y cuántos quedan pendientes (ver serialize)
+const queues = new Map();
+
+// Cada entrada guarda los fallos recientes y, si corresponde, hasta cuándo está bloqueada
+const entryFor = (map, key) => {
+  if (!map.has(key)) map.set(key, { failures: [], lockedUntil: 0 });
+  return map.get(key);
+};
+
+const recentFailures = (entry, now) => {
+  entry.failures = entry.failures.filter(t => now - t < WINDOW_MS);
+  return entry.failures;
+};
+
+// Antes de verificar la contraseña. Devuelve { allowed: true } o
+// { allowed: false, retryAfter (segundos), reason }.
+const check = (ip, email, now = Date.now()) => {
+  const ipEntry = byIp.get(ip);
+  if (ipEntry && recentFailures(ipEntry, now).length >= IP_MAX_FAILURES) {
+    const retryAfter = Math.ceil((ipEntry.failures[0] + WINDOW_MS - now) / 1000);
+    return { allowed: false, retryAfter, reason: 'ip_rate_limited' };
+  }
+
+  const account = byAccount.get(email);
+  if (!account) return { allowed: true };
+
+  if (account.lockedUntil > now) {
+    return { allowed: false, retryAfter: Math.ceil((account.lockedUntil - now) / 1000), reason: 'locked' };
+  }
+
+  const failures = recentFailures(account, now);
+  if (failures.length >= ACCOUNT_DELAY_AFTER) {
+    const delay = Math.min(1000 * 2 ** (failures.length - ACCOUNT_DELAY_AFTER), ACCOUNT_MAX_DELAY_MS);
+    const wait = failures[failures.length - 1] + delay - now;
+    if (wait > 0) {
+      return { allowed: false, retryAfter: Math.ceil(wait / 1000), reason: 'too_fast' };
+    }
+  }
+
+  return { allowed: true };
+};
+
+// Corre `attempt` (check + verificación) cuando termina el intento anterior
+// sobre la misma cuenta. Así muchas peticiones en paralelo no pasan el control
+// antes de que se registre el primer fallo, y dos logins legítimos a la vez
+// (dos pestañas, un reintento) esperan su turno en vez de rechazarse.
+// Devuelve null sin correr `attempt` si ya hay MAX_QUEUED esperando: si no,
+// alguien que manda miles de intentos juntos llenaría la memoria con la cola.
+const serialize = (email, attempt) => {
+  const key = email.toLowerCase();
+  if (!queues.has(key)) queues.set(key, { last: Promise.resolve(), pending: 0 });
+  const queue = queues.get(key);
+  if (queue.pending >= MAX_QUEUED) return null;
+
+  queue.pending++;
+  const current = queue.last.then(attempt);
+  const done = current.catch(() => {});
+  queue.last = done;
+  done.then(() => {
+    queue.pending--;
+    if (queue.pending === 0) queues.delete(key);
+  });
+  return current;
+};
+
+const recordFailure = (ip, email, reason, now = Date.now()) => {
+  const ipEntry = entryFor(byIp, ip);
+  recentFailures(ipEntry, now).push(now);
+
+  const account = entryFor(byAccount, email);
+  const failures = recentFailures(account, now);
+  failures.push(now);
+  if (failures.length >= ACCOUNT_LOCK_AFTER) {
+    account.lockedUntil = now + ACCOUNT_LOCK_MS;
+    account.failures = [];
+  }
+
+  repo.loginAttempts.record(email, ip, reason);
+};
+
+// Un intento rechazado por el guard también se audita, pero no suma fallos
+const recordBlocked = (ip, email, reason) => {
+  repo.loginAttempts.record(email, ip, reason);
+};
+
+const recordSuccess = (email) => {
+  byAccount.delete(email);
+};
+
+// Limpia entradas viejas para que los mapas no crezcan sin límite
+const sweep = (now = Date.now()) => {
+  for (const map of [byIp, byAccount]) {
+    for (const [key, entry] of map) {
+      if (entry.lockedUntil <= now && recentFailures(entry, now).length === 0) map.delete(key);
+    }
+  }
+};
+
+setInterval(sweep, WINDOW_MS).unref();
+repo.loginAttempts.purgeOlderThan(AUDIT_RETENTION_DAYS);
+
+module.exports = { check, serialize, recordFailure, recordBlocked, recordSuccess };
@@ -0,0 +1,112 @@
+const path = require('path');
+const { spawn } = require('child_process');
+const repo = require('./repository');
+const catalog = require('./catalog');
+
+// Normalización de volumen al estilo ReplayGain 2.0: se mide la sonoridad
+// integrada (EBU R128) y el pico de cada canción con el filtro ebur128 de
+// ffmpeg, y se guarda la ganancia que la lleva a REFERENCE_LUFS. El
+// reproductor le suma la diferencia con el nivel que elija el usuario.
+// Las canciones que ya traen tags de ReplayGain no se vuelven a medir.
+
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+const REFERENCE_LUFS = -18;
+// ebur128 informa -70 LUFS para el silencio; ahí no tiene sentido una ganancia
+const SILENCE_LUFS = -70;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Devuelve { loudness (LUFS), peak (1 = 0 dBFS) }
+const measure = (file) => new Promise((resolve, reject) => {
+  const proc = spawn(FFMPEG, [
+    '-hide_banner', '-nostats', '-i', file, '-vn',
+    // framelog=verbose deja en el log solo el resumen final
+    '-filter:a', 'ebur128=peak=true:framelog=verbose',
+    '-f', 'null', '-'
+  ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+  let salida = '';
+  proc.stderr.on('data', (chunk) => {
+    salida = (salida + chunk).slice(-8192);
+  });
+  proc.on('error', reject);
+  proc.on('close', (code) => {
+    const resumen = salida.slice(salida.lastIndexOf('Summary:'));
+    const integrated = resumen.match(/I:\s+(-?[\d.]+) LUFS/);
+    const peak = resumen.match(/Peak:\s+(-?[\d.]+|-inf) dBFS/);
+    if (code !== 0 || !integrated) {
+      return reject(new Error(`ffmpeg terminó con código ${code}`));
+    }
+    resolve({
+      loudness: Number(integrated[1]),
+      peak: peak && peak[1] !== '-inf' ? 10 ** (Number(peak[1]) / 20) : 0
+    });
+  });
+});
+
+// La ganancia de álbum sale de la energía promedio de sus canciones (pesada
+// por duración). Un álbum son las canciones con ese nombre en la misma carpeta,
+// para no mezclar dos "Greatest Hits" de artistas distintos.
+const updateAlbum = ({ album, owner_id: ownerId, path: songPath }) => {
+  const carpeta = path.posix.dirname(songPath);
+  const tracks = repo.songs.byAlbum(album, ownerId).filter(t => path.posix.dirname(t.path) === carpeta);
+  const medidas = tracks.filter(t => t.track_gain !== null);
+  if (!medidas.length) return;
+
+  const peso = (t) => t.duration || 1;
+  const energia = medidas.reduce((total, t) => total + peso(t) * 10 ** ((REFERENCE_LUFS - t.track_gain) / 10), 0)
+    / medidas.reduce((total, t) => total + peso(t), 0);
+  const gain = round(REFERENCE_LUFS - 10 * Math.log10(energia));
+  const peak = Math.max(...medidas.map(t => t.track_peak || 0));
+  repo.songs.setAlbumLoudness(tracks.map(t => t.id), gain, peak);
+};
+
+let analyzing = null;
+
+// Analiza de a una las canciones pendientes (nuevas o modificadas) y después
+// recalcula sus álbumes. Si ya hay un análisis en curso devuelve ese.
+const analyzePending = () => {
+  if (analyzing) return analyzing;
+
+  analyzing = (async () => {
+    const resumen = { analyzed: 0, failed: 0 };
+    const albums = new Map();
+    let pendientes;
+    let sinFfmpeg = false;
+    // Lo que se suba o escanee mientras tanto entra en la vuelta siguiente
+    while (!sinFfmpeg && (pendientes = repo.songs.pendingLoudness()).length > 0) {
+      for (const song of pendientes) {
+        if (song.track_gain !== null) {
+          // Vino de los tags al escanear
+          repo.songs.setLoudness(song.id, song.track_gain, song.track_peak);
+        } else {
+          try {
+            const { loudness, peak } = await measure(path.join(catalog.rootFor(song), song.path));
+            repo.songs.setLoudness(song.id, loudness > SILENCE_LUFS ? round(REFERENCE_LUFS - loudness) : null, peak);
+            resumen.analyzed++;
+          } catch (err) {
+            if (err.code === 'ENOENT') {
+              // Sin ffmpeg no se puede medir nada; quedan pendientes para cuando esté
+              console.warn(`No se encontró ffmpeg (${FFMPEG}): no se analiza el volumen de las canciones`);
+              sinFfmpeg = true;
+              break;
+            }
+            console.warn(`No se pudo analizar el volumen de ${song.path}: ${err.message}`);
+            repo.songs.setLoudness(song.id, null, null);
+            resumen.failed++;
+          }
+        }
+        if (song.album) albums.set(`${song.owner_id}|${path.posix.dirname(song.path)}|${song.album}`, song);
+      }
+    }
+
+    for (const song of albums.values()) updateAlbum(song);
+    return resumen;
+  })().finally(() => {
+    analyzing = null;
+  });
+
+  return analyzing;
+};
+
+module.exports = { REFERENCE_LUFS, analyzePending };
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const mm = require('music-metadata');
+const catalog = require('./catalog');
+const { decode } = require('./playlistFiles');
+
+// Letras de canciones: un .lrc con el mismo nombre al lado del archivo
+// (sincronizada) o la letra de los tags (USLT en ID3, LYRICS en Vorbis, ©lyr
+// en MP4). Se busca en cada pedido, así un .lrc agregado después aparece sin
+// volver a escanear.
+// Devuelve { synced, source: 'lrc' | 'tags', lines: [{ time, text }] }, con
+// time en segundos (null si no está sincronizada).
+
+const LYRICS_TAGS = ['USLT', 'ULT', 'LYRICS', 'UNSYNCEDLYRICS', '©LYR'];
+
+// El parser de LRC es el mismo que usa el frontend (letras.mjs, que es ESM)
+const letras = import('./letras.mjs');
+
+const lyricsFromTags = async (file) => {
+  let parsed;
+  try {
+    parsed = await mm.parseFile(file, { skipCovers: true, duration: false });
+  } catch {
+    return null;
+  }
+  for (const tags of Object.values(parsed.native)) {
+    const tag = tags.find(t => LYRICS_TAGS.includes(t.id.toUpperCase()));
+    if (!tag) continue;
+    const value = typeof tag.value === 'string' ? tag.value : tag.value && tag.value.text;
+    if (value && value.trim()) return value;
+  }
+  return null;
+};
+
+const readLrc = async (file) => {
+  try {
+    return decode(await fs.promises.readFile(file));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+};
+
+const findLyrics = async (song) => {
+  const { leerLrc, letraDeTexto } = await letras;
+  const file = path.join(catalog.rootFor(song), song.path);
+  const base = file.slice(0, file.length - path.extname(file).length);
+
+  for (const ext of ['.lrc', '.LRC']) {
+    const text = await readLrc(base + ext);
+    const lines = text ? leerLrc(text) : [];
+    if (lines.length) return { synced: true, source: 'lrc', lines };
+  }
+
+  return letraDeTexto(await lyricsFromTags(file), 'tags');
+};
+
+module.exports = { findLyrics };
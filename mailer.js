@@ -0,0 +1,64 @@
+const nodemailer = require('nodemailer');
+
+// Envío de emails. MAIL_TRANSPORT elige el destino:
+//   console (por defecto) -> se imprime en la consola del servidor, útil en desarrollo
+//   smtp                  -> se envía por SMTP_HOST/SMTP_PORT (por ejemplo, un MailHog local)
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'Miunave <no-reply@miunave.local>';
+
+// URL del frontend para armar los enlaces de los emails
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+const transports = {
+  console: () => ({
+    sendMail: async ({ to, subject, text }) => {
+      console.log(`\n--- Email para ${to} ---\nAsunto: ${subject}\n\n${text}\n--- Fin del email ---\n`);
+    }
+  }),
+
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  })
+};
+
+if (!transports[MAIL_TRANSPORT]) {
+  throw new Error(`MAIL_TRANSPORT desconocido: ${MAIL_TRANSPORT}`);
+}
+
+const transport = transports[MAIL_TRANSPORT]();
+
+const send = ({ to, subject, text }) => transport.sendMail({ from: MAIL_FROM, to, subject, text });
+
+const link = (param, token) => `${APP_URL}/?${param}=${encodeURIComponent(token)}`;
+
+const sendPasswordReset = (user, token, ttlMinutes) => send({
+  to: user.email,
+  subject: 'Recuperá tu contraseña de Miunave',
+  text: [
+    `Hola ${user.nombre},`,
+    '',
+    'Pediste cambiar tu contraseña. Entrá a este enlace para elegir una nueva:',
+    link('reset', token),
+    '',
+    `El enlace vence en ${ttlMinutes} minutos y sirve una sola vez.`,
+    'Si no fuiste vos, ignorá este email: tu contraseña no cambió.'
+  ].join('\n')
+});
+
+const sendEmailVerification = (user, token) => send({
+  to: user.email,
+  subject: 'Confirmá tu email en Miunave',
+  text: [
+    `Hola ${user.nombre},`,
+    '',
+    'Confirmá tu dirección de email entrando a este enlace:',
+    link('verificar', token)
+  ].join('\n')
+});
+
+module.exports = { sendPasswordReset, sendEmailVerification };
@@ -0,0 +1,332 @@
+// Migraciones del esquema, en orden. Cada una se aplica una sola vez y su
+// número queda guardado en PRAGMA user_version. Nunca editar una migración
+// ya publicada: agregar una nueva al final.
+module.exports = [
+  {
+    version: 1,
+    name: 'esquema inicial',
+    up: `
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        nombre TEXT NOT NULL,
+        email TEXT NOT NULL UNIQUE,
+        password TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS playlists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        nombre TEXT NOT NULL,
+        user_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS playlist_songs (
+        playlist_id INTEGER NOT NULL,
+        song_path TEXT NOT NULL,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(playlist_id) REFERENCES playlists(id) ON DELETE CASCADE,
+        PRIMARY KEY(playlist_id, song_path)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_playlists_user ON playlists(user_id);
+    `
+  },
+  {
+    version: 2,
+    name: 'refresh tokens',
+    up: `
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        family TEXT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family);
+    `
+  },
+  {
+    version: 3,
+    name: 'orden de canciones en playlists',
+    up: `
+      ALTER TABLE playlist_songs ADD COLUMN position INTEGER NOT NULL DEFAULT 0;
+
+      UPDATE playlist_songs SET position = (
+        SELECT COUNT(*) FROM playlist_songs prev
+        WHERE prev.playlist_id = playlist_songs.playlist_id
+          AND (prev.added_at < playlist_songs.added_at
+            OR (prev.added_at = playlist_songs.added_at AND prev.rowid < playlist_songs.rowid))
+      );
+    `
+  },
+  {
+    version: 4,
+    name: 'catálogo de canciones',
+    up: `
+      CREATE TABLE IF NOT EXISTS songs (
+        id TEXT PRIMARY KEY,
+        path TEXT NOT NULL UNIQUE,
+        title TEXT NOT NULL,
+        artist TEXT,
+        album TEXT,
+        year INTEGER,
+        genre TEXT,
+        duration REAL,
+        has_cover INTEGER NOT NULL DEFAULT 0,
+        file_size INTEGER NOT NULL,
+        file_mtime INTEGER NOT NULL,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS song_covers (
+        song_id TEXT PRIMARY KEY,
+        mime TEXT NOT NULL,
+        data BLOB NOT NULL,
+        FOREIGN KEY(song_id) REFERENCES songs(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_songs_artist ON songs(artist);
+    `
+  },
+  {
+    version: 5,
+    name: 'canciones subidas por usuarios',
+    up: `
+      ALTER TABLE songs ADD COLUMN owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+
+      CREATE INDEX IF NOT EXISTS idx_songs_owner ON songs(owner_id);
+    `
+  },
+  {
+    version: 6,
+    name: 'chats',
+    up: `
+      CREATE TABLE IF NOT EXISTS conversations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        pair_key TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS conversation_members (
+        conversation_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        last_delivered_id INTEGER NOT NULL DEFAULT 0,
+        last_read_id INTEGER NOT NULL DEFAULT 0,
+        FOREIGN KEY(conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+        PRIMARY KEY(conversation_id, user_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL,
+        sender_id INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+        FOREIGN KEY(sender_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_members_user ON conversation_members(user_id);
+      CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, id);
+    `
+  },
+  {
+    version: 7,
+    name: 'auditoría de intentos de login',
+    up: `
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT NOT NULL,
+        ip TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email, created_at);
+    `
+  },
+  {
+    version: 8,
+    name: 'verificación de email y tokens de cuenta',
+    up: `
+      ALTER TABLE users ADD COLUMN email_verified_at DATETIME;
+
+      -- Tokens de un solo uso para recuperar contraseña y verificar email.
+      -- Como con los refresh tokens, solo se guarda el hash.
+      CREATE TABLE IF NOT EXISTS account_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        purpose TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_account_tokens_user ON account_tokens(user_id, purpose);
+    `
+  },
+  {
+    version: 9,
+    name: 'historial de reproducción',
+    up: `
+      -- Sin clave foránea a songs: si una canción sale del catálogo y vuelve
+      -- (mismo id), su historial se conserva; las consultas solo muestran las que existen.
+      CREATE TABLE IF NOT EXISTS play_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        song_id TEXT NOT NULL,
+        started_at DATETIME NOT NULL,
+        listened_seconds REAL NOT NULL DEFAULT 0,
+        skipped INTEGER NOT NULL DEFAULT 0,
+        context TEXT,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_play_history_user ON play_history(user_id, started_at);
+    `
+  },
+  {
+    version: 10,
+    name: 'playlists compartidas',
+    up: `
+      -- private: solo dueño y colaboradores; unlisted: también quien tenga un
+      -- enlace para compartir; public: además aparece en el listado público
+      ALTER TABLE playlists ADD COLUMN visibility TEXT NOT NULL DEFAULT 'private';
+
+      ALTER TABLE playlist_songs ADD COLUMN added_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+      UPDATE playlist_songs SET added_by = (
+        SELECT user_id FROM playlists WHERE playlists.id = playlist_songs.playlist_id
+      );
+
+      CREATE TABLE IF NOT EXISTS playlist_collaborators (
+        playlist_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY(playlist_id, user_id),
+        FOREIGN KEY(playlist_id) REFERENCES playlists(id) ON DELETE CASCADE,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS playlist_shares (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        playlist_id INTEGER NOT NULL,
+        token TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        revoked_at DATETIME,
+        FOREIGN KEY(playlist_id) REFERENCES playlists(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_collaborators_user ON playlist_collaborators(user_id);
+      CREATE INDEX IF NOT EXISTS idx_playlists_visibility ON playlists(visibility);
+    `
+  },
+  {
+    version: 11,
+    name: 'estado del reproductor',
+    up: `
+      -- Un estado por usuario (el último dispositivo que guardó gana).
+      -- state es JSON: cola, segundo, volumen y ajustes (ver playerState.js)
+      CREATE TABLE IF NOT EXISTS player_states (
+        user_id INTEGER PRIMARY KEY,
+        state TEXT NOT NULL,
+        device TEXT,
+        updated_at DATETIME NOT NULL,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+    `
+  },
+  {
+    version: 12,
+    name: 'presets del ecualizador',
+    up: `
+      -- gains es un JSON con la ganancia en dB de cada una de las 10 bandas
+      CREATE TABLE IF NOT EXISTS eq_presets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        nombre TEXT NOT NULL,
+        preamp REAL NOT NULL DEFAULT 0,
+        gains TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, nombre),
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      -- Preset que usa cada usuario al escuchar una playlist. context es el
+      -- nombre de la playlist, como en play_history; preset es el id de uno
+      -- predefinido ('rock') o 'custom:<id>' para los de eq_presets
+      CREATE TABLE IF NOT EXISTS eq_assignments (
+        user_id INTEGER NOT NULL,
+        context TEXT NOT NULL,
+        preset TEXT NOT NULL,
+        PRIMARY KEY(user_id, context),
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+    `
+  },
+  {
+    version: 13,
+    name: 'normalización de volumen',
+    up: `
+      -- Ganancias en dB para llevar la canción (o su álbum) a -18 LUFS y picos
+      -- como fracción de la escala completa (1 = 0 dBFS); NULL si no se midió.
+      -- loudness_checked queda en 0 hasta que se analiza (ver loudness.js)
+      ALTER TABLE songs ADD COLUMN track_gain REAL;
+      ALTER TABLE songs ADD COLUMN track_peak REAL;
+      ALTER TABLE songs ADD COLUMN album_gain REAL;
+      ALTER TABLE songs ADD COLUMN album_peak REAL;
+      ALTER TABLE songs ADD COLUMN loudness_checked INTEGER NOT NULL DEFAULT 0;
+
+      CREATE INDEX IF NOT EXISTS idx_songs_loudness_pending ON songs(loudness_checked) WHERE loudness_checked = 0;
+    `
+  },
+  {
+    version: 14,
+    name: 'presets de ecualizador por id de playlist',
+    up: `
+      -- context pasa de ser el nombre de la playlist a 'playlist:<id>' o
+      -- 'curated:<id>' (ver eqPresets.js). Se traducen los nombres de
+      -- playlists propias y destacadas (las de curated.js al escribir esta
+      -- migración); el resto no se puede identificar.
+      DELETE FROM eq_assignments
+      WHERE NOT EXISTS (SELECT 1 FROM playlists p WHERE p.user_id = eq_assignments.user_id AND p.nombre = eq_assignments.context)
+        AND context NOT IN (
+          'Rock Clásico', 'Pop Hits', 'Rock Nacional', 'Trap Argentino',
+          'Reggaetón Viejo', 'Rap 90s', 'Cumbia', 'Heavy Metal Clasicos'
+        );
+
+      UPDATE OR IGNORE eq_assignments SET context = COALESCE(
+        'playlist:' || (SELECT MIN(p.id) FROM playlists p WHERE p.user_id = eq_assignments.user_id AND p.nombre = eq_assignments.context),
+        CASE context
+          WHEN 'Rock Clásico' THEN 'curated:rock-clasico'
+          WHEN 'Pop Hits' THEN 'curated:pop-hits'
+          WHEN 'Rock Nacional' THEN 'curated:rock-nacional'
+          WHEN 'Trap Argentino' THEN 'curated:trap-argentino'
+          WHEN 'Reggaetón Viejo' THEN 'curated:reggaeton-viejo'
+          WHEN 'Rap 90s' THEN 'curated:rap-90s'
+          WHEN 'Cumbia' THEN 'curated:cumbia'
+          WHEN 'Heavy Metal Clasicos' THEN 'curated:heavy-metal-clasicos'
+        END
+      );
+      -- Las que chocaron con una ya traducida
+      DELETE FROM eq_assignments WHERE context NOT GLOB 'playlist:*' AND context NOT GLOB 'curated:*';
+    `
+  },
+  {
+    version: 15,
+    name: 'índices para canciones similares',
+    up: `
+      -- Reproducciones y playlists de una canción (ver recommendations.js)
+      CREATE INDEX IF NOT EXISTS idx_play_history_song ON play_history(song_id, started_at);
+      CREATE INDEX IF NOT EXISTS idx_playlist_songs_path ON playlist_songs(song_path);
+    `
+  }
+];
@@ -0,0 +1,115 @@
+// Estado del reproductor que el frontend guarda para retomar en otro
+// dispositivo. Se normaliza antes de guardarlo para no aceptar cualquier JSON:
+//   queue:    { source: { name, context, songIds } | null, sourceIndex,
+//               current, upcoming: [], history: [] }
+//             donde cada entrada es { songId, index, manual } y context
+//             identifica la playlist para el ecualizador (ver eqPresets.js)
+//   position: segundo de la canción actual
+//   volume (0 a 1), shuffle, repeat, crossfade (segundos), eq: { preamp, <Hz>: dB }
+//   loudness: { enabled, mode: 'track' | 'album', target (LUFS) }
+
+const eqPresets = require('./eqPresets');
+
+// Con estos topes el cuerpo entra en el límite de 100 KB de express.json
+const MAX_SOURCE_SONGS = 2000;
+const MAX_QUEUE = 500;
+const MAX_HISTORY = 100;
+const MAX_NAME_LENGTH = 200;
+const MAX_DEVICE_LENGTH = 100;
+const MAX_CROSSFADE_SECONDS = 12;
+const MIN_TARGET_LUFS = -30;
+const MAX_TARGET_LUFS = -5;
+const DEFAULT_LOUDNESS = { enabled: true, mode: 'track', target: -14 };
+
+const SONG_ID_RE = /^[0-9a-f]{16}$/;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Devuelve la entrada normalizada o null si no sirve
+const normalizeEntry = (entry) => {
+  if (!isObject(entry) || typeof entry.songId !== 'string' || !SONG_ID_RE.test(entry.songId)) return null;
+  return {
+    songId: entry.songId,
+    index: Number.isInteger(entry.index) && entry.index >= 0 ? entry.index : null,
+    manual: Boolean(entry.manual)
+  };
+};
+
+const normalizeEntries = (list) => list.map(normalizeEntry).filter(Boolean);
+
+const asArray = (value) => (Array.isArray(value) ? value : []);
+
+const normalizeQueue = (queue) => {
+  if (!isObject(queue)) return null;
+  const { source } = queue;
+  const validSource = isObject(source)
+    && typeof source.name === 'string'
+    && Array.isArray(source.songIds)
+    && source.songIds.length <= MAX_SOURCE_SONGS
+    && source.songIds.every(id => typeof id === 'string' && SONG_ID_RE.test(id));
+
+  return {
+    source: validSource
+      ? {
+        name: source.name.trim().slice(0, MAX_NAME_LENGTH),
+        context: eqPresets.isContext(source.context) ? source.context : null,
+        songIds: source.songIds
+      }
+      : null,
+    sourceIndex: Number.isInteger(queue.sourceIndex) ? queue.sourceIndex : -1,
+    current: normalizeEntry(queue.current),
+    upcoming: normalizeEntries(asArray(queue.upcoming).slice(0, MAX_QUEUE)),
+    // Del historial solo importa lo más reciente
+    history: normalizeEntries(asArray(queue.history).slice(-MAX_HISTORY))
+  };
+};
+
+// Solo el preamp y las bandas del ecualizador, dentro de su rango
+const EQ_KEYS = ['preamp', ...eqPresets.FREQUENCIES.map(String)];
+
+const normalizeEq = (eq) => {
+  if (!isObject(eq)) return {};
+  return Object.fromEntries(
+    EQ_KEYS
+      .filter(key => typeof eq[key] === 'number' && Number.isFinite(eq[key]))
+      .map(key => [key, clamp(eq[key], -eqPresets.MAX_GAIN_DB, eqPresets.MAX_GAIN_DB)])
+  );
+};
+
+const normalizeLoudness = (loudness) => {
+  if (!isObject(loudness)) return DEFAULT_LOUDNESS;
+  const target = Number(loudness.target);
+  return {
+    enabled: Boolean(loudness.enabled),
+    mode: loudness.mode === 'album' ? 'album' : 'track',
+    target: Number.isFinite(target) ? clamp(target, MIN_TARGET_LUFS, MAX_TARGET_LUFS) : DEFAULT_LOUDNESS.target
+  };
+};
+
+// Devuelve el estado normalizado, o null si no tiene la forma esperada
+const normalize = (state) => {
+  if (!isObject(state)) return null;
+  const queue = normalizeQueue(state.queue);
+  if (!queue) return null;
+
+  const position = Number(state.position);
+  const volume = Number(state.volume);
+  const crossfade = Number(state.crossfade);
+  return {
+    queue,
+    position: Number.isFinite(position) && position > 0 ? position : 0,
+    volume: Number.isFinite(volume) ? clamp(volume, 0, 1) : 1,
+    shuffle: Boolean(state.shuffle),
+    repeat: Boolean(state.repeat),
+    crossfade: Number.isFinite(crossfade) ? clamp(Math.round(crossfade), 0, MAX_CROSSFADE_SECONDS) : 0,
+    eq: normalizeEq(state.eq),
+    loudness: normalizeLoudness(state.loudness)
+  };
+};
+
+const normalizeDevice = (device) =>
+  (typeof device === 'string' && device.trim() ? device.trim().slice(0, MAX_DEVICE_LENGTH) : null);
+
+module.exports = { MAX_SOURCE_SONGS, MAX_QUEUE, normalize, normalizeDevice };
@@ -0,0 +1,276 @@
+const path = require('path');
+const repo = require('./repository');
+const catalog = require('./catalog');
+
+// Importar y exportar playlists como M3U/M3U8, PLS y XSPF.
+// Un "track" es { location, title, artist, album, duration } con los campos
+// que traiga el archivo (location es una URL o una ruta tal cual).
+
+// Todo se escribe en UTF-8, también el .m3u: en Latin-1 se perderían los
+// nombres con caracteres que no entran (japonés, emojis...). Al importar se
+// aceptan los dos (ver decode).
+const FORMATS = {
+  m3u: { contentType: 'audio/x-mpegurl' },
+  m3u8: { contentType: 'application/vnd.apple.mpegurl' },
+  pls: { contentType: 'audio/x-scpls' },
+  xspf: { contentType: 'application/xspf+xml' }
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeXml = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+const displayName = (track) => [track.artist, track.title].filter(Boolean).join(' - ');
+
+// Los formatos de lista usan -1 para "duración desconocida"
+const seconds = (track) => (track.duration ? Math.round(track.duration) : -1);
+
+const serializers = {
+  m3u: (nombre, tracks) => [
+    '#EXTM3U',
+    `#PLAYLIST:${nombre}`,
+    ...tracks.flatMap(t => [`#EXTINF:${seconds(t)},${displayName(t)}`, t.location])
+  ].join('\n') + '\n',
+
+  pls: (nombre, tracks) => [
+    '[playlist]',
+    ...tracks.flatMap((t, i) => [
+      `File${i + 1}=${t.location}`,
+      `Title${i + 1}=${displayName(t)}`,
+      `Length${i + 1}=${seconds(t)}`
+    ]),
+    `NumberOfEntries=${tracks.length}`,
+    'Version=2'
+  ].join('\n') + '\n',
+
+  xspf: (nombre, tracks) => {
+    const campo = (tag, value) => (value ? `      <${tag}>${escapeXml(value)}</${tag}>\n` : '');
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+      + '<playlist version="1" xmlns="http://xspf.org/ns/0/">\n'
+      + `  <title>${escapeXml(nombre)}</title>\n`
+      + '  <trackList>\n'
+      + tracks.map(t => '    <track>\n'
+        + campo('location', t.location)
+        + campo('title', t.title)
+        + campo('creator', t.artist)
+        + campo('album', t.album)
+        + (t.duration ? `      <duration>${Math.round(t.duration * 1000)}</duration>\n` : '')
+        + '    </track>\n').join('')
+      + '  </trackList>\n'
+      + '</playlist>\n';
+  }
+};
+serializers.m3u8 = serializers.m3u;
+
+// Devuelve { body (Buffer), contentType, filename }
+const serialize = (format, nombre, tracks) => {
+  const { contentType } = FORMATS[format];
+  const filename = `${nombre.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'playlist'}.${format}`;
+  return { body: Buffer.from(serializers[format](nombre, tracks), 'utf8'), contentType, filename };
+};
+
+// "Artista - Título" de #EXTINF o TitleN=, como los nombres de archivo
+const splitDisplayName = (text) => {
+  const partes = text.split(' - ').map(p => p.trim()).filter(Boolean);
+  return partes.length >= 2
+    ? { artist: partes[0], title: partes.slice(1).join(' - ') }
+    : { artist: null, title: text.trim() || null };
+};
+
+const parseDuration = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+const parseM3u = (text) => {
+  const tracks = [];
+  let nombre = null;
+  let info = {};
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    const titulo = line.match(/^#PLAYLIST:(.*)$/i);
+    if (titulo) {
+      nombre = titulo[1].trim() || null;
+      continue;
+    }
+    const extinf = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+    if (extinf) {
+      info = { duration: parseDuration(extinf[1]), ...splitDisplayName(extinf[2]) };
+    } else if (!line.startsWith('#')) {
+      tracks.push({ location: line, ...info });
+      info = {};
+    }
+  }
+  return { nombre, tracks };
+};
+
+const parsePls = (text) => {
+  const entries = new Map();
+  for (const raw of text.split(/\r?\n/)) {
+    const m = raw.trim().match(/^(File|Title|Length)(\d+)\s*=\s*(.*)$/i);
+    if (!m) continue;
+    const n = Number(m[2]);
+    if (!entries.has(n)) entries.set(n, {});
+    entries.get(n)[m[1].toLowerCase()] = m[3];
+  }
+  const tracks = [...entries.keys()].sort((a, b) => a - b)
+    .map(n => entries.get(n))
+    .filter(e => e.file)
+    .map(e => ({
+      location: e.file,
+      duration: parseDuration(e.length),
+      ...(e.title ? splitDisplayName(e.title) : {})
+    }));
+  return { tracks };
+};
+
+const parseXspf = (text) => {
+  const tag = (block, name) => {
+    const m = block.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+    return m ? unescapeXml(m[1]).trim() || null : null;
+  };
+  const trackList = text.match(/<trackList[^>]*>([\s\S]*)<\/trackList>/i);
+  const cabecera = trackList ? text.slice(0, trackList.index) : text;
+  const tracks = (trackList ? trackList[1].match(/<track[\s>][\s\S]*?<\/track>/gi) || [] : [])
+    .map(block => {
+      const ms = parseDuration(tag(block, 'duration'));
+      return {
+        location: tag(block, 'location'),
+        title: tag(block, 'title'),
+        artist: tag(block, 'creator'),
+        album: tag(block, 'album'),
+        duration: ms ? ms / 1000 : null
+      };
+    });
+  return { nombre: tag(cabecera, 'title'), tracks };
+};
+
+// Detecta el formato por el contenido y, si no alcanza, por la extensión.
+// Devuelve { format, nombre, tracks } o null si no se reconoce.
+const parse = (text, filename = '') => {
+  const content = text.replace(/^\uFEFF/, '');
+  const ext = path.extname(filename).slice(1).toLowerCase();
+  const inicio = content.trimStart().slice(0, 200);
+
+  let format = null;
+  if (/^<\?xml|^<playlist/i.test(inicio) || ext === 'xspf') format = 'xspf';
+  else if (/^\[playlist\]/i.test(inicio) || ext === 'pls') format = 'pls';
+  else if (/^#EXTM3U/i.test(inicio) || ext === 'm3u' || ext === 'm3u8') format = ext === 'm3u8' ? 'm3u8' : 'm3u';
+  if (!format) return null;
+
+  const parsed = format === 'xspf' ? parseXspf(content) : format === 'pls' ? parsePls(content) : parseM3u(content);
+  return { format, nombre: parsed.nombre || null, tracks: parsed.tracks };
+};
+
+// M3U "clásico" suele venir en Latin-1; si no es UTF-8 válido se lee así
+const decode = (buffer) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return buffer.toString('latin1');
+  }
+};
+
+// Para comparar nombres: sin acentos, mayúsculas, espacios ni signos ("AC/DC" = "ACDC")
+const normalize = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '');
+
+// Ruta de la ubicación sin esquema, en minúsculas y con barras normales
+const locationPath = (location) => {
+  let ruta = location.replace(/\\/g, '/');
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(ruta)) {
+    try {
+      ruta = new URL(ruta).pathname;
+    } catch {
+      // se usa tal cual
+    }
+  }
+  try {
+    ruta = decodeURIComponent(ruta);
+  } catch {
+    // tenía un % suelto
+  }
+  return ruta.toLowerCase();
+};
+
+// Busca cada track en el catálogo visible para el usuario: primero por
+// ubicación (URL de stream, ruta pública o ruta relativa del archivo) y si no
+// por artista y título. Devuelve los tracks con `song` (o null) en el mismo orden.
+const matchTracks = (tracks, userId) => {
+  const songs = repo.songs.visibleTo(userId);
+  const byId = new Map(songs.map(s => [s.id, s]));
+  const byBasename = new Map();
+  const byArtistTitle = new Map();
+  const byTitle = new Map();
+
+  for (const song of songs) {
+    const base = path.posix.basename(song.path).toLowerCase();
+    if (!byBasename.has(base)) byBasename.set(base, []);
+    byBasename.get(base).push(song);
+    byArtistTitle.set(`${normalize(song.artist)}|${normalize(song.title)}`, song);
+    const titulo = normalize(song.title);
+    byTitle.set(titulo, byTitle.has(titulo) ? null : song);
+  }
+
+  const porUbicacion = (location) => {
+    if (!location) return null;
+    const stream = location.match(/\/api\/stream\/([0-9a-f]{16})/i);
+    if (stream && byId.has(stream[1])) return byId.get(stream[1]);
+
+    const ruta = locationPath(location);
+    const candidatas = byBasename.get(path.posix.basename(ruta)) || [];
+    // La ruta más larga que coincida como sufijo gana (evita confundir
+    // dos archivos con el mismo nombre en carpetas distintas)
+    return candidatas
+      .filter(s => ruta === catalog.publicPath(s).toLowerCase() || ruta.endsWith(`/${s.path.toLowerCase()}`) || ruta === s.path.toLowerCase())
+      .sort((a, b) => b.path.length - a.path.length)[0]
+      || (candidatas.length === 1 ? candidatas[0] : null);
+  };
+
+  const porNombre = (track) => {
+    let { artist, title } = track;
+    if (!title && track.location) {
+      ({ artist, title } = catalog.metadataFromFilename(locationPath(track.location)));
+    }
+    if (!title) return null;
+    return byArtistTitle.get(`${normalize(artist)}|${normalize(title)}`)
+      // Sin artista solo sirve si el título es único en el catálogo
+      || (!artist ? byTitle.get(normalize(title)) || null : null);
+  };
+
+  return tracks.map(track => ({ ...track, song: porUbicacion(track.location) || porNombre(track) || null }));
+};
+
+// Tracks para exportar a partir de canciones del catálogo
+const tracksFromSongs = (songs, baseUrl) => songs.map(song => ({
+  location: `${baseUrl}/api/stream/${song.id}`,
+  title: song.title,
+  artist: song.artist,
+  album: song.album,
+  duration: song.duration
+}));
+
+module.exports = {
+  FORMATS: Object.keys(FORMATS),
+  serialize,
+  parse,
+  decode,
+  matchTracks,
+  tracksFromSongs
+};
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const repo = require('./repository');
+const catalog = require('./catalog');
+
+// Recomendaciones "Para vos". Se calculan en memoria a partir del historial,
+// los salteos y las playlists: el catálogo es chico y así no hace falta
+// mantener tablas de puntajes al día.
+
+const HISTORY_DAYS = 90;
+// Una reproducción de hace un mes pesa la mitad que una de hoy
+const HALF_LIFE_DAYS = 30;
+const POPULAR_DAYS = 30;
+
+const MIX_SIZE = 25;
+const MAX_PER_ARTIST = 3;
+
+const WEIGHTS = {
+  play: 1,
+  skip: -1.5,
+  playlist: 2
+};
+
+const normalize = (value) => (value || '').trim().toLowerCase();
+
+const decay = (ageDays) => 0.5 ** (Math.max(ageDays, 0) / HALF_LIFE_DAYS);
+
+const addTo = (map, key, value) => {
+  if (key) map.set(key, (map.get(key) || 0) + value);
+};
+
+// Generador pseudoaleatorio con semilla (mulberry32): el mismo usuario ve el
+// mismo mix durante todo el día
+const seededRandom = (seedText) => {
+  let seed = crypto.createHash('sha256').update(seedText).digest().readUInt32LE(0);
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const loadCatalog = (userId) => {
+  const songs = repo.songs.visibleTo(userId);
+  return {
+    songs,
+    byId: new Map(songs.map(s => [s.id, s])),
+    byPath: new Map(songs.map(s => [catalog.publicPath(s), s]))
+  };
+};
+
+const popularity = () =>
+  new Map(repo.recommendations.popular(POPULAR_DAYS).map(r => [r.song_id, r.plays]));
+
+// Afinidad del usuario por cada canción, artista y género. Escuchar suma,
+// saltear resta y tener la canción en una playlist suma más.
+const userProfile = (userId, { byId, byPath }) => {
+  const profile = { song: new Map(), artist: new Map(), genre: new Map(), signals: 0 };
+
+  const addSong = (song, value) => {
+    addTo(profile.song, song.id, value);
+    addTo(profile.artist, normalize(song.artist), value);
+    addTo(profile.genre, normalize(song.genre), value);
+    profile.signals++;
+  };
+
+  for (const play of repo.recommendations.userPlays(userId, HISTORY_DAYS)) {
+    const song = byId.get(play.song_id);
+    if (song) addSong(song, (play.skipped ? WEIGHTS.skip : WEIGHTS.play) * decay(play.age_days));
+  }
+  for (const songPath of repo.recommendations.userPlaylistPaths(userId)) {
+    const song = byPath.get(songPath);
+    if (song) addSong(song, WEIGHTS.playlist);
+  }
+
+  return profile;
+};
+
+// Elige `size` canciones al azar con probabilidad proporcional al peso
+// (Efraimidis-Spirakis), sin repetir y con un tope por artista
+const weightedSample = (candidates, size, random) => {
+  const keyed = candidates
+    .map(c => ({ ...c, key: random() ** (1 / c.weight) }))
+    .sort((a, b) => b.key - a.key);
+
+  const porArtista = new Map();
+  const elegidas = [];
+  for (const { song } of keyed) {
+    const artist = normalize(song.artist) || song.id;
+    if ((porArtista.get(artist) || 0) >= MAX_PER_ARTIST) continue;
+    porArtista.set(artist, (porArtista.get(artist) || 0) + 1);
+    elegidas.push(song);
+    if (elegidas.length === size) break;
+  }
+  return elegidas;
+};
+
+const buildDailyMix = (userId, day) => {
+  const library = loadCatalog(userId);
+  const profile = userProfile(userId, library);
+  const popular = popularity();
+  const random = seededRandom(`${userId}:${day}`);
+
+  // Sin historial ni playlists: lo más escuchado por todos, y si no alcanza, al azar
+  const personalized = profile.signals > 0;
+
+  const candidates = library.songs
+    .filter(song => (profile.song.get(song.id) || 0) >= 0)
+    .map(song => {
+      const afinidad = (profile.artist.get(normalize(song.artist)) || 0)
+        + 0.5 * (profile.genre.get(normalize(song.genre)) || 0)
+        + 0.5 * (profile.song.get(song.id) || 0);
+      const weight = Math.max(afinidad, 0) + 0.1 * Math.log1p(popular.get(song.id) || 0);
+      // Un peso mínimo deja lugar para descubrir canciones sin relación
+      return { song, weight: weight + 0.01 };
+    });
+
+  return {
+    personalized,
+    songs: weightedSample(candidates, MIX_SIZE, random)
+  };
+};
+
+// El mix se arma una vez por usuario y por día (UTC). Vive en memoria: si el
+// servidor se reinicia se vuelve a calcular con el historial de ese momento.
+const dailyMixes = new Map();
+
+const dailyMix = (userId) => {
+  const day = new Date().toISOString().slice(0, 10);
+  const key = `${userId}:${day}`;
+
+  if (!dailyMixes.has(key)) {
+    for (const k of dailyMixes.keys()) {
+      if (!k.endsWith(`:${day}`)) dailyMixes.delete(k);
+    }
+    const mix = buildDailyMix(userId, day);
+    dailyMixes.set(key, { day, personalized: mix.personalized, songIds: mix.songs.map(s => s.id) });
+  }
+
+  // Se vuelven a leer las canciones por si alguna se borró desde que se armó el mix
+  const mix = dailyMixes.get(key);
+  const library = loadCatalog(userId);
+  return {
+    day: mix.day,
+    personalized: mix.personalized,
+    songs: mix.songIds.map(id => library.byId.get(id)).filter(Boolean)
+  };
+};
+
+// Canciones parecidas a `songId`: mismas playlists (de las que ve el
+// usuario), escuchadas en la misma sesión por cualquier usuario en los
+// últimos HISTORY_DAYS días, mismo artista, álbum o género.
+// Con usuario se omiten las que suele saltear.
+const similarTo = (songId, userId = null, limit = 20) => {
+  const library = loadCatalog(userId);
+  const base = library.byId.get(songId);
+  if (!base) return null;
+
+  const scores = new Map();
+  for (const { song_path, n } of repo.recommendations.coPlaylisted(catalog.publicPath(base), userId)) {
+    const song = library.byPath.get(song_path);
+    if (song) addTo(scores, song.id, 2 * n);
+  }
+  for (const { song_id, n } of repo.recommendations.coPlayed(base.id, HISTORY_DAYS)) {
+    if (library.byId.has(song_id)) addTo(scores, song_id, n);
+  }
+  for (const song of library.songs) {
+    if (song.id === base.id) continue;
+    if (base.artist && normalize(song.artist) === normalize(base.artist)) addTo(scores, song.id, 3);
+    if (base.album && normalize(song.album) === normalize(base.album)) addTo(scores, song.id, 1);
+    if (base.genre && normalize(song.genre) === normalize(base.genre)) addTo(scores, song.id, 1);
+  }
+
+  const profile = userId ? userProfile(userId, library) : null;
+  const popular = popularity();
+
+  return [...scores]
+    .filter(([id]) => id !== base.id && !(profile && (profile.song.get(id) || 0) < 0))
+    .sort((a, b) => b[1] - a[1] || (popular.get(b[0]) || 0) - (popular.get(a[0]) || 0))
+    .slice(0, limit)
+    .map(([id]) => library.byId.get(id));
+};
+
+module.exports = { dailyMix, similarTo };
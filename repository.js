@@ -0,0 +1,760 @@
+const db = require('./db');
+
+// Acceso a datos: las rutas de index.js llaman a estas funciones en lugar de
+// escribir SQL. Los statements se preparan una sola vez al cargar el módulo.
+
+// Patrón para LIKE ... ESCAPE '\' que busca el texto tal cual en cualquier posición
+const likePattern = (q) => `%${q.replace(/[%_\\]/g, '\\$&')}%`;
+
+const userStmts = {
+  byEmail: db.prepare('SELECT * FROM users WHERE email = ? COLLATE NOCASE'),
+  byId: db.prepare('SELECT * FROM users WHERE id = ?'),
+  insert: db.prepare('INSERT INTO users (nombre, email, password) VALUES (?, ?, ?)'),
+  setPassword: db.prepare('UPDATE users SET password = ? WHERE id = ?'),
+  markVerified: db.prepare(
+    "UPDATE users SET email_verified_at = datetime('now') WHERE id = ? AND email_verified_at IS NULL"
+  ),
+  // El email solo sirve para encontrar a alguien si se escribe completo, y
+  // nunca se devuelve: así no se puede listar los emails de los demás
+  search: db.prepare(`
+    SELECT id, nombre FROM users
+    WHERE id != @excludeId AND (nombre LIKE @q ESCAPE '\\' OR email = @email COLLATE NOCASE)
+    ORDER BY nombre COLLATE NOCASE
+    LIMIT 20
+  `)
+};
+
+const users = {
+  findByEmail: (email) => userStmts.byEmail.get(email),
+
+  findById: (id) => userStmts.byId.get(id),
+
+  create: ({ nombre, email, password }) => {
+    const result = userStmts.insert.run(nombre, email, password);
+    return userStmts.byId.get(result.lastInsertRowid);
+  },
+
+  setPassword: (id, password) => {
+    userStmts.setPassword.run(password, id);
+  },
+
+  markVerified: (id) => {
+    userStmts.markVerified.run(id);
+  },
+
+  // Para buscar con quién chatear, por nombre o por el email exacto
+  search: (q, excludeId) => userStmts.search.all({
+    q: likePattern(q),
+    email: q,
+    excludeId
+  })
+};
+
+const playlistStmts = {
+  // Las propias primero y después aquellas en las que el usuario colabora
+  listByUser: db.prepare(`
+    SELECT p.*, u.nombre AS owner_nombre,
+      CASE WHEN p.user_id = @userId THEN 'owner' ELSE 'collaborator' END AS role,
+      (SELECT COUNT(*) FROM playlist_songs ps WHERE ps.playlist_id = p.id) AS song_count
+    FROM playlists p
+    JOIN users u ON u.id = p.user_id
+    WHERE p.user_id = @userId
+      OR p.id IN (SELECT playlist_id FROM playlist_collaborators WHERE user_id = @userId)
+    ORDER BY p.user_id != @userId, p.created_at, p.id
+  `),
+  listPublic: db.prepare(`
+    SELECT p.*, u.nombre AS owner_nombre,
+      (SELECT COUNT(*) FROM playlist_songs ps WHERE ps.playlist_id = p.id) AS song_count
+    FROM playlists p
+    JOIN users u ON u.id = p.user_id
+    WHERE p.visibility = 'public' AND p.nombre LIKE @q ESCAPE '\\'
+    ORDER BY p.created_at DESC, p.id DESC
+    LIMIT @limit
+  `),
+  byId: db.prepare(`
+    SELECT p.*, u.nombre AS owner_nombre
+    FROM playlists p
+    JOIN users u ON u.id = p.user_id
+    WHERE p.id = ?
+  `),
+  role: db.prepare(`
+    SELECT CASE
+      WHEN p.user_id = @userId THEN 'owner'
+      WHEN c.user_id IS NOT NULL THEN 'collaborator'
+    END AS role
+    FROM playlists p
+    LEFT JOIN playlist_collaborators c ON c.playlist_id = p.id AND c.user_id = @userId
+    WHERE p.id = @id
+  `),
+  insert: db.prepare('INSERT INTO playlists (nombre, user_id) VALUES (?, ?)'),
+  rename: db.prepare('UPDATE playlists SET nombre = ? WHERE id = ?'),
+  setVisibility: db.prepare('UPDATE playlists SET visibility = ? WHERE id = ?'),
+  remove: db.prepare('DELETE FROM playlists WHERE id = ?'),
+  removeEqAssignments: db.prepare("DELETE FROM eq_assignments WHERE context = 'playlist:' || CAST(? AS INTEGER)"),
+  addSong: db.prepare(`
+    INSERT OR IGNORE INTO playlist_songs (playlist_id, song_path, position, added_by)
+    VALUES (?, ?, (SELECT COALESCE(MAX(position) + 1, 0) FROM playlist_songs WHERE playlist_id = ?), ?)
+  `),
+  listSongs: db.prepare(
+    'SELECT song_path FROM playlist_songs WHERE playlist_id = ? ORDER BY position, rowid'
+  ),
+  listEntries: db.prepare(`
+    SELECT ps.song_path, ps.added_at, ps.added_by, u.nombre AS added_by_nombre
+    FROM playlist_songs ps
+    LEFT JOIN users u ON u.id = ps.added_by
+    WHERE ps.playlist_id = ?
+    ORDER BY ps.position, ps.rowid
+  `),
+  removeSong: db.prepare(
+    'DELETE FROM playlist_songs WHERE playlist_id = ? AND song_path = ?'
+  ),
+  setPosition: db.prepare(
+    'UPDATE playlist_songs SET position = ? WHERE playlist_id = ? AND song_path = ?'
+  ),
+  removeSongEverywhere: db.prepare('DELETE FROM playlist_songs WHERE song_path = ?'),
+
+  // Sin el email: la lista la ven todos los colaboradores, no solo el dueño
+  collaborators: db.prepare(`
+    SELECT u.id, u.nombre, c.added_at
+    FROM playlist_collaborators c
+    JOIN users u ON u.id = c.user_id
+    WHERE c.playlist_id = ?
+    ORDER BY c.added_at, u.id
+  `),
+  addCollaborator: db.prepare(
+    'INSERT OR IGNORE INTO playlist_collaborators (playlist_id, user_id) VALUES (?, ?)'
+  ),
+  removeCollaborator: db.prepare(
+    'DELETE FROM playlist_collaborators WHERE playlist_id = ? AND user_id = ?'
+  ),
+
+  shares: db.prepare(`
+    SELECT id, token, created_at FROM playlist_shares
+    WHERE playlist_id = ? AND revoked_at IS NULL
+    ORDER BY id
+  `),
+  insertShare: db.prepare('INSERT INTO playlist_shares (playlist_id, token) VALUES (?, ?)'),
+  revokeShare: db.prepare(`
+    UPDATE playlist_shares SET revoked_at = datetime('now')
+    WHERE id = ? AND playlist_id = ? AND revoked_at IS NULL
+  `),
+  // Un enlace solo sirve mientras no se revoque y la playlist no sea privada
+  byShareToken: db.prepare(`
+    SELECT p.*, u.nombre AS owner_nombre
+    FROM playlist_shares s
+    JOIN playlists p ON p.id = s.playlist_id
+    JOIN users u ON u.id = p.user_id
+    WHERE s.token = ? AND s.revoked_at IS NULL AND p.visibility != 'private'
+  `)
+};
+
+const playlists = {
+  VISIBILITIES: ['private', 'unlisted', 'public'],
+
+  listByUser: (userId) => playlistStmts.listByUser.all({ userId }),
+
+  listPublic: (q = '', limit = 50) => playlistStmts.listPublic.all({ q: likePattern(q), limit }),
+
+  findById: (id) => playlistStmts.byId.get(id),
+
+  // 'owner', 'collaborator' o null
+  role: (id, userId) => {
+    const row = playlistStmts.role.get({ id, userId });
+    return row ? row.role : null;
+  },
+
+  create: (userId, nombre) => {
+    const result = playlistStmts.insert.run(nombre, userId);
+    return {
+      id: result.lastInsertRowid,
+      nombre,
+      user_id: userId,
+      visibility: 'private',
+      role: 'owner',
+      song_count: 0
+    };
+  },
+
+  // Para importar: crea la playlist con todas sus canciones de una vez
+  createWithSongs: db.transaction((userId, nombre, songPaths) => {
+    const playlist = playlists.create(userId, nombre);
+    for (const songPath of songPaths) {
+      playlistStmts.addSong.run(playlist.id, songPath, playlist.id, userId);
+    }
+    return { ...playlist, song_count: playlistStmts.listSongs.all(playlist.id).length };
+  }),
+
+  rename: (id, nombre) => {
+    playlistStmts.rename.run(nombre, id);
+  },
+
+  setVisibility: (id, visibility) => {
+    playlistStmts.setVisibility.run(visibility, id);
+  },
+
+  // Con la playlist se van los presets de ecualizador que le asignó cualquier usuario
+  remove: db.transaction((id) => {
+    playlistStmts.removeEqAssignments.run(id);
+    playlistStmts.remove.run(id);
+  }),
+
+  // Agrega la canción al final; devuelve false si ya estaba
+  addSong: (playlistId, songPath, userId) =>
+    playlistStmts.addSong.run(playlistId, songPath, playlistId, userId).changes > 0,
+
+  listSongs: (playlistId) =>
+    playlistStmts.listSongs.all(playlistId).map(s => s.song_path),
+
+  // Como listSongs pero con quién agregó cada canción y cuándo
+  listEntries: (playlistId) => playlistStmts.listEntries.all(playlistId),
+
+  removeSong: (playlistId, songPath) => {
+    playlistStmts.removeSong.run(playlistId, songPath);
+  },
+
+  // Para cuando la canción deja de existir
+  removeSongEverywhere: (songPath) => {
+    playlistStmts.removeSongEverywhere.run(songPath);
+  },
+
+  // Recibe la lista completa de canciones en el nuevo orden
+  reorder: db.transaction((playlistId, songPaths) => {
+    songPaths.forEach((songPath, position) => {
+      playlistStmts.setPosition.run(position, playlistId, songPath);
+    });
+  }),
+
+  collaborators: (playlistId) => playlistStmts.collaborators.all(playlistId),
+
+  // Devuelve false si ya colaboraba
+  addCollaborator: (playlistId, userId) =>
+    playlistStmts.addCollaborator.run(playlistId, userId).changes > 0,
+
+  removeCollaborator: (playlistId, userId) =>
+    playlistStmts.removeCollaborator.run(playlistId, userId).changes > 0,
+
+  shares: (playlistId) => playlistStmts.shares.all(playlistId),
+
+  createShare: (playlistId, token) => {
+    const result = playlistStmts.insertShare.run(playlistId, token);
+    return { id: result.lastInsertRowid, token };
+  },
+
+  revokeShare: (id, playlistId) => playlistStmts.revokeShare.run(id, playlistId).changes > 0,
+
+  findByShareToken: (token) => playlistStmts.byShareToken.get(token)
+};
+
+const refreshTokenStmts = {
+  insert: db.prepare(`
+    INSERT INTO refresh_tokens (user_id, token_hash, family, expires_at)
+    VALUES (?, ?, ?, datetime('now', ?))
+  `),
+  byHash: db.prepare(`
+    SELECT *, expires_at <= datetime('now') AS expired
+    FROM refresh_tokens WHERE token_hash = ?
+  `),
+  revoke: db.prepare(
+    "UPDATE refresh_tokens SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL"
+  ),
+  revokeFamily: db.prepare(
+    "UPDATE refresh_tokens SET revoked_at = datetime('now') WHERE family = ? AND revoked_at IS NULL"
+  ),
+  revokeAllForUser: db.prepare(
+    "UPDATE refresh_tokens SET revoked_at = datetime('now') WHERE user_id = ? AND revoked_at IS NULL"
+  ),
+  purgeExpired: db.prepare("DELETE FROM refresh_tokens WHERE expires_at <= datetime('now')")
+};
+
+const refreshTokens = {
+  create: (userId, tokenHash, family, ttlDays) => {
+    refreshTokenStmts.insert.run(userId, tokenHash, family, `+${ttlDays} days`);
+  },
+
+  findByHash: (tokenHash) => refreshTokenStmts.byHash.get(tokenHash),
+
+  // Devuelve true si el token seguía activo (evita rotar dos veces el mismo)
+  revoke: (id) => refreshTokenStmts.revoke.run(id).changes > 0,
+
+  revokeFamily: (family) => {
+    refreshTokenStmts.revokeFamily.run(family);
+  },
+
+  // Cierra todas las sesiones del usuario (por ejemplo, al cambiar la contraseña)
+  revokeAllForUser: (userId) => {
+    refreshTokenStmts.revokeAllForUser.run(userId);
+  },
+
+  purgeExpired: () => refreshTokenStmts.purgeExpired.run().changes
+};
+
+const accountTokenStmts = {
+  insert: db.prepare(`
+    INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+    VALUES (?, ?, ?, datetime('now', ?))
+  `),
+  // Al pedir un token nuevo los anteriores del mismo tipo dejan de servir
+  discardPending: db.prepare(`
+    UPDATE account_tokens SET used_at = datetime('now')
+    WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+  `),
+  lastCreated: db.prepare(`
+    SELECT (julianday('now') - julianday(MAX(created_at))) * 86400 AS seconds
+    FROM account_tokens WHERE user_id = ? AND purpose = ?
+  `),
+  findValid: db.prepare(`
+    SELECT * FROM account_tokens
+    WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > datetime('now')
+  `),
+  use: db.prepare(
+    "UPDATE account_tokens SET used_at = datetime('now') WHERE id = ? AND used_at IS NULL"
+  ),
+  purgeExpired: db.prepare("DELETE FROM account_tokens WHERE expires_at <= datetime('now')")
+};
+
+const accountTokens = {
+  create: db.transaction((userId, purpose, tokenHash, ttlMinutes) => {
+    accountTokenStmts.discardPending.run(userId, purpose);
+    accountTokenStmts.insert.run(userId, purpose, tokenHash, `+${ttlMinutes} minutes`);
+  }),
+
+  // Segundos desde el último token emitido de ese tipo, o null si nunca se pidió
+  secondsSinceLast: (userId, purpose) => accountTokenStmts.lastCreated.get(userId, purpose).seconds,
+
+  findValid: (tokenHash, purpose) => accountTokenStmts.findValid.get(tokenHash, purpose),
+
+  // Devuelve true solo para quien lo marca primero: un token no se puede canjear dos veces
+  use: (id) => accountTokenStmts.use.run(id).changes > 0,
+
+  purgeExpired: () => accountTokenStmts.purgeExpired.run().changes
+};
+
+const songStmts = {
+  byId: db.prepare('SELECT * FROM songs WHERE id = ?'),
+  byPath: db.prepare('SELECT * FROM songs WHERE path = ?'),
+  visibleTo: db.prepare('SELECT * FROM songs WHERE owner_id IS NULL OR owner_id = ?'),
+  scanState: db.prepare(
+    'SELECT id, path, file_size, file_mtime FROM songs WHERE owner_id IS NULL'
+  ),
+  // Si el archivo cambió hay que volver a medir su volumen
+  upsert: db.prepare(`
+    INSERT INTO songs (id, path, title, artist, album, year, genre, duration, has_cover, file_size, file_mtime, owner_id, track_gain, track_peak)
+    VALUES (@id, @path, @title, @artist, @album, @year, @genre, @duration, @has_cover, @file_size, @file_mtime, @owner_id, @track_gain, @track_peak)
+    ON CONFLICT(id) DO UPDATE SET
+      title = excluded.title,
+      artist = excluded.artist,
+      album = excluded.album,
+      year = excluded.year,
+      genre = excluded.genre,
+      duration = excluded.duration,
+      has_cover = excluded.has_cover,
+      file_size = excluded.file_size,
+      file_mtime = excluded.file_mtime,
+      track_gain = excluded.track_gain,
+      track_peak = excluded.track_peak,
+      loudness_checked = 0
+  `),
+  // Las que traen tags de ReplayGain primero: no necesitan ffmpeg
+  pendingLoudness: db.prepare(`
+    SELECT id, path, album, owner_id, track_gain, track_peak FROM songs
+    WHERE loudness_checked = 0
+    ORDER BY track_gain IS NULL
+  `),
+  setLoudness: db.prepare('UPDATE songs SET track_gain = ?, track_peak = ?, loudness_checked = 1 WHERE id = ?'),
+  byAlbum: db.prepare(
+    'SELECT id, path, duration, track_gain, track_peak FROM songs WHERE album = ? AND owner_id IS ?'
+  ),
+  setAlbumLoudness: db.prepare('UPDATE songs SET album_gain = ?, album_peak = ? WHERE id = ?'),
+  remove: db.prepare('DELETE FROM songs WHERE id = ?'),
+  cover: db.prepare('SELECT mime, data FROM song_covers WHERE song_id = ?'),
+  setCover: db.prepare(`
+    INSERT INTO song_covers (song_id, mime, data) VALUES (?, ?, ?)
+    ON CONFLICT(song_id) DO UPDATE SET mime = excluded.mime, data = excluded.data
+  `),
+  removeCover: db.prepare('DELETE FROM song_covers WHERE song_id = ?')
+};
+
+// Columnas por las que se puede ordenar GET /api/songs
+const SONG_SORTS = {
+  title: 'title COLLATE NOCASE',
+  artist: 'artist COLLATE NOCASE',
+  album: 'album COLLATE NOCASE',
+  year: 'year',
+  duration: 'duration',
+  added: 'added_at'
+};
+
+// Sin texto (@q null) no se filtra por título, artista ni álbum
+const SONG_SEARCH_WHERE = `
+  WHERE (owner_id IS NULL OR owner_id = @userId)
+    AND (@q IS NULL OR title LIKE @q ESCAPE '\\' OR artist LIKE @q ESCAPE '\\' OR album LIKE @q ESCAPE '\\')
+`;
+
+const songSearchStmts = {
+  count: db.prepare(`SELECT COUNT(*) AS total FROM songs ${SONG_SEARCH_WHERE}`),
+  // Uno por columna y sentido: ORDER BY no acepta parámetros
+  page: Object.fromEntries(Object.entries(SONG_SORTS).map(([sort, column]) => [sort, {
+    asc: db.prepare(`
+      SELECT * FROM songs ${SONG_SEARCH_WHERE}
+      ORDER BY ${column} ASC, title COLLATE NOCASE, id
+      LIMIT @limit OFFSET @offset
+    `),
+    desc: db.prepare(`
+      SELECT * FROM songs ${SONG_SEARCH_WHERE}
+      ORDER BY ${column} DESC, title COLLATE NOCASE, id
+      LIMIT @limit OFFSET @offset
+    `)
+  }]))
+};
+
+const songs = {
+  SORTS: Object.keys(SONG_SORTS),
+
+  findById: (id) => songStmts.byId.get(id),
+
+  // Ruta relativa a MUSIC_DIR o UPLOAD_DIR, tal como se guarda en la tabla
+  findByPath: (songPath) => songStmts.byPath.get(songPath),
+
+  // Todo el catálogo más las subidas del usuario (sin usuario, solo el catálogo)
+  visibleTo: (userId) => songStmts.visibleTo.all(userId),
+
+  // Solo lo necesario para decidir qué archivos de MUSIC_DIR volver a leer en un escaneo
+  scanState: () => songStmts.scanState.all(),
+
+  // Guarda la canción y su portada (o la borra si ya no tiene)
+  save: db.transaction((song, cover) => {
+    songStmts.upsert.run({ owner_id: null, track_gain: null, track_peak: null, ...song, has_cover: cover ? 1 : 0 });
+    if (cover) songStmts.setCover.run(song.id, cover.mime, cover.data);
+    else songStmts.removeCover.run(song.id);
+  }),
+
+  remove: (id) => {
+    songStmts.remove.run(id);
+  },
+
+  cover: (id) => songStmts.cover.get(id),
+
+  // Canciones a las que todavía no se les midió el volumen
+  pendingLoudness: () => songStmts.pendingLoudness.all(),
+
+  setLoudness: (id, gain, peak) => {
+    songStmts.setLoudness.run(gain, peak, id);
+  },
+
+  // Canciones de un álbum (del catálogo con ownerId null, o subidas de ese usuario)
+  byAlbum: (album, ownerId) => songStmts.byAlbum.all(album, ownerId),
+
+  setAlbumLoudness: db.transaction((ids, gain, peak) => {
+    for (const id of ids) songStmts.setAlbumLoudness.run(gain, peak, id);
+  }),
+
+  // Biblioteca compartida más las subidas de `userId` (si hay usuario)
+  search: ({ q, userId = null, sort = 'title', order = 'asc', limit, offset }) => {
+    const params = { userId, q: q ? likePattern(q) : null };
+    const page = songSearchStmts.page[sort] || songSearchStmts.page.title;
+    return {
+      songs: page[order === 'desc' ? 'desc' : 'asc'].all({ ...params, limit, offset }),
+      total: songSearchStmts.count.get(params).total
+    };
+  }
+};
+
+const chatStmts = {
+  insertConversation: db.prepare('INSERT OR IGNORE INTO conversations (pair_key) VALUES (?)'),
+  conversationByPair: db.prepare('SELECT id FROM conversations WHERE pair_key = ?'),
+  insertMember: db.prepare(
+    'INSERT OR IGNORE INTO conversation_members (conversation_id, user_id) VALUES (?, ?)'
+  ),
+  member: db.prepare(
+    'SELECT * FROM conversation_members WHERE conversation_id = ? AND user_id = ?'
+  ),
+  otherMember: db.prepare(
+    'SELECT * FROM conversation_members WHERE conversation_id = ? AND user_id != ?'
+  ),
+  listByUser: db.prepare(`
+    SELECT c.id,
+      u.id AS user_id,
+      u.nombre,
+      m.id AS last_message_id,
+      m.text AS last_text,
+      m.sender_id AS last_sender_id,
+      m.created_at AS last_at,
+      other.last_delivered_id AS other_delivered_id,
+      other.last_read_id AS other_read_id,
+      (SELECT COUNT(*) FROM messages x
+        WHERE x.conversation_id = c.id AND x.sender_id != me.user_id AND x.id > me.last_read_id) AS unread
+    FROM conversation_members me
+    JOIN conversations c ON c.id = me.conversation_id
+    JOIN conversation_members other ON other.conversation_id = c.id AND other.user_id != me.user_id
+    JOIN users u ON u.id = other.user_id
+    LEFT JOIN messages m ON m.id = (SELECT MAX(id) FROM messages WHERE conversation_id = c.id)
+    WHERE me.user_id = ?
+    ORDER BY COALESCE(m.id, 0) DESC, c.id DESC
+  `),
+  messagesBefore: db.prepare(`
+    SELECT * FROM messages
+    WHERE conversation_id = ? AND id < ?
+    ORDER BY id DESC
+    LIMIT ?
+  `),
+  insertMessage: db.prepare(
+    'INSERT INTO messages (conversation_id, sender_id, text) VALUES (?, ?, ?)'
+  ),
+  messageById: db.prepare('SELECT * FROM messages WHERE id = ?'),
+  // Nunca se retrocede ni se marca más allá del último mensaje existente
+  markDelivered: db.prepare(`
+    UPDATE conversation_members
+    SET last_delivered_id = MAX(last_delivered_id,
+      MIN(@messageId, (SELECT COALESCE(MAX(id), 0) FROM messages WHERE conversation_id = @conversationId)))
+    WHERE conversation_id = @conversationId AND user_id = @userId
+  `),
+  markRead: db.prepare(`
+    UPDATE conversation_members
+    SET last_read_id = MAX(last_read_id, @upTo),
+      last_delivered_id = MAX(last_delivered_id, @upTo)
+    WHERE conversation_id = @conversationId AND user_id = @userId
+  `),
+  lastMessageId: db.prepare(
+    'SELECT COALESCE(MAX(id), 0) AS id FROM messages WHERE conversation_id = ?'
+  )
+};
+
+const chat = {
+  // Las conversaciones son de a dos; pair_key evita duplicados
+  findOrCreateConversation: db.transaction((userId, otherId) => {
+    const pairKey = [userId, otherId].sort((a, b) => a - b).join(':');
+    chatStmts.insertConversation.run(pairKey);
+    const { id } = chatStmts.conversationByPair.get(pairKey);
+    chatStmts.insertMember.run(id, userId);
+    chatStmts.insertMember.run(id, otherId);
+    return id;
+  }),
+
+  // undefined si el usuario no participa de la conversación
+  member: (conversationId, userId) => chatStmts.member.get(conversationId, userId),
+
+  otherMember: (conversationId, userId) => chatStmts.otherMember.get(conversationId, userId),
+
+  listByUser: (userId) => chatStmts.listByUser.all(userId),
+
+  // Página de historial anterior a `beforeId`, en orden cronológico
+  messages: (conversationId, beforeId, limit) =>
+    chatStmts.messagesBefore.all(conversationId, beforeId, limit).reverse(),
+
+  addMessage: db.transaction((conversationId, senderId, text) => {
+    const { lastInsertRowid } = chatStmts.insertMessage.run(conversationId, senderId, text);
+    chatStmts.markRead.run({ conversationId, userId: senderId, upTo: lastInsertRowid });
+    return chatStmts.messageById.get(lastInsertRowid);
+  }),
+
+  // Ambas devuelven el estado actualizado del miembro
+  markDelivered: (conversationId, userId, messageId) => {
+    chatStmts.markDelivered.run({ conversationId, userId, messageId });
+    return chatStmts.member.get(conversationId, userId);
+  },
+
+  markRead: (conversationId, userId, messageId) => {
+    const last = chatStmts.lastMessageId.get(conversationId).id;
+    chatStmts.markRead.run({ conversationId, userId, upTo: Math.min(messageId, last) });
+    return chatStmts.member.get(conversationId, userId);
+  }
+};
+
+const historyStmts = {
+  insert: db.prepare(`
+    INSERT INTO play_history (user_id, song_id, started_at, listened_seconds, skipped, context)
+    VALUES (@userId, @songId, @startedAt, @listenedSeconds, @skipped, @context)
+  `),
+  // Solo las canciones que siguen en el catálogo
+  listBefore: db.prepare(`
+    SELECT s.*, h.id AS history_id, h.started_at, h.listened_seconds, h.skipped, h.context
+    FROM play_history h
+    JOIN songs s ON s.id = h.song_id
+    WHERE h.user_id = ? AND h.id < ?
+    ORDER BY h.id DESC
+    LIMIT ?
+  `),
+  // Una fila por canción, con los datos de su última reproducción
+  // (SQLite toma las columnas sueltas de la fila que da el MAX)
+  recentSongs: db.prepare(`
+    SELECT s.*, MAX(h.id) AS history_id, h.started_at, h.listened_seconds, h.skipped, h.context
+    FROM play_history h
+    JOIN songs s ON s.id = h.song_id
+    WHERE h.user_id = ?
+    GROUP BY h.song_id
+    ORDER BY history_id DESC
+    LIMIT ?
+  `)
+};
+
+const history = {
+  add: ({ userId, songId, startedAt, listenedSeconds, skipped, context = null }) => {
+    const result = historyStmts.insert.run({
+      userId, songId, startedAt, listenedSeconds, skipped: skipped ? 1 : 0, context
+    });
+    return result.lastInsertRowid;
+  },
+
+  // Reproducciones anteriores a `beforeId`, de la más nueva a la más vieja
+  list: (userId, beforeId, limit) => historyStmts.listBefore.all(userId, beforeId, limit),
+
+  recentSongs: (userId, limit) => historyStmts.recentSongs.all(userId, limit)
+};
+
+const recommendationStmts = {
+  userPlays: db.prepare(`
+    SELECT song_id, skipped, listened_seconds,
+      julianday('now') - julianday(started_at) AS age_days
+    FROM play_history
+    WHERE user_id = ? AND started_at >= datetime('now', ?)
+  `),
+  userPlaylistPaths: db.prepare(`
+    SELECT ps.song_path FROM playlist_songs ps
+    JOIN playlists p ON p.id = ps.playlist_id
+    WHERE p.user_id = ?
+  `),
+  popular: db.prepare(`
+    SELECT song_id, COUNT(*) AS plays FROM play_history
+    WHERE skipped = 0 AND started_at >= datetime('now', ?)
+    GROUP BY song_id
+  `),
+  // Canciones que alguien escuchó (sin saltear) hasta 30 minutos antes o
+  // después de esta, en los últimos `since`. Con los índices por canción y por
+  // usuario ninguno de los dos lados recorre todo el historial.
+  coPlayed: db.prepare(`
+    SELECT other.song_id, COUNT(*) AS n
+    FROM play_history h
+    JOIN play_history other ON other.user_id = h.user_id
+      AND other.started_at BETWEEN datetime(h.started_at, '-30 minutes') AND datetime(h.started_at, '+30 minutes')
+      AND other.song_id != h.song_id
+      AND other.skipped = 0
+    WHERE h.song_id = @songId AND h.skipped = 0 AND h.started_at >= datetime('now', @since)
+    GROUP BY other.song_id
+  `),
+  // Solo las playlists que el usuario puede ver: públicas, propias o en las que colabora
+  coPlaylisted: db.prepare(`
+    SELECT other.song_path, COUNT(*) AS n
+    FROM playlist_songs ps
+    JOIN playlists p ON p.id = ps.playlist_id
+    JOIN playlist_songs other ON other.playlist_id = ps.playlist_id AND other.song_path != ps.song_path
+    WHERE ps.song_path = @songPath
+      AND (p.visibility = 'public' OR p.user_id = @userId
+        OR p.id IN (SELECT playlist_id FROM playlist_collaborators WHERE user_id = @userId))
+    GROUP BY other.song_path
+  `)
+};
+
+// Datos crudos para recommendations.js; el puntaje se calcula allá
+const recommendations = {
+  userPlays: (userId, days) => recommendationStmts.userPlays.all(userId, `-${days} days`),
+
+  userPlaylistPaths: (userId) => recommendationStmts.userPlaylistPaths.all(userId).map(r => r.song_path),
+
+  popular: (days) => recommendationStmts.popular.all(`-${days} days`),
+
+  coPlayed: (songId, days) => recommendationStmts.coPlayed.all({ songId, since: `-${days} days` }),
+
+  coPlaylisted: (songPath, userId) => recommendationStmts.coPlaylisted.all({ songPath, userId })
+};
+
+const playerStateStmts = {
+  find: db.prepare('SELECT state, device, updated_at FROM player_states WHERE user_id = ?'),
+  upsert: db.prepare(`
+    INSERT INTO player_states (user_id, state, device, updated_at)
+    VALUES (@userId, @state, @device, strftime('%Y-%m-%d %H:%M:%f', 'now'))
+    ON CONFLICT(user_id) DO UPDATE SET
+      state = excluded.state, device = excluded.device, updated_at = excluded.updated_at
+    RETURNING updated_at
+  `)
+};
+
+// El estado se guarda como JSON; playerState.js lo valida antes
+const playerStates = {
+  find: (userId) => {
+    const row = playerStateStmts.find.get(userId);
+    return row ? { state: JSON.parse(row.state), device: row.device, updatedAt: row.updated_at } : null;
+  },
+
+  // Devuelve la fecha de guardado, que los dispositivos usan para saber si hay algo más nuevo
+  save: (userId, state, device) =>
+    playerStateStmts.upsert.get({ userId, state: JSON.stringify(state), device }).updated_at
+};
+
+const eqPresetStmts = {
+  list: db.prepare('SELECT id, nombre, preamp, gains FROM eq_presets WHERE user_id = ? ORDER BY nombre COLLATE NOCASE'),
+  find: db.prepare('SELECT id, nombre, preamp, gains FROM eq_presets WHERE id = ? AND user_id = ?'),
+  insert: db.prepare('INSERT INTO eq_presets (user_id, nombre, preamp, gains) VALUES (?, ?, ?, ?)'),
+  update: db.prepare('UPDATE eq_presets SET nombre = ?, preamp = ?, gains = ? WHERE id = ? AND user_id = ?'),
+  delete: db.prepare('DELETE FROM eq_presets WHERE id = ? AND user_id = ?'),
+  assignments: db.prepare('SELECT context, preset FROM eq_assignments WHERE user_id = ? ORDER BY context'),
+  assign: db.prepare(`
+    INSERT INTO eq_assignments (user_id, context, preset) VALUES (?, ?, ?)
+    ON CONFLICT(user_id, context) DO UPDATE SET preset = excluded.preset
+  `),
+  unassign: db.prepare('DELETE FROM eq_assignments WHERE user_id = ? AND context = ?'),
+  unassignPreset: db.prepare('DELETE FROM eq_assignments WHERE user_id = ? AND preset = ?')
+};
+
+const publicEqPreset = (row) => row && ({
+  id: `custom:${row.id}`,
+  nombre: row.nombre,
+  preamp: row.preamp,
+  gains: JSON.parse(row.gains)
+});
+
+// Presets propios del usuario; los predefinidos están en el frontend
+const eqPresets = {
+  list: (userId) => eqPresetStmts.list.all(userId).map(publicEqPreset),
+
+  find: (id, userId) => publicEqPreset(eqPresetStmts.find.get(id, userId)),
+
+  create: (userId, { nombre, preamp, gains }) => {
+    const result = eqPresetStmts.insert.run(userId, nombre, preamp, JSON.stringify(gains));
+    return eqPresets.find(result.lastInsertRowid, userId);
+  },
+
+  update: (id, userId, { nombre, preamp, gains }) =>
+    eqPresetStmts.update.run(nombre, preamp, JSON.stringify(gains), id, userId).changes > 0,
+
+  // Las playlists que lo usaban vuelven al ecualizador sin preset
+  remove: db.transaction((id, userId) => {
+    eqPresetStmts.unassignPreset.run(userId, `custom:${id}`);
+    return eqPresetStmts.delete.run(id, userId).changes > 0;
+  }),
+
+  assignments: (userId) => eqPresetStmts.assignments.all(userId),
+
+  // Con preset null se quita la asignación
+  assign: (userId, context, preset) => {
+    if (preset) eqPresetStmts.assign.run(userId, context, preset);
+    else eqPresetStmts.unassign.run(userId, context);
+  }
+};
+
+const loginAttemptStmts = {
+  insert: db.prepare('INSERT INTO login_attempts (email, ip, reason) VALUES (?, ?, ?)'),
+  purgeOld: db.prepare("DELETE FROM login_attempts WHERE created_at <= datetime('now', ?)")
+};
+
+// Registro de intentos de login fallidos o bloqueados
+const loginAttempts = {
+  record: (email, ip, reason) => {
+    loginAttemptStmts.insert.run(email, ip, reason);
+  },
+
+  purgeOlderThan: (days) => loginAttemptStmts.purgeOld.run(`-${days} days`).changes
+};
+
+module.exports = {
+  users,
+  playlists,
+  refreshTokens,
+  accountTokens,
+  songs,
+  chat,
+  history,
+  recommendations,
+  playerStates,
+  eqPresets,
+  loginAttempts
+};
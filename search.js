@@ -0,0 +1,208 @@
+const path = require('path');
+const repo = require('./repository');
+const catalog = require('./catalog');
+const curated = require('./curated');
+
+// Búsqueda de la sección Buscar: canciones, artistas, álbumes, playlists de
+// usuarios y destacadas. Como las recomendaciones, se calcula en memoria: el
+// catálogo es chico y así la comparación puede ignorar acentos y tolerar
+// errores de tipeo, cosa que LIKE no hace.
+
+// Más allá de esto no aporta y la distancia de edición se vuelve cara
+const MAX_QUERY_LENGTH = 100;
+const PUBLIC_PLAYLISTS = 500;
+
+// "Canción  Ñandú!" → "cancion nandu"
+const normalize = (value) => (value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const wordsOf = (value) => {
+  const normalized = normalize(value);
+  return normalized ? normalized.split(' ') : [];
+};
+
+// Errores de tipeo que se toleran según el largo de lo escrito
+const allowedTypos = (token) => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
+
+// Distancia de Levenshtein; corta apenas se pasa de `max`
+const distance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      best = Math.min(best, current[j]);
+    }
+    if (best > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Qué tan bien coincide un término buscado con una palabra: 1 si es igual,
+// 0.9 si la palabra empieza así, 0.6 si la contiene y 0.5 o menos si difiere
+// en algún error de tipeo (contra la palabra o su comienzo, porque la
+// búsqueda es mientras se escribe)
+const matchWord = (token, word) => {
+  if (word === token) return 1;
+  if (word.startsWith(token)) return 0.9;
+  if (token.length >= 3 && word.includes(token)) return 0.6;
+
+  const typos = allowedTypos(token);
+  if (!typos) return 0;
+  let best = distance(token, word, typos);
+  for (let length = token.length - typos; length <= token.length + typos && length < word.length; length++) {
+    best = Math.min(best, distance(token, word.slice(0, length), typos));
+  }
+  return best <= typos ? 0.5 - 0.1 * (best - 1) : 0;
+};
+
+// `fields` son [palabras, peso]. Todos los términos tienen que aparecer en
+// algún campo; el puntaje es el promedio, con un extra si el primer campo es
+// exactamente lo buscado o empieza así.
+const score = (tokens, fields) => {
+  let total = 0;
+  for (const token of tokens) {
+    let best = 0;
+    for (const [words, weight] of fields) {
+      for (const word of words) best = Math.max(best, weight * matchWord(token, word));
+    }
+    if (best === 0) return 0;
+    total += best;
+  }
+  const phrase = tokens.join(' ');
+  const main = fields[0][0].join(' ');
+  const bonus = main === phrase ? 0.5 : main.startsWith(phrase) ? 0.25 : 0;
+  return total / tokens.length + bonus;
+};
+
+// Mayor puntaje primero; los empates, por el criterio de `tieBreak`
+const top = (items, limit, tieBreak = () => 0) => items
+  .filter(item => item.score > 0)
+  .sort((a, b) => b.score - a.score || tieBreak(a, b))
+  .slice(0, limit);
+
+const groupSongs = (songs, keyOf) => {
+  const groups = new Map();
+  for (const song of songs) {
+    const key = keyOf(song);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(song);
+  }
+  return [...groups.values()];
+};
+
+const coverOf = (songs) => {
+  const withCover = songs.find(s => s.has_cover);
+  return withCover ? catalog.publicSong(withCover).cover : null;
+};
+
+const byPath = (a, b) => a.path.localeCompare(b.path);
+
+const searchSongs = (tokens, songs, limit) => top(
+  songs.map(song => ({
+    song,
+    score: score(tokens, [[wordsOf(song.title), 1], [wordsOf(song.artist), 0.9], [wordsOf(song.album), 0.7]])
+  })),
+  limit,
+  (a, b) => (a.song.title || '').localeCompare(b.song.title || '')
+).map(({ song }) => catalog.publicSong(song));
+
+const searchArtists = (tokens, songs, limit) => top(
+  groupSongs(songs, song => normalize(song.artist)).map(group => ({
+    group,
+    score: score(tokens, [[wordsOf(group[0].artist), 1]])
+  })),
+  limit,
+  (a, b) => b.group.length - a.group.length
+).map(({ group }) => ({
+  name: group[0].artist,
+  songCount: group.length,
+  cover: coverOf(group),
+  songs: group.sort(byPath).map(catalog.publicSong)
+}));
+
+// Un álbum son las canciones con ese nombre en la misma carpeta, igual que
+// para la normalización de volumen
+const searchAlbums = (tokens, songs, limit) => top(
+  groupSongs(songs, song => song.album && `${path.posix.dirname(song.path)}|${normalize(song.album)}`).map(group => {
+    const artists = new Set(group.map(s => normalize(s.artist)));
+    const artist = artists.size === 1 ? group[0].artist : 'Varios artistas';
+    return {
+      group,
+      artist,
+      score: score(tokens, [[wordsOf(group[0].album), 1], [wordsOf(artist), 0.7]])
+    };
+  }),
+  limit,
+  (a, b) => a.group[0].album.localeCompare(b.group[0].album)
+).map(({ group, artist }) => ({
+  name: group[0].album,
+  artist,
+  year: group.find(s => s.year)?.year || null,
+  cover: coverOf(group),
+  songs: group.sort(byPath).map(catalog.publicSong)
+}));
+
+// Las del usuario (propias y en las que colabora) y las públicas de los demás
+const searchPlaylists = (tokens, userId, limit) => {
+  const own = userId ? repo.playlists.listByUser(userId) : [];
+  const ownIds = new Set(own.map(p => p.id));
+  const candidates = [
+    ...own,
+    ...repo.playlists.listPublic('', PUBLIC_PLAYLISTS)
+      .filter(p => !ownIds.has(p.id))
+      .map(p => ({ ...p, role: null }))
+  ];
+  return top(
+    candidates.map(playlist => ({
+      playlist,
+      score: score(tokens, [[wordsOf(playlist.nombre), 1], [wordsOf(playlist.owner_nombre), 0.5]])
+    })),
+    limit,
+    (a, b) => Boolean(b.playlist.role) - Boolean(a.playlist.role)
+  ).map(({ playlist }) => ({
+    id: playlist.id,
+    nombre: playlist.nombre,
+    owner_nombre: playlist.owner_nombre,
+    song_count: playlist.song_count,
+    visibility: playlist.visibility,
+    role: playlist.role
+  }));
+};
+
+const searchCurated = (tokens, limit) => top(
+  curated.CURATED.map(playlist => ({
+    playlist,
+    score: score(tokens, [[wordsOf(playlist.nombre), 1], [curated.termsOf(playlist).flatMap(wordsOf), 0.8]])
+  })),
+  limit
+).map(({ playlist }) => ({ id: playlist.id, nombre: playlist.nombre, portada: playlist.portada }));
+
+// Hasta `limit` resultados por tipo, sobre lo que ve `userId` (null sin sesión)
+const search = (q, userId, limit) => {
+  const tokens = wordsOf(q.slice(0, MAX_QUERY_LENGTH));
+  if (!tokens.length) return { songs: [], artists: [], albums: [], playlists: [], curated: [] };
+
+  const songs = repo.songs.visibleTo(userId);
+  return {
+    songs: searchSongs(tokens, songs, limit),
+    artists: searchArtists(tokens, songs, limit),
+    albums: searchAlbums(tokens, songs, limit),
+    playlists: searchPlaylists(tokens, userId, limit),
+    curated: searchCurated(tokens, limit)
+  };
+};
+
+module.exports = { search };
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const repo = require('./repository');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret_change_me';
+const ACCESS_TOKEN_MINUTES = Number(process.env.ACCESS_TOKEN_MINUTES) || 15;
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const cookieOptions = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production'
+};
+
+// El refresh token solo viaja a las rutas que lo usan (/api/session/refresh
+// y /api/session/logout)
+const REFRESH_COOKIE_PATH = '/api/session';
+// Antes se guardaba con este Path y viajaba a toda la API; se borra al
+// renovar o cerrar la sesión
+const LEGACY_REFRESH_COOKIE_PATH = '/api';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const publicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  nombre: user.nombre,
+  emailVerified: Boolean(user.email_verified_at)
+});
+
+const signAccessToken = (user) => jwt.sign(
+  publicUser(user),
+  JWT_SECRET,
+  { expiresIn: `${ACCESS_TOKEN_MINUTES}m` }
+);
+
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+// Emite un par access/refresh. Si se pasa `family`, el nuevo refresh token
+// continúa la misma cadena de rotación.
+const issueSession = (res, user, family = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  repo.refreshTokens.create(user.id, hashToken(refreshToken), family, REFRESH_TOKEN_DAYS);
+
+  res.clearCookie('refresh_token', { ...cookieOptions, path: LEGACY_REFRESH_COOKIE_PATH });
+  res.cookie('token', signAccessToken(user), {
+    ...cookieOptions,
+    maxAge: ACCESS_TOKEN_MINUTES * 60 * 1000
+  });
+  res.cookie('refresh_token', refreshToken, {
+    ...cookieOptions,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
+  });
+};
+
+// Canjea un refresh token por un par nuevo. Devuelve el usuario o null.
+// Si alguien presenta un token ya rotado se asume robo y se revoca toda la familia.
+const rotateSession = (res, refreshToken) => {
+  if (!refreshToken) return null;
+
+  const stored = repo.refreshTokens.findByHash(hashToken(refreshToken));
+  if (!stored || stored.expired) return null;
+
+  if (stored.revoked_at || !repo.refreshTokens.revoke(stored.id)) {
+    repo.refreshTokens.revokeFamily(stored.family);
+    return null;
+  }
+
+  const user = repo.users.findById(stored.user_id);
+  if (!user) return null;
+
+  issueSession(res, user, stored.family);
+  return user;
+};
+
+const revokeSession = (refreshToken) => {
+  if (!refreshToken) return;
+  const stored = repo.refreshTokens.findByHash(hashToken(refreshToken));
+  if (stored) repo.refreshTokens.revokeFamily(stored.family);
+};
+
+const clearSessionCookies = (res) => {
+  res.clearCookie('token', cookieOptions);
+  res.clearCookie('refresh_token', { ...cookieOptions, path: LEGACY_REFRESH_COOKIE_PATH });
+  res.clearCookie('refresh_token', { ...cookieOptions, path: REFRESH_COOKIE_PATH });
+};
+
+module.exports = {
+  publicUser,
+  verifyAccessToken,
+  issueSession,
+  rotateSession,
+  revokeSession,
+  clearSessionCookies
+};
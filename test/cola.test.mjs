@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as Cola from "../cola.js";
+
+// Ids con el formato del catálogo (16 hex)
+const cancion = (n) => ({ id: n.toString(16).padStart(16, "0"), title: `Tema ${n}` });
+const lista = [1, 2, 3, 4].map(cancion);
+const extra = cancion(9);
+
+const titulos = (entradas) => entradas.map((e) => e.cancion.title);
+
+const empezar = (indice = 0, aleatorio = false) =>
+  Cola.reproducirLista(Cola.colaVacia, "Lista", lista, indice, aleatorio, "playlist:7");
+
+test("avanzar recorre la lista en orden y vuelve a empezar al terminarla", () => {
+  let cola = empezar(2);
+  assert.equal(cola.actual.cancion.title, "Tema 3");
+  cola = Cola.avanzar(cola, false);
+  assert.equal(cola.actual.cancion.title, "Tema 4");
+  assert.equal(cola.posicion, 3);
+  cola = Cola.avanzar(cola, false);
+  assert.equal(cola.actual.cancion.title, "Tema 1");
+  assert.deepEqual(titulos(cola.proximas), ["Tema 2", "Tema 3", "Tema 4"]);
+});
+
+test("avanzar pasa primero por lo agregado a mano sin mover la posición en la lista", () => {
+  let cola = Cola.agregar(empezar(0), [extra], false);
+  cola = Cola.avanzar(cola, false);
+  assert.equal(cola.actual.cancion.title, "Tema 9");
+  assert.equal(cola.posicion, 0);
+  cola = Cola.avanzar(cola, false);
+  assert.equal(cola.actual.cancion.title, "Tema 2");
+});
+
+test("retroceder vuelve a la anterior y deja la actual primera en la cola", () => {
+  const cola = Cola.retroceder(Cola.avanzar(empezar(0), false));
+  assert.equal(cola.actual.cancion.title, "Tema 1");
+  assert.equal(cola.posicion, 0);
+  assert.deepEqual(titulos(cola.proximas), ["Tema 2", "Tema 3", "Tema 4"]);
+  assert.equal(cola.historial.length, 0);
+  assert.equal(Cola.retroceder(cola), cola);
+});
+
+test("cambiarAleatorio mezcla lo que queda sin tocar lo agregado a mano", () => {
+  const cola = Cola.agregar(empezar(1), [extra], true);
+  const mezclada = Cola.cambiarAleatorio(cola, true);
+  assert.equal(mezclada.proximas[0].cancion.title, "Tema 9");
+  assert.deepEqual(titulos(mezclada.proximas.slice(1)).sort(), ["Tema 3", "Tema 4"]);
+
+  const enOrden = Cola.cambiarAleatorio(mezclada, false);
+  assert.deepEqual(titulos(enOrden.proximas), ["Tema 9", "Tema 3", "Tema 4"]);
+});
+
+test("serializar y restaurar recuperan la misma cola", () => {
+  let cola = Cola.agregar(empezar(1), [extra], false);
+  cola = Cola.avanzar(cola, false);
+  const porId = new Map([...lista, extra].map((c) => [c.id, c]));
+
+  const datos = JSON.parse(JSON.stringify(Cola.serializar(cola, () => true)));
+  const restaurada = Cola.restaurar(datos, (id) => porId.get(id));
+
+  assert.deepEqual(restaurada.origen, cola.origen);
+  assert.equal(restaurada.posicion, cola.posicion);
+  assert.equal(restaurada.actual.cancion, cola.actual.cancion);
+  assert.equal(restaurada.actual.manual, true);
+  assert.deepEqual(titulos(restaurada.proximas), titulos(cola.proximas));
+  assert.deepEqual(titulos(restaurada.historial), titulos(cola.historial));
+});
+
+test("serializar deja afuera lo que no se puede guardar y recalcula los índices", () => {
+  const cola = Cola.avanzar(Cola.avanzar(empezar(0), false), false);
+  const guardable = (c) => c.title !== "Tema 2";
+  const datos = Cola.serializar(cola, guardable);
+
+  assert.deepEqual(datos.source.songIds, [lista[0].id, lista[2].id, lista[3].id]);
+  assert.equal(datos.sourceIndex, 1);
+  assert.deepEqual(datos.current, { songId: lista[2].id, index: 1, manual: false });
+
+  // Las que ya no están en el catálogo se saltean al restaurar
+  const restaurada = Cola.restaurar(datos, (id) => (id === lista[3].id ? null : lista.find((c) => c.id === id)));
+  assert.deepEqual(titulos(restaurada.proximas), []);
+  assert.equal(restaurada.origen.canciones.length, 2);
+});
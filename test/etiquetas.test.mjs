@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { leerEtiquetas } from "../etiquetas.js";
+
+// Archivos mínimos armados a mano, solo con las cabeceras que se leen
+const bytes = (...partes) =>
+  Buffer.concat(partes.map((p) => (typeof p === "string" ? Buffer.from(p, "latin1") : Buffer.from(p))));
+const be32 = (n) => [n >>> 24, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+const le32 = (n) => be32(n).reverse();
+const utf8 = (texto) => Buffer.from(texto, "utf8");
+
+const PNG = [0x89, 0x50, 0x4e, 0x47];
+
+const portada = async (tags) => ({ tipo: tags.portada.type, datos: [...new Uint8Array(await tags.portada.arrayBuffer())] });
+
+const frameId3 = (id, cuerpo) => bytes(id, be32(cuerpo.length), [0, 0], cuerpo);
+
+const id3 = (...frames) => {
+  const datos = bytes(...frames);
+  const tamano = [21, 14, 7, 0].map((corrimiento) => (datos.length >> corrimiento) & 0x7f);
+  return new Blob([bytes("ID3", [3, 0, 0], tamano, datos, "audio")]);
+};
+
+test("leerEtiquetas lee ID3v2.3 en Latin-1, UTF-16 y UTF-8", async () => {
+  const tags = await leerEtiquetas(id3(
+    frameId3("TIT2", bytes([0], "Canción\0")),
+    frameId3("TPE1", bytes([1, 0xff, 0xfe], Buffer.from("Ñandú", "utf16le"))),
+    frameId3("TALB", bytes([3], utf8("Álbum ✓"))),
+    frameId3("USLT", bytes([3], "spa", "desc\0", utf8("[00:01]hola"))),
+    frameId3("APIC", bytes([0], "image/png\0", [3], "tapa\0", PNG)),
+  ));
+  assert.equal(tags.title, "Canción");
+  assert.equal(tags.artist, "Ñandú");
+  assert.equal(tags.album, "Álbum ✓");
+  assert.equal(tags.letra, "[00:01]hola");
+  assert.deepEqual(await portada(tags), { tipo: "image/png", datos: PNG });
+});
+
+test("leerEtiquetas se queda con el primer frame de cada tipo y frena en el relleno", async () => {
+  const tags = await leerEtiquetas(id3(
+    frameId3("TIT2", bytes([0], "Primero")),
+    frameId3("TIT2", bytes([0], "Segundo")),
+    new Uint8Array(20),
+    frameId3("TPE1", bytes([0], "Después del relleno")),
+  ));
+  assert.deepEqual(tags, { title: "Primero" });
+});
+
+const bloqueFlac = (tipo, cuerpo, ultimo = false) =>
+  bytes([(ultimo ? 0x80 : 0) | tipo, (cuerpo.length >> 16) & 0xff, (cuerpo.length >> 8) & 0xff, cuerpo.length & 0xff], cuerpo);
+
+const comentariosVorbis = (...comentarios) =>
+  bytes(le32(4), "test", le32(comentarios.length), ...comentarios.flatMap((c) => [le32(utf8(c).length), utf8(c)]));
+
+const pictureFlac = (tipo, datos) =>
+  bytes(be32(3), be32(tipo.length), tipo, be32(0), new Uint8Array(16), be32(datos.length), datos);
+
+test("leerEtiquetas lee los comentarios Vorbis y la portada de un FLAC", async () => {
+  const archivo = new Blob([bytes(
+    "fLaC",
+    bloqueFlac(0, new Uint8Array(34)),
+    bloqueFlac(4, comentariosVorbis("title=Mañana", "ARTIST=El Mató", "album=", "Lyrics=una línea")),
+    bloqueFlac(6, pictureFlac("image/png", PNG), true),
+    "audio",
+  )]);
+  const tags = await leerEtiquetas(archivo);
+  assert.equal(tags.title, "Mañana");
+  assert.equal(tags.artist, "El Mató");
+  assert.equal(tags.album, undefined);
+  assert.equal(tags.letra, "una línea");
+  assert.deepEqual(await portada(tags), { tipo: "image/png", datos: PNG });
+});
+
+test("leerEtiquetas lee los tags de Opus", async () => {
+  const cabecera = bytes("OpusHead", new Uint8Array(11));
+  const comentarios = bytes("OpusTags", comentariosVorbis("TITLE=Ópera", "ARTIST=Voz"));
+  const pagina = bytes("OggS", new Uint8Array(22), [2, cabecera.length, comentarios.length], cabecera, comentarios);
+  assert.deepEqual(await leerEtiquetas(new Blob([pagina])), { title: "Ópera", artist: "Voz" });
+});
+
+const atomo = (tipo, ...hijos) => {
+  const cuerpo = bytes(...hijos);
+  return bytes(be32(cuerpo.length + 8), tipo, cuerpo);
+};
+const dato = (tipo, valor) => atomo("data", be32(tipo), be32(0), valor);
+
+test("leerEtiquetas encuentra el moov aunque esté después de los datos de audio", async () => {
+  const archivo = new Blob([bytes(
+    atomo("ftyp", "M4A ", be32(0)),
+    atomo("mdat", new Uint8Array(64)),
+    atomo("moov",
+      atomo("mvhd", new Uint8Array(8)),
+      atomo("udta",
+        atomo("meta", be32(0),
+          atomo("ilst",
+            atomo("\xa9nam", dato(1, utf8("Tema ✓"))),
+            atomo("\xa9ART", dato(1, utf8("Artista"))),
+            atomo("covr", dato(14, PNG)))))),
+  )]);
+  const tags = await leerEtiquetas(archivo);
+  assert.equal(tags.title, "Tema ✓");
+  assert.equal(tags.artist, "Artista");
+  assert.deepEqual(await portada(tags), { tipo: "image/png", datos: PNG });
+});
+
+test("leerEtiquetas devuelve vacío si no reconoce el formato", async () => {
+  assert.deepEqual(await leerEtiquetas(new Blob(["RIFF....WAVEfmt "])), {});
+  assert.deepEqual(await leerEtiquetas(new Blob([])), {});
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { leerLrc, letraDeTexto } from "../letras.mjs";
+
+test("leerLrc ordena las líneas por tiempo", () => {
+  assert.deepEqual(leerLrc("[00:05.50]segunda\r\n[00:01]primera\n[01:02:25]tercera"), [
+    { time: 1, text: "primera" },
+    { time: 5.5, text: "segunda" },
+    { time: 62.25, text: "tercera" },
+  ]);
+});
+
+test("leerLrc repite las líneas con varios tiempos y quita las marcas por palabra", () => {
+  assert.deepEqual(leerLrc("[00:12.00][01:30.00]<00:12.00>estri<00:12.50>billo"), [
+    { time: 12, text: "estribillo" },
+    { time: 90, text: "estribillo" },
+  ]);
+});
+
+test("leerLrc aplica el offset sin dejar tiempos negativos", () => {
+  assert.deepEqual(leerLrc("[offset:+500]\n[00:00.20]a\n[00:02]b"), [
+    { time: 0, text: "a" },
+    { time: 1.5, text: "b" },
+  ]);
+});
+
+test("leerLrc devuelve vacío si el texto no es LRC", () => {
+  assert.deepEqual(leerLrc("[ar:Artista]\nuna letra\nsin tiempos"), []);
+});
+
+test("letraDeTexto sincroniza si el texto es LRC y si no lo deja línea por línea", () => {
+  assert.deepEqual(letraDeTexto("[00:01]hola", "lrc"), { synced: true, source: "lrc", lines: [{ time: 1, text: "hola" }] });
+  assert.deepEqual(letraDeTexto(" uno \r\ndos\n"), {
+    synced: false,
+    source: "tags",
+    lines: [
+      { time: null, text: "uno" },
+      { time: null, text: "dos" },
+    ],
+  });
+  assert.equal(letraDeTexto("  \n"), null);
+  assert.equal(letraDeTexto(null), null);
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// loginGuard audita los intentos en la base
+process.env.DB_PATH = ':memory:';
+const loginGuard = require('../loginGuard');
+
+// Cada prueba usa su propia IP y cuenta: el estado del guard es del módulo
+const fallar = (ip, email, veces, desde) => {
+  for (let i = 0; i < veces; i++) loginGuard.recordFailure(ip, email, 'bad_password', desde + i);
+};
+
+test('check deja pasar a una cuenta sin fallos', () => {
+  assert.deepEqual(loginGuard.check('10.0.0.1', 'nueva@ejemplo.com'), { allowed: true });
+});
+
+test('a partir del tercer fallo hay que esperar cada vez más', () => {
+  const t = 1_000_000;
+  fallar('10.0.0.2', 'lenta@ejemplo.com', 2, t);
+  assert.equal(loginGuard.check('10.0.0.2', 'lenta@ejemplo.com', t + 2).allowed, true);
+
+  fallar('10.0.0.2', 'lenta@ejemplo.com', 1, t + 2);
+  assert.deepEqual(loginGuard.check('10.0.0.2', 'lenta@ejemplo.com', t + 500), { allowed: false, retryAfter: 1, reason: 'too_fast' });
+  assert.equal(loginGuard.check('10.0.0.2', 'lenta@ejemplo.com', t + 1002).allowed, true);
+
+  fallar('10.0.0.2', 'lenta@ejemplo.com', 1, t + 1002);
+  assert.equal(loginGuard.check('10.0.0.2', 'lenta@ejemplo.com', t + 2500).retryAfter, 1);
+  assert.equal(loginGuard.check('10.0.0.2', 'lenta@ejemplo.com', t + 3002).allowed, true);
+});
+
+test('con diez fallos la cuenta se bloquea y un acierto borra el historial', () => {
+  const t = 2_000_000;
+  fallar('10.0.0.3', 'bloqueada@ejemplo.com', 10, t);
+  const guard = loginGuard.check('10.0.0.3', 'bloqueada@ejemplo.com', t + 10);
+  assert.equal(guard.reason, 'locked');
+  assert.equal(guard.retryAfter, 15 * 60);
+
+  loginGuard.recordSuccess('bloqueada@ejemplo.com');
+  assert.equal(loginGuard.check('10.0.0.3', 'bloqueada@ejemplo.com', t + 20).allowed, true);
+});
+
+test('una IP con demasiados fallos queda limitada para todas las cuentas', () => {
+  const t = 3_000_000;
+  for (let i = 0; i < 50; i++) fallar('10.0.0.4', `cuenta${i}@ejemplo.com`, 1, t + i);
+  assert.equal(loginGuard.check('10.0.0.4', 'otra@ejemplo.com', t + 100).reason, 'ip_rate_limited');
+  assert.equal(loginGuard.check('10.0.0.5', 'otra@ejemplo.com', t + 100).allowed, true);
+  // Los fallos vencen a los 15 minutos
+  assert.equal(loginGuard.check('10.0.0.4', 'otra@ejemplo.com', t + 15 * 60 * 1000 + 50).allowed, true);
+});
+
+test('serialize atiende de a uno los intentos sobre la misma cuenta', async () => {
+  const orden = [];
+  const intento = (nombre, ms) => async () => {
+    orden.push(`${nombre}:inicio`);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    orden.push(`${nombre}:fin`);
+  };
+
+  await Promise.all([
+    loginGuard.serialize('Cola@ejemplo.com', intento('a', 20)),
+    loginGuard.serialize('cola@ejemplo.com', intento('b', 0)),
+    loginGuard.serialize('otra@ejemplo.com', intento('c', 0))
+  ]);
+  assert.deepEqual(orden, ['a:inicio', 'c:inicio', 'c:fin', 'a:fin', 'b:inicio', 'b:fin']);
+});
+
+test('serialize sigue con la cola aunque un intento falle', async () => {
+  const fallido = loginGuard.serialize('error@ejemplo.com', async () => { throw new Error('falló'); });
+  const siguiente = loginGuard.serialize('error@ejemplo.com', async () => 'ok');
+  await assert.rejects(fallido, /falló/);
+  assert.equal(await siguiente, 'ok');
+});
+
+test('serialize no encola más de cinco intentos por cuenta', async () => {
+  let liberar;
+  const bloqueado = new Promise(resolve => { liberar = resolve; });
+  const turnos = Array.from({ length: 5 }, () => loginGuard.serialize('llena@ejemplo.com', () => bloqueado));
+  assert.ok(turnos.every(Boolean));
+  assert.equal(loginGuard.serialize('LLENA@ejemplo.com', async () => 'extra'), null);
+  assert.ok(loginGuard.serialize('otra.cuenta@ejemplo.com', async () => {}));
+
+  liberar();
+  await Promise.all(turnos);
+  assert.equal(await loginGuard.serialize('llena@ejemplo.com', async () => 'de nuevo'), 'de nuevo');
+});
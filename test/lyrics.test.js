@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// lyrics.js carga el catálogo, que abre la base de datos y lee MUSIC_DIR
+const musicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'miunave-letras-'));
+process.env.DB_PATH = ':memory:';
+process.env.MUSIC_DIR = musicDir;
+const { findLyrics } = require('../lyrics');
+
+test.after(() => fs.rmSync(musicDir, { recursive: true, force: true }));
+
+// El audio no hace falta que sea válido: sin tags, solo cuenta el .lrc
+const cancion = (nombre, lrc) => {
+  fs.writeFileSync(path.join(musicDir, `${nombre}.mp3`), 'no es audio');
+  if (lrc !== undefined) fs.writeFileSync(path.join(musicDir, `${nombre}.lrc`), lrc);
+  return { path: `${nombre}.mp3`, owner_id: null };
+};
+
+test('findLyrics usa el .lrc que está al lado del archivo', async () => {
+  assert.deepEqual(await findLyrics(cancion('con-lrc', '[00:02]dos\n[00:01]uno')), {
+    synced: true,
+    source: 'lrc',
+    lines: [{ time: 1, text: 'uno' }, { time: 2, text: 'dos' }]
+  });
+});
+
+test('findLyrics lee el .lrc en Latin-1 si no es UTF-8', async () => {
+  const song = cancion('latin1');
+  fs.writeFileSync(path.join(musicDir, 'latin1.lrc'), Buffer.from('[00:01]canción', 'latin1'));
+  assert.deepEqual((await findLyrics(song)).lines, [{ time: 1, text: 'canción' }]);
+});
+
+test('findLyrics devuelve null sin .lrc ni letra en los tags', async () => {
+  assert.equal(await findLyrics(cancion('sin-letra')), null);
+  assert.equal(await findLyrics(cancion('lrc-sin-tiempos', 'solo texto')), null);
+});
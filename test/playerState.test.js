@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const playerState = require('../playerState');
+
+const ID = '0123456789abcdef';
+
+test('normalize rechaza lo que no tiene la forma esperada', () => {
+  assert.equal(playerState.normalize(null), null);
+  assert.equal(playerState.normalize([]), null);
+  assert.equal(playerState.normalize({ volume: 1 }), null);
+});
+
+test('normalize completa los valores por defecto', () => {
+  assert.deepEqual(playerState.normalize({ queue: {} }), {
+    queue: { source: null, sourceIndex: -1, current: null, upcoming: [], history: [] },
+    position: 0,
+    volume: 1,
+    shuffle: false,
+    repeat: false,
+    crossfade: 0,
+    eq: {},
+    loudness: { enabled: true, mode: 'track', target: -14 }
+  });
+});
+
+test('normalize descarta entradas e ids inválidos', () => {
+  const { queue } = playerState.normalize({
+    queue: {
+      source: { name: '  Lista  ', context: 'playlist:3', songIds: [ID] },
+      current: { songId: ID, index: -2, manual: 1 },
+      upcoming: [{ songId: 'no-es-un-id' }, { songId: ID, index: 0 }, 'x']
+    }
+  });
+  assert.deepEqual(queue.source, { name: 'Lista', context: 'playlist:3', songIds: [ID] });
+  assert.deepEqual(queue.current, { songId: ID, index: null, manual: true });
+  assert.deepEqual(queue.upcoming, [{ songId: ID, index: 0, manual: false }]);
+
+  const sinOrigen = playerState.normalize({ queue: { source: { name: 'Lista', songIds: ['../etc'] } } });
+  assert.equal(sinOrigen.queue.source, null);
+  const sinContexto = playerState.normalize({ queue: { source: { name: 'Lista', context: 'Rock', songIds: [] } } });
+  assert.equal(sinContexto.queue.source.context, null);
+});
+
+test('normalize limita los valores numéricos y el largo de la cola', () => {
+  const state = playerState.normalize({
+    queue: { upcoming: Array.from({ length: playerState.MAX_QUEUE + 10 }, () => ({ songId: ID })) },
+    position: -5,
+    volume: 3,
+    crossfade: 99,
+    eq: { preamp: -20, 31: 100, 62: 'alto', 60: 3 },
+    loudness: { enabled: 0, mode: 'otro', target: -100 }
+  });
+  assert.equal(state.queue.upcoming.length, playerState.MAX_QUEUE);
+  assert.equal(state.position, 0);
+  assert.equal(state.volume, 1);
+  assert.equal(state.crossfade, 12);
+  assert.deepEqual(state.eq, { preamp: -12, 31: 12 });
+  assert.deepEqual(state.loudness, { enabled: false, mode: 'track', target: -30 });
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const servidor = require('./servidor');
+const playlistFiles = require('../playlistFiles');
+
+test.after(servidor.detener);
+
+test('parse lee M3U extendido con nombre, duración y "Artista - Título"', () => {
+  const texto = '\uFEFF#EXTM3U\r\n#PLAYLIST:Viaje\r\n#EXTINF:245,Soda Stereo - De Música Ligera\r\nC:\\Música\\soda.mp3\r\n\r\n#EXTINF:-1,Intro\r\nintro.mp3\r\notra.mp3\r\n';
+  assert.deepEqual(playlistFiles.parse(texto, 'lista.m3u'), {
+    format: 'm3u',
+    nombre: 'Viaje',
+    tracks: [
+      { location: 'C:\\Música\\soda.mp3', duration: 245, artist: 'Soda Stereo', title: 'De Música Ligera' },
+      { location: 'intro.mp3', duration: null, artist: null, title: 'Intro' },
+      { location: 'otra.mp3' }
+    ]
+  });
+});
+
+test('parse lee PLS respetando la numeración', () => {
+  const texto = '[playlist]\nFile2=b.mp3\nTitle2=Banda - Bis\nFile1=a.mp3\nLength1=90\nNumberOfEntries=2\n';
+  assert.deepEqual(playlistFiles.parse(texto).tracks, [
+    { location: 'a.mp3', duration: 90 },
+    { location: 'b.mp3', duration: null, artist: 'Banda', title: 'Bis' }
+  ]);
+});
+
+test('parse lee XSPF y desescapa el XML', () => {
+  const texto = `<?xml version="1.0" encoding="UTF-8"?>
+<playlist version="1" xmlns="http://xspf.org/ns/0/">
+  <title>Rock &amp; Pop</title>
+  <trackList>
+    <track><location>file:///m/a.flac</location><title><![CDATA[Uno & Dos]]></title><creator>Caf&#233; Tacvba</creator><duration>61500</duration></track>
+  </trackList>
+</playlist>`;
+  assert.deepEqual(playlistFiles.parse(texto, 'x.txt'), {
+    format: 'xspf',
+    nombre: 'Rock & Pop',
+    tracks: [{ location: 'file:///m/a.flac', title: 'Uno & Dos', artist: 'Café Tacvba', album: null, duration: 61.5 }]
+  });
+});
+
+test('parse devuelve null si no reconoce el formato', () => {
+  assert.equal(playlistFiles.parse('hola', 'notas.txt'), null);
+  assert.equal(playlistFiles.parse('a.mp3\nb.mp3', 'lista.m3u8').format, 'm3u8');
+});
+
+test('decode acepta UTF-8 y cae a Latin-1 si no es válido', () => {
+  assert.equal(playlistFiles.decode(Buffer.from('canción ✓', 'utf8')), 'canción ✓');
+  assert.equal(playlistFiles.decode(Buffer.from('canción', 'latin1')), 'canción');
+});
+
+test('serialize y parse van y vuelven', () => {
+  const tracks = [{ location: 'http://x/api/stream/1', title: 'Tema', artist: 'Grupo', album: 'Disco', duration: 100.4 }];
+  for (const format of playlistFiles.FORMATS) {
+    const { body, filename } = playlistFiles.serialize(format, 'Mi/Lista', tracks);
+    assert.equal(filename, `Mi_Lista.${format}`);
+    const leida = playlistFiles.parse(playlistFiles.decode(body), filename);
+    assert.equal(leida.tracks[0].location, tracks[0].location);
+    assert.equal(leida.tracks[0].title, 'Tema');
+    assert.equal(leida.tracks[0].artist, 'Grupo');
+  }
+});
+
+test('matchTracks encuentra por URL de stream, ruta y nombre', () => {
+  const stream = servidor.crearCancion({ nombre: 'varios/stream' });
+  const enCarpeta = servidor.crearCancion({ nombre: 'rock/intro', title: 'Intro Rock' });
+  servidor.crearCancion({ nombre: 'pop/intro', title: 'Intro Pop' });
+  const porNombre = servidor.crearCancion({ nombre: 'x/1', title: 'Lamento Boliviano', artist: 'Los Enanitos Verdes' });
+  const ajena = servidor.crearCancion({ nombre: 'ajena', ownerId: servidor.crearUsuario().id });
+  const encontradas = playlistFiles.matchTracks([
+    { location: `https://otro.host/api/stream/${stream.id}` },
+    { location: 'D:\\Musica\\rock\\intro.mp3' },
+    { location: 'perdida.mp3', artist: 'los enanitos verdes', title: 'LAMENTO BOLIVIANO' },
+    { location: 'file:///home/yo/Los%20Enanitos%20Verdes%20-%20Lamento%20Boliviano.mp3' },
+    { location: `/api/stream/${ajena.id}` },
+    { location: 'intro.mp3' }
+  ], null).map(t => t.song && t.song.id);
+
+  assert.deepEqual(encontradas, [stream.id, enCarpeta.id, porNombre.id, porNombre.id, null, null]);
+});
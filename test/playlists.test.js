@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const servidor = require('./servidor');
+const catalog = require('../catalog');
+
+test.before(servidor.iniciar);
+test.after(servidor.detener);
+
+// Dueño, colaborador y un tercero sin relación con una playlist privada
+const escenario = async () => {
+  const [dueno, colaborador, otro] = [servidor.crearUsuario(), servidor.crearUsuario(), servidor.crearUsuario()];
+  const c = {
+    dueno: await servidor.conSesion(dueno),
+    colaborador: await servidor.conSesion(colaborador),
+    otro: await servidor.conSesion(otro),
+    anonimo: servidor.cliente()
+  };
+  const { body } = await c.dueno.pedir('POST', '/api/playlists', { nombre: 'Privada' });
+  const id = body.playlist.id;
+  await c.dueno.pedir('POST', `/api/playlists/${id}/collaborators`, { email: colaborador.email });
+  return { id, colaborador, c };
+};
+
+test('una playlist privada no existe para quien no tiene rol', async () => {
+  const { id, c } = await escenario();
+  assert.equal((await c.dueno.pedir('GET', `/api/playlists/${id}`)).body.playlist.role, 'owner');
+  assert.equal((await c.colaborador.pedir('GET', `/api/playlists/${id}`)).body.playlist.role, 'collaborator');
+  assert.equal((await c.otro.pedir('GET', `/api/playlists/${id}`)).status, 404);
+  assert.equal((await c.anonimo.pedir('GET', `/api/playlists/${id}/songs`)).status, 404);
+});
+
+test('el colaborador edita las canciones pero no la playlist', async () => {
+  const { id, c } = await escenario();
+  const songPath = catalog.publicPath(servidor.crearCancion({ nombre: 'colaborada' }));
+
+  assert.equal((await c.colaborador.pedir('POST', `/api/playlists/${id}/songs`, { songPath })).status, 201);
+  assert.equal((await c.colaborador.pedir('PATCH', `/api/playlists/${id}`, { nombre: 'Mía' })).status, 403);
+  assert.equal((await c.colaborador.pedir('DELETE', `/api/playlists/${id}`)).status, 403);
+  assert.equal((await c.colaborador.pedir('GET', `/api/playlists/${id}/shares`)).status, 403);
+  assert.equal((await c.otro.pedir('POST', `/api/playlists/${id}/songs`, { songPath })).status, 404);
+});
+
+test('una playlist pública se ve sin rol pero no se puede editar', async () => {
+  const { id, c } = await escenario();
+  await c.dueno.pedir('PATCH', `/api/playlists/${id}`, { visibility: 'public' });
+
+  const vista = await c.anonimo.pedir('GET', `/api/playlists/${id}`);
+  assert.equal(vista.status, 200);
+  assert.equal(vista.body.playlist.role, null);
+  assert.equal((await c.otro.pedir('POST', `/api/playlists/${id}/songs`, { songPath: '/musica/x.mp3' })).status, 403);
+  assert.equal((await c.anonimo.pedir('POST', `/api/playlists/${id}/songs`, { songPath: '/musica/x.mp3' })).status, 401);
+});
+
+test('un colaborador solo se puede quitar a sí mismo', async () => {
+  const { id, colaborador, c } = await escenario();
+  const otroColaborador = servidor.crearUsuario();
+  await c.dueno.pedir('POST', `/api/playlists/${id}/collaborators`, { email: otroColaborador.email });
+
+  assert.equal((await c.colaborador.pedir('DELETE', `/api/playlists/${id}/collaborators/${otroColaborador.id}`)).status, 403);
+  assert.equal((await c.colaborador.pedir('DELETE', `/api/playlists/${id}/collaborators/${colaborador.id}`)).status, 200);
+  assert.equal((await c.colaborador.pedir('GET', `/api/playlists/${id}`)).status, 404);
+  assert.equal((await c.dueno.pedir('DELETE', `/api/playlists/${id}/collaborators/${otroColaborador.id}`)).status, 200);
+});
+
+test('la lista de colaboradores no expone los emails', async () => {
+  const { id, colaborador, c } = await escenario();
+  const res = await c.colaborador.pedir('GET', `/api/playlists/${id}/collaborators`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(Object.keys(res.body.owner).sort(), ['id', 'nombre']);
+  assert.deepEqual(res.body.collaborators.map(u => u.id), [colaborador.id]);
+  assert.deepEqual(Object.keys(res.body.collaborators[0]).sort(), ['added_at', 'id', 'nombre']);
+  assert.doesNotMatch(JSON.stringify(res.body), /@/);
+
+  assert.equal((await c.otro.pedir('GET', `/api/playlists/${id}/collaborators`)).status, 404);
+});
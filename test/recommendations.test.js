@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const servidor = require('./servidor');
+const repo = require('../repository');
+const catalog = require('../catalog');
+const recommendations = require('../recommendations');
+
+test.before(servidor.iniciar);
+test.after(servidor.detener);
+
+// Mismo formato que guarda /api/history
+const haceMinutos = (min) => new Date(Date.now() - min * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+
+const escuchar = (user, song, minutos, skipped = false) => repo.history.add({
+  userId: user.id, songId: song.id, startedAt: haceMinutos(minutos), listenedSeconds: skipped ? 5 : 180, skipped
+});
+
+const base = servidor.crearCancion({ nombre: 'base', artist: 'Charly García', genre: 'Rock' });
+const mismoArtista = servidor.crearCancion({ nombre: 'artista', artist: 'charly garcía' });
+const enPlaylists = servidor.crearCancion({ nombre: 'playlists', artist: 'Fito Páez' });
+const mismoGenero = servidor.crearCancion({ nombre: 'genero', artist: 'Spinetta', genre: 'rock' });
+const enSesion = servidor.crearCancion({ nombre: 'sesion', artist: 'Virus' });
+const lejos = servidor.crearCancion({ nombre: 'lejos', artist: 'Sumo' });
+
+const oyente = servidor.crearUsuario();
+for (const nombre of ['Una', 'Otra']) {
+  const playlist = repo.playlists.create(oyente.id, nombre);
+  repo.playlists.setVisibility(playlist.id, 'public');
+  repo.playlists.addSong(playlist.id, catalog.publicPath(base), oyente.id);
+  repo.playlists.addSong(playlist.id, catalog.publicPath(enPlaylists), oyente.id);
+}
+// Lo escuchado a menos de 30 minutos cuenta; lo de dos horas después no
+escuchar(oyente, base, 130);
+escuchar(oyente, enSesion, 120);
+escuchar(oyente, lejos, 10);
+
+const ids = (songs) => songs.map(s => s.id);
+
+test('similarTo ordena por playlists, artista, sesión y género', () => {
+  assert.deepEqual(ids(recommendations.similarTo(base.id)), [enPlaylists.id, mismoArtista.id, enSesion.id, mismoGenero.id]);
+});
+
+test('similarTo respeta el límite y devuelve null si la canción no se ve', () => {
+  assert.deepEqual(ids(recommendations.similarTo(base.id, null, 2)), [enPlaylists.id, mismoArtista.id]);
+  const subida = servidor.crearCancion({ nombre: 'privada', ownerId: oyente.id });
+  assert.equal(recommendations.similarTo(subida.id), null);
+  assert.equal(recommendations.similarTo('0123456789abcdef'), null);
+});
+
+test('similarTo omite lo que el usuario suele saltear', () => {
+  const saltea = servidor.crearUsuario();
+  escuchar(saltea, mismoArtista, 60, true);
+  assert.deepEqual(ids(recommendations.similarTo(base.id, saltea.id)), [enPlaylists.id, enSesion.id, mismoGenero.id]);
+});
+
+test('similarTo solo cuenta las playlists privadas propias o en las que colabora', () => {
+  const secreta = servidor.crearCancion({ nombre: 'secreta', artist: 'Nadie' });
+  const [dueno, colaborador, otro] = [servidor.crearUsuario(), servidor.crearUsuario(), servidor.crearUsuario()];
+  const privada = repo.playlists.create(dueno.id, 'Privada');
+  repo.playlists.addCollaborator(privada.id, colaborador.id);
+  repo.playlists.addSong(privada.id, catalog.publicPath(base), dueno.id);
+  repo.playlists.addSong(privada.id, catalog.publicPath(secreta), dueno.id);
+
+  assert.ok(ids(recommendations.similarTo(base.id, dueno.id)).includes(secreta.id));
+  assert.ok(ids(recommendations.similarTo(base.id, colaborador.id)).includes(secreta.id));
+  assert.equal(ids(recommendations.similarTo(base.id, otro.id)).includes(secreta.id), false);
+  assert.equal(ids(recommendations.similarTo(base.id)).includes(secreta.id), false);
+});
+
+test('similarTo ignora las sesiones de hace más de 90 días', () => {
+  const vieja = servidor.crearCancion({ nombre: 'vieja', artist: 'Olvidada' });
+  const nostalgico = servidor.crearUsuario();
+  escuchar(nostalgico, base, 91 * 24 * 60);
+  escuchar(nostalgico, vieja, 91 * 24 * 60 - 5);
+  assert.equal(ids(recommendations.similarTo(base.id)).includes(vieja.id), false);
+});
+
+test('las similares piden sesión', async () => {
+  const ruta = `/api/recommendations/similar/${base.id}`;
+  assert.equal((await servidor.cliente().pedir('GET', ruta)).status, 401);
+  const res = await (await servidor.conSesion(oyente)).pedir('GET', `${ruta}?limit=1`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.songs.map(s => s.id), [enPlaylists.id]);
+});
+
+test('dailyMix sin historial no es personalizado y se repite durante el día', () => {
+  for (let i = 0; i < 5; i++) servidor.crearCancion({ nombre: `prolifico-${i}`, artist: 'Prolífico' });
+  const nuevo = servidor.crearUsuario();
+
+  const mix = recommendations.dailyMix(nuevo.id);
+  assert.equal(mix.personalized, false);
+  assert.equal(mix.day, new Date().toISOString().slice(0, 10));
+  assert.ok(mix.songs.filter(s => s.artist === 'Prolífico').length <= 3);
+  assert.deepEqual(ids(recommendations.dailyMix(nuevo.id).songs), ids(mix.songs));
+});
+
+test('dailyMix se personaliza con el historial y no incluye lo salteado', () => {
+  const mix = recommendations.dailyMix(oyente.id);
+  assert.equal(mix.personalized, true);
+
+  const saltea = servidor.crearUsuario();
+  escuchar(saltea, lejos, 5, true);
+  assert.equal(ids(recommendations.dailyMix(saltea.id).songs).includes(lejos.id), false);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const servidor = require('./servidor');
+const repo = require('../repository');
+const { search } = require('../search');
+
+test.after(servidor.detener);
+
+const dueno = servidor.crearUsuario();
+const otro = servidor.crearUsuario();
+
+servidor.crearCancion({ nombre: 'enanitos/lamento', title: 'Lamento Boliviano', artist: 'Los Enanitos Verdes', album: 'Big Bang' });
+servidor.crearCancion({ nombre: 'enanitos/guitarras', title: 'Guitarras Blancas', artist: 'Los Enanitos Verdes', album: 'Big Bang' });
+servidor.crearCancion({ nombre: 'soda/musica', title: 'De Música Ligera', artist: 'Soda Stereo', album: 'Canción Animal' });
+servidor.crearCancion({ nombre: 'soda/cancion', title: 'Canción Animal', artist: 'Soda Stereo', album: 'Canción Animal' });
+servidor.crearCancion({ nombre: 'subida', title: 'Lamento Propio', ownerId: dueno.id });
+
+const titulos = (resultado) => resultado.songs.map(s => s.title);
+
+test('search ignora acentos y mayúsculas', () => {
+  assert.deepEqual(titulos(search('MUSICA ligera', null, 10)), ['De Música Ligera']);
+});
+
+test('search tolera errores de tipeo según el largo', () => {
+  assert.deepEqual(titulos(search('bolivano', null, 10)), ['Lamento Boliviano']);
+  // En palabras de menos de 4 letras no se aceptan errores
+  assert.deepEqual(titulos(search('bog', null, 10)), []);
+});
+
+test('search pide que aparezcan todos los términos y prioriza el título exacto', () => {
+  assert.deepEqual(titulos(search('cancion animal', null, 10)), ['Canción Animal', 'De Música Ligera']);
+  assert.deepEqual(titulos(search('cancion enanitos', null, 10)), []);
+});
+
+test('search agrupa artistas y álbumes', () => {
+  const { artists, albums } = search('enanitos', null, 10);
+  assert.deepEqual(artists.map(a => [a.name, a.songCount]), [['Los Enanitos Verdes', 2]]);
+  // Los álbumes también se encuentran por el artista
+  assert.deepEqual(albums.map(a => [a.name, a.artist, a.songs.length]), [['Big Bang', 'Los Enanitos Verdes', 2]]);
+  assert.deepEqual(search('big bang', null, 10).artists, []);
+});
+
+test('search solo muestra las subidas propias', () => {
+  assert.deepEqual(titulos(search('lamento', null, 10)), ['Lamento Boliviano']);
+  assert.deepEqual(titulos(search('lamento', otro.id, 10)), ['Lamento Boliviano']);
+  assert.deepEqual(titulos(search('lamento', dueno.id, 10)).sort(), ['Lamento Boliviano', 'Lamento Propio']);
+});
+
+test('search muestra las playlists propias y las públicas, no las privadas de otros', () => {
+  const privada = repo.playlists.create(dueno.id, 'Viaje privado');
+  const publica = repo.playlists.create(dueno.id, 'Viaje público');
+  repo.playlists.setVisibility(publica.id, 'public');
+
+  const propias = search('viaje', dueno.id, 10).playlists;
+  assert.deepEqual(propias.map(p => [p.id, p.role]).sort(), [[privada.id, 'owner'], [publica.id, 'owner']]);
+  assert.deepEqual(search('viaje', otro.id, 10).playlists.map(p => [p.id, p.role]), [[publica.id, null]]);
+  assert.deepEqual(search('viaje', null, 10).playlists.map(p => p.id), [publica.id]);
+});
+
+test('search encuentra las destacadas por nombre o por sus artistas', () => {
+  assert.deepEqual(search('rock clasico', null, 10).curated.map(p => p.id), ['rock-clasico']);
+  assert.deepEqual(search('cerati', null, 10).curated.map(p => p.id), ['rock-nacional']);
+});
+
+test('search sin términos no devuelve nada', () => {
+  assert.deepEqual(search(' ¡! ', null, 10), { songs: [], artists: [], albums: [], playlists: [], curated: [] });
+});
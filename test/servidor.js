@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcrypt');
+
+// Levanta la app para probar las rutas: base en memoria, carpetas temporales
+// y un puerto libre. Hay que requerirlo antes que cualquier módulo del
+// servidor, porque db.js y catalog.js leen las variables al cargarse.
+const carpeta = fs.mkdtempSync(path.join(os.tmpdir(), 'miunave-rutas-'));
+process.env.DB_PATH = ':memory:';
+process.env.MUSIC_DIR = path.join(carpeta, 'musica');
+process.env.UPLOAD_DIR = path.join(carpeta, 'subidas');
+fs.mkdirSync(process.env.MUSIC_DIR);
+fs.mkdirSync(process.env.UPLOAD_DIR);
+
+const repo = require('../repository');
+const catalog = require('../catalog');
+const app = require('../index');
+
+const PASSWORD = 'Secreta123!';
+
+let server = null;
+let base = null;
+
+const iniciar = () => new Promise((resolve) => {
+  server = app.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+});
+
+// También sirve para las pruebas que solo usan crearUsuario y crearCancion
+const detener = () => new Promise((resolve) => {
+  fs.rmSync(carpeta, { recursive: true, force: true });
+  if (server) server.close(() => resolve());
+  else resolve();
+});
+
+// Directo en la base: el registro hashea con costo 10 y manda el email de
+// verificación, y acá no hace falta ninguna de las dos cosas
+let usuarios = 0;
+const crearUsuario = (nombre = `Usuario ${++usuarios}`) => repo.users.create({
+  nombre,
+  email: `${nombre.toLowerCase().replace(/\W+/g, '.')}@ejemplo.com`,
+  password: bcrypt.hashSync(PASSWORD, 4)
+});
+
+// Una canción de la biblioteca (o una subida si tiene ownerId) con su archivo
+// en disco; el contenido no importa porque no se leen los tags. `nombre` es
+// la ruta sin extensión y, si no se pasa otro, también el título.
+const crearCancion = ({ nombre, ownerId = null, ...tags }) => {
+  const relPath = ownerId ? `${ownerId}/${nombre}.mp3` : `${nombre}.mp3`;
+  const archivo = path.join(ownerId ? catalog.UPLOAD_DIR : catalog.MUSIC_DIR, relPath);
+  fs.mkdirSync(path.dirname(archivo), { recursive: true });
+  fs.writeFileSync(archivo, `audio de ${nombre}`);
+  repo.songs.save({
+    id: catalog.songIdFor(relPath),
+    path: relPath,
+    title: nombre,
+    artist: null,
+    album: null,
+    year: null,
+    genre: null,
+    duration: 180,
+    file_size: 0,
+    file_mtime: 0,
+    owner_id: ownerId,
+    ...tags
+  }, null);
+  return repo.songs.findById(catalog.songIdFor(relPath));
+};
+
+// Un navegador: guarda las cookies que manda el servidor y las reenvía.
+// No respeta el Path, así se puede probar qué hace el servidor con cada una.
+const cliente = () => {
+  const cookies = new Map();
+
+  const pedir = async (metodo, ruta, body, headers = {}) => {
+    const res = await fetch(base + ruta, {
+      method: metodo,
+      headers: {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(cookies.size ? { Cookie: [...cookies].map(([k, v]) => `${k}=${v}`).join('; ') } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    for (const cookie of res.headers.getSetCookie()) {
+      const [, nombre, valor] = cookie.match(/^([^=]+)=([^;]*)/);
+      if (valor && !/Expires=Thu, 01 Jan 1970/i.test(cookie)) cookies.set(nombre, valor);
+      else cookies.delete(nombre);
+    }
+    const tipo = res.headers.get('content-type') || '';
+    return { status: res.status, headers: res.headers, body: tipo.includes('json') ? await res.json() : await res.text() };
+  };
+
+  return { cookies, pedir };
+};
+
+// Cliente con la sesión de `user` iniciada por /api/login
+const conSesion = async (user) => {
+  const c = cliente();
+  const res = await c.pedir('POST', '/api/login', { email: user.email, password: PASSWORD });
+  if (res.status !== 200) throw new Error(`No se pudo iniciar sesión: ${res.status}`);
+  return c;
+};
+
+module.exports = { PASSWORD, iniciar, detener, crearUsuario, crearCancion, cliente, conSesion };
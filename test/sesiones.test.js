@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const servidor = require('./servidor');
+
+test.before(servidor.iniciar);
+test.after(servidor.detener);
+
+test('refresh rota el refresh token y renueva el access token', async () => {
+  const user = servidor.crearUsuario();
+  const c = await servidor.conSesion(user);
+  const anterior = c.cookies.get('refresh_token');
+
+  const res = await c.pedir('POST', '/api/session/refresh');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.id, user.id);
+  assert.notEqual(c.cookies.get('refresh_token'), anterior);
+  // El access token nuevo llega en la misma respuesta
+  assert.match(res.headers.getSetCookie().join(), /(^|,)token=[^;]+/);
+
+  assert.equal((await c.pedir('GET', '/api/verify')).status, 200);
+});
+
+test('reusar un refresh token ya rotado revoca toda la familia', async () => {
+  const c = await servidor.conSesion(servidor.crearUsuario());
+  const robado = c.cookies.get('refresh_token');
+  assert.equal((await c.pedir('POST', '/api/session/refresh')).status, 200);
+
+  const atacante = servidor.cliente();
+  atacante.cookies.set('refresh_token', robado);
+  const reuso = await atacante.pedir('POST', '/api/session/refresh');
+  assert.equal(reuso.status, 401);
+  assert.equal(atacante.cookies.has('refresh_token'), false);
+
+  // El token vigente del dueño cayó con la familia
+  assert.equal((await c.pedir('POST', '/api/session/refresh')).status, 401);
+});
+
+test('refresh sin cookie o con un token desconocido responde 401', async () => {
+  const c = servidor.cliente();
+  assert.equal((await c.pedir('POST', '/api/session/refresh')).status, 401);
+  c.cookies.set('refresh_token', 'inventado');
+  assert.equal((await c.pedir('POST', '/api/session/refresh')).status, 401);
+});
+
+test('logout revoca el refresh token', async () => {
+  const c = await servidor.conSesion(servidor.crearUsuario());
+  const refresh = c.cookies.get('refresh_token');
+  assert.equal((await c.pedir('POST', '/api/session/logout')).status, 200);
+  assert.equal(c.cookies.size, 0);
+
+  c.cookies.set('refresh_token', refresh);
+  assert.equal((await c.pedir('POST', '/api/session/refresh')).status, 401);
+});
+
+test('login rechaza la contraseña equivocada sin emitir sesión', async () => {
+  const user = servidor.crearUsuario();
+  const c = servidor.cliente();
+  const res = await c.pedir('POST', '/api/login', { email: user.email, password: 'Otra12345' });
+  assert.equal(res.status, 400);
+  assert.equal(c.cookies.size, 0);
+  assert.equal((await c.pedir('GET', '/api/verify')).status, 401);
+
+  // Un email sin cuenta recibe la misma respuesta
+  const desconocido = await c.pedir('POST', '/api/login', { email: 'nadie@ejemplo.com', password: 'Otra12345' });
+  assert.equal(desconocido.status, 400);
+  assert.deepEqual(desconocido.body, res.body);
+});
+
+test('la cookie del refresh token solo viaja a /api/session y se borra la del Path anterior', async () => {
+  const user = servidor.crearUsuario();
+  const res = await servidor.cliente().pedir('POST', '/api/login', { email: user.email, password: servidor.PASSWORD });
+  const cookies = res.headers.getSetCookie().filter(c => c.startsWith('refresh_token='));
+  assert.equal(cookies.length, 2);
+  assert.match(cookies[0], /^refresh_token=;.*Path=\/api;.*Expires=Thu, 01 Jan 1970/);
+  assert.match(cookies[1], /^refresh_token=[^;]+;.*Path=\/api\/session;/);
+  assert.match(cookies[1], /HttpOnly/);
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const servidor = require('./servidor');
+
+test.before(servidor.iniciar);
+test.after(servidor.detener);
+
+test('las canciones de la biblioteca se escuchan sin sesión', async () => {
+  const song = servidor.crearCancion({ nombre: 'biblioteca' });
+  const res = await servidor.cliente().pedir('GET', `/api/stream/${song.id}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body, 'audio de biblioteca');
+  assert.equal(res.headers.get('content-type'), 'audio/mpeg');
+  assert.match(res.headers.get('cache-control'), /^public/);
+});
+
+test('una subida solo la escucha su dueño', async () => {
+  const [dueno, otro] = [servidor.crearUsuario(), servidor.crearUsuario()];
+  const song = servidor.crearCancion({ nombre: 'subida', ownerId: dueno.id });
+
+  const propia = await (await servidor.conSesion(dueno)).pedir('GET', `/api/stream/${song.id}`);
+  assert.equal(propia.status, 200);
+  assert.match(propia.headers.get('cache-control'), /^private/);
+
+  assert.equal((await (await servidor.conSesion(otro)).pedir('GET', `/api/stream/${song.id}`)).status, 404);
+  assert.equal((await servidor.cliente().pedir('GET', `/api/stream/${song.id}`)).status, 404);
+});
+
+test('stream responde rangos para poder saltar en la canción', async () => {
+  const song = servidor.crearCancion({ nombre: 'rangos' });
+  const res = await servidor.cliente().pedir('GET', `/api/stream/${song.id}`, undefined, { Range: 'bytes=0-4' });
+  assert.equal(res.status, 206);
+  assert.equal(res.body, 'audio');
+});
+
+test('stream responde 404 con un id desconocido', async () => {
+  assert.equal((await servidor.cliente().pedir('GET', '/api/stream/0123456789abcdef')).status, 404);
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { schemas, validate } = require('../validation');
+
+const codigos = (errors) => Object.fromEntries(errors.map(e => [e.field, e.code]));
+
+test('validate normaliza los campos y descarta los que no están en el esquema', () => {
+  const { data, errors } = validate(schemas.register, {
+    nombre: '  Ana  ',
+    email: ' Ana@Ejemplo.COM ',
+    password: 'clave1234',
+    admin: true
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(data, { nombre: 'Ana', email: 'ana@ejemplo.com', password: 'clave1234' });
+});
+
+test('validate informa un solo error por campo', () => {
+  const { data, errors } = validate(schemas.register, { nombre: 'A', email: 'sin-arroba', password: 'corta' });
+  assert.deepEqual(data, {});
+  assert.deepEqual(codigos(errors), { nombre: 'too_short', email: 'invalid_email', password: 'too_short' });
+});
+
+test('validate rechaza los obligatorios vacíos y lo que no es texto', () => {
+  const { errors } = validate(schemas.login, { email: '   ', password: 12345678 });
+  assert.deepEqual(codigos(errors), { email: 'required', password: 'invalid_type' });
+  assert.deepEqual(codigos(validate(schemas.login).errors), { email: 'required', password: 'required' });
+});
+
+test('la contraseña necesita letras y números y no puede ser el nombre o el email', () => {
+  const password = (valor, extra = {}) =>
+    codigos(validate(schemas.register, { nombre: 'Juliana', email: 'juli2000@ejemplo.com', password: valor, ...extra }).errors).password;
+
+  assert.equal(password('solamenteletras'), 'weak_password');
+  assert.equal(password('1234567890'), 'weak_password');
+  assert.equal(password('JULI2000'), 'weak_password');
+  assert.equal(password('juliana1', { nombre: 'Juliana1' }), 'weak_password');
+  assert.equal(password('a1'.repeat(37)), 'too_long');
+  assert.equal(password('canción2024'), undefined);
+});
@@ -0,0 +1,119 @@
+// Validación de cuerpos de peticiones. Un esquema es un objeto
+// campo -> { required, trim, lowercase, rules }, donde cada regla devuelve
+// null si el valor es válido o { code, message } si no lo es.
+// Todos los errores se responden con el mismo formato:
+//   { message, errors: [{ field, code, message }] }
+
+const minLength = (min) => (value) =>
+  (value.length < min ? { code: 'too_short', message: `Debe tener al menos ${min} caracteres` } : null);
+
+const maxLength = (max) => (value) =>
+  (value.length > max ? { code: 'too_long', message: `Debe tener como máximo ${max} caracteres` } : null);
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const email = () => (value) =>
+  (EMAIL_RE.test(value) ? null : { code: 'invalid_email', message: 'El email no es válido' });
+
+// Política de contraseñas: 8 a 72 caracteres (bcrypt ignora lo que sigue),
+// con al menos una letra y un número, y distinta del email o el nombre.
+const passwordStrength = () => (value, body) => {
+  if (!/[A-Za-zÀ-ÿ]/.test(value) || !/\d/.test(value)) {
+    return { code: 'weak_password', message: 'Debe incluir al menos una letra y un número' };
+  }
+  const lower = value.toLowerCase();
+  const personales = [body.email, body.nombre]
+    .filter(v => typeof v === 'string' && v.trim())
+    .map(v => v.trim().toLowerCase());
+  if (personales.some(v => lower === v || lower === v.split('@')[0])) {
+    return { code: 'weak_password', message: 'No puede ser igual a tu nombre o email' };
+  }
+  return null;
+};
+
+const passwordRules = [minLength(8), maxLength(72), passwordStrength()];
+
+const schemas = {
+  register: {
+    nombre: { required: true, trim: true, rules: [minLength(2), maxLength(50)] },
+    email: { required: true, trim: true, lowercase: true, rules: [maxLength(254), email()] },
+    password: { required: true, rules: passwordRules }
+  },
+  login: {
+    email: { required: true, trim: true, lowercase: true, rules: [email()] },
+    password: { required: true, rules: [] }
+  },
+  forgotPassword: {
+    email: { required: true, trim: true, lowercase: true, rules: [email()] }
+  },
+  resetPassword: {
+    token: { required: true, trim: true, rules: [maxLength(200)] },
+    password: { required: true, rules: passwordRules }
+  },
+  verifyEmail: {
+    token: { required: true, trim: true, rules: [maxLength(200)] }
+  },
+  // Las ganancias se validan aparte (eqPresets.js) porque no son texto
+  eqPreset: {
+    nombre: { required: true, trim: true, rules: [maxLength(40)] }
+  }
+};
+
+// Devuelve los datos normalizados (solo los campos del esquema) y los errores
+const validate = (schema, body = {}) => {
+  const data = {};
+  const errors = [];
+
+  for (const [field, def] of Object.entries(schema)) {
+    let value = body[field];
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      errors.push({ field, code: 'invalid_type', message: 'Debe ser texto' });
+      continue;
+    }
+    if (typeof value === 'string') {
+      if (def.trim) value = value.trim();
+      if (def.lowercase) value = value.toLowerCase();
+    }
+
+    if (value === undefined || value === null || value === '') {
+      if (def.required) {
+        errors.push({ field, code: 'required', message: 'Este campo es obligatorio' });
+      }
+      continue;
+    }
+
+    // Solo se informa el primer problema de cada campo
+    const error = def.rules.map(rule => rule(value, body)).find(Boolean);
+    if (error) {
+      errors.push({ field, ...error });
+      continue;
+    }
+    data[field] = value;
+  }
+
+  return { data, errors };
+};
+
+const sendValidationError = (res, errors, status = 400, message = 'Datos inválidos') =>
+  res.status(status).json({ message, errors });
+
+// Middleware: reemplaza req.body por los datos normalizados o responde 400
+const validateBody = (schema) => (req, res, next) => {
+  const { data, errors } = validate(schema, req.body);
+  if (errors.length) {
+    return sendValidationError(res, errors);
+  }
+  req.body = data;
+  next();
+};
+
+module.exports = {
+  schemas,
+  passwordRules,
+  minLength,
+  maxLength,
+  email,
+  validate,
+  validateBody,
+  sendValidationError
+};